@@ -2,7 +2,7 @@
 
 import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useIntl } from 'react-intl';
-import { v4 as uuidv4, validate as validateUuid } from 'uuid';
+import { useFetchClient, useForm, useQueryParams } from '@strapi/strapi/admin';
 import {
   Field,
   Flex,
@@ -10,17 +10,32 @@ import {
   TextInput,
 } from '@strapi/design-system';
 import { ArrowClockwise, Duplicate, Check } from '@strapi/icons';
+import {
+  deriveValue,
+  generateUuid,
+  getDerivation,
+  getFormatSpec,
+  getPrefix,
+  isValidValue,
+} from '../../utils/uuid';
+import { fetchPluginConfig } from '../../utils/pluginConfig';
+import { PLUGIN_ID } from '../../pluginId';
 
 /**
  * UUID Input Component for Strapi v5
  * 
- * Provides a read-only input field that displays a UUID v4.
+ * Provides an input field that displays a UUID (v1/v4/v5/v6/v7), ULID, NanoID, KSUID
+ * or an identifier of a generator registered on the server (per-field "Format" option,
+ * falling back to the global defaultVersion), prepended with the optional per-field prefix.
+ * Values of registered generators are requested from the server.
  * Features:
- * - Auto-generates UUID if empty
- * - Validates existing UUID format
- * - Refresh button to generate new UUID
+ * - Auto-generates UUID if empty (unless "Disable auto-generation" is set)
+ * - Validates existing values against the field format (prefix + identifier)
+ * - Refresh button to generate new UUID (reported to the server, so saving it is audited as a regeneration)
  * - Copy button to copy UUID to clipboard
- * - Read-only to prevent manual editing
+ * - Read-only once saved, unless "Allow manual editing" (or the global allowManualEdit) is enabled
+ * - UUID v5 fields with a template are derived by the server on save: the hint shows the
+ *   template and the value the current form values give
  */
 const Input = React.forwardRef((props, forwardedRef) => {
   const {
@@ -37,6 +52,10 @@ const Input = React.forwardRef((props, forwardedRef) => {
   } = props;
 
   const { formatMessage } = useIntl();
+  const { get, post } = useFetchClient();
+  const formValues = useForm('UUIDInput', (state) => state.values);
+  const [{ query }] = useQueryParams();
+  const [pluginConfig, setPluginConfig] = useState(null);
   const [invalidUUID, setInvalidUUID] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [isCopied, setIsCopied] = useState(false);
@@ -44,20 +63,58 @@ const Input = React.forwardRef((props, forwardedRef) => {
   // Track if we've already generated a UUID on mount to prevent loops
   const hasGeneratedRef = useRef(false);
   const previousValueRef = useRef(value);
+  // Entries that had no value when the form opened may still receive one
+  const wasEmptyOnMountRef = useRef(!value);
 
   // Memoized change handler to avoid dependency issues
   const handleChange = useCallback((newValue) => {
     onChange({ target: { name, type: attribute.type, value: newValue } });
   }, [onChange, name, attribute.type]);
 
-  // Generate UUID on mount if empty (runs only once)
+  const fieldOptions = attribute?.options || {};
+  const format = getFormatSpec(attribute, pluginConfig?.defaultVersion || 'v4');
+  const formatKey = JSON.stringify(format);
+  const prefix = getPrefix(attribute);
+  // Templates apply to top-level fields only, fields in components have a dotted name
+  const derivation = name.includes('.') ? null : getDerivation(attribute, pluginConfig?.defaultVersion || 'v4');
+  const isConfigLoaded = pluginConfig !== null;
+  const autoGenerate = pluginConfig?.autoGenerate !== false && fieldOptions['disable-auto-generate'] !== true;
+  const allowEdit = fieldOptions['allow-edit'] === true || pluginConfig?.allowManualEdit === true;
+  // Typing is allowed when editing is permitted, or when the value must be entered manually
+  const canType = !disabled && !derivation && (allowEdit || (!autoGenerate && wasEmptyOnMountRef.current));
+  // Regenerating is allowed when editing is permitted, or when the entry has no saved value yet
+  const canRegenerate = !derivation && (allowEdit || wasEmptyOnMountRef.current);
+
+  // Load the global defaults (version, autoGenerate, allowManualEdit)
+  useEffect(() => {
+    let isMounted = true;
+    fetchPluginConfig(get).then((config) => {
+      if (isMounted) setPluginConfig(config);
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [get]);
+
+  // Creates a value with the field's format and prefix; registered generators run on the server
+  const createValue = useCallback(async () => {
+    if (format.custom) {
+      const response = await post(`/${PLUGIN_ID}/generate`, { options: fieldOptions });
+      return response.data.value;
+    }
+    return `${prefix}${generateUuid(format)}`;
+  }, [post, attribute, formatKey, prefix]);
+
+  // Generate UUID on mount if empty (runs only once, after the config is known)
   useEffect(() => {
-    if (!value && !hasGeneratedRef.current) {
+    if (!value && !hasGeneratedRef.current && isConfigLoaded && autoGenerate && !derivation) {
       hasGeneratedRef.current = true;
-      const newUUID = uuidv4();
-      handleChange(newUUID);
+      createValue().then(handleChange).catch((err) => {
+        console.error(`[${PLUGIN_ID}] Failed to generate UUID:`, err);
+      });
     }
-  }, [value, handleChange]);
+  }, [value, handleChange, createValue, isConfigLoaded, autoGenerate, derivation]);
 
   // Validate UUID format when value changes
   useEffect(() => {
@@ -65,22 +122,34 @@ const Input = React.forwardRef((props, forwardedRef) => {
       previousValueRef.current = value;
       
       if (value) {
-        const isValid = validateUuid(value);
+        const isValid = isValidValue(value, prefix, format);
         setInvalidUUID(!isValid);
       } else {
         setInvalidUUID(false);
       }
     }
-  }, [value]);
+  }, [value, prefix, formatKey]);
 
   // Generate new UUID
-  const handleRefresh = useCallback(() => {
+  const handleRefresh = useCallback(async () => {
     setIsGenerating(true);
-    const newUUID = uuidv4();
-    handleChange(newUUID);
-    setInvalidUUID(false);
+    try {
+      const newUUID = await createValue();
+      handleChange(newUUID);
+      setInvalidUUID(false);
+      post(`/${PLUGIN_ID}/audit/regenerations`, { value: newUUID }).catch((err) => {
+        console.error(`[${PLUGIN_ID}] Failed to register regenerated UUID:`, err);
+      });
+    } catch (err) {
+      console.error(`[${PLUGIN_ID}] Failed to generate UUID:`, err);
+    }
     // Brief visual feedback
     setTimeout(() => setIsGenerating(false), 150);
+  }, [handleChange, createValue, post]);
+
+  // Manual input (only reachable when typing is allowed)
+  const handleInput = useCallback((event) => {
+    handleChange(event.target.value.trim());
   }, [handleChange]);
 
   // Copy UUID to clipboard
@@ -107,12 +176,50 @@ const Input = React.forwardRef((props, forwardedRef) => {
     }
   }, [value]);
 
+  // Describe the derivation, with the value the current form values give
+  let derivationHint = null;
+  if (derivation) {
+    const locale = formValues?.locale || query?.plugins?.i18n?.locale;
+    const derived = deriveValue(prefix, derivation, { ...formValues, locale });
+    const values = { template: derivation.template, value: derived.value, fields: derived.missing.join(', ') };
+
+    if (!derived.value) {
+      derivationHint = formatMessage(
+        { id: 'field-uuid.form.derived.missing', defaultMessage: 'Derived from {template} once {fields} are filled in' },
+        values
+      );
+    } else if (!value) {
+      derivationHint = formatMessage(
+        { id: 'field-uuid.form.derived.preview', defaultMessage: 'Derived from {template} on save: {value}' },
+        values
+      );
+    } else if (derived.value !== value) {
+      derivationHint = formatMessage(
+        { id: 'field-uuid.form.derived.differs', defaultMessage: 'Derived from {template}. The current values give {value}' },
+        values
+      );
+    } else {
+      derivationHint = formatMessage({ id: 'field-uuid.form.derived', defaultMessage: 'Derived from {template}' }, values);
+    }
+  }
+
   // Build error message
   const fieldError = error || (invalidUUID
-    ? formatMessage({
-        id: 'field-uuid.form.field.error',
-        defaultMessage: 'The UUID format is invalid.',
-      })
+    ? prefix
+      ? formatMessage(
+          {
+            id: 'field-uuid.form.field.error.prefix',
+            defaultMessage: 'The value must be "{prefix}" followed by a valid {format}.',
+          },
+          { prefix, format: format.label }
+        )
+      : formatMessage(
+          {
+            id: 'field-uuid.form.field.error',
+            defaultMessage: 'The value is not a valid {format}.',
+          },
+          { format: format.label }
+        )
     : null);
 
   return (
@@ -120,7 +227,7 @@ const Input = React.forwardRef((props, forwardedRef) => {
       name={name}
       id={name}
       error={fieldError}
-      hint={hint}
+      hint={derivationHint || hint}
       required={required}
     >
       <Flex direction="column" alignItems="stretch" gap={1}>
@@ -138,11 +245,22 @@ const Input = React.forwardRef((props, forwardedRef) => {
               name={name}
               value={value}
               disabled={disabled}
-              readOnly
-              placeholder={formatMessage({
-                id: 'field-uuid.form.placeholder',
-                defaultMessage: 'UUID will be auto-generated',
-              })}
+              readOnly={!canType}
+              onChange={canType ? handleInput : undefined}
+              placeholder={derivation
+                ? formatMessage({
+                    id: 'field-uuid.form.placeholder.derived',
+                    defaultMessage: 'UUID will be derived on save',
+                  })
+                : autoGenerate
+                ? formatMessage({
+                    id: 'field-uuid.form.placeholder',
+                    defaultMessage: 'UUID will be auto-generated',
+                  })
+                : formatMessage({
+                    id: 'field-uuid.form.placeholder.manual',
+                    defaultMessage: 'Enter a UUID',
+                  })}
               aria-label={formatMessage({
                 id: 'field-uuid.form.label',
                 defaultMessage: 'UUID',
@@ -174,18 +292,20 @@ const Input = React.forwardRef((props, forwardedRef) => {
           </IconButton>
           
           {/* Refresh Button */}
-          <IconButton
-            onClick={handleRefresh}
-            disabled={disabled || isGenerating}
-            aria-label={formatMessage({
-              id: 'field-uuid.form.field.generate',
-              defaultMessage: 'Generate new UUID',
-            })}
-            variant="secondary"
-            withTooltip={false}
-          >
-            <ArrowClockwise />
-          </IconButton>
+          {canRegenerate && (
+            <IconButton
+              onClick={handleRefresh}
+              disabled={disabled || isGenerating}
+              aria-label={formatMessage({
+                id: 'field-uuid.form.field.generate',
+                defaultMessage: 'Generate new UUID',
+              })}
+              variant="secondary"
+              withTooltip={false}
+            >
+              <ArrowClockwise />
+            </IconButton>
+          )}
         </Flex>
         
         <Field.Hint />
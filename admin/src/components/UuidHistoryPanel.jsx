@@ -0,0 +1,95 @@
+'use strict';
+
+import React, { useEffect, useState } from 'react';
+import { useIntl } from 'react-intl';
+import { useFetchClient } from '@strapi/strapi/admin';
+import { Box, Flex, Typography } from '@strapi/design-system';
+import { PLUGIN_ID } from '../pluginId';
+
+const monospace = {
+  fontFamily: "'SF Mono', 'Monaco', 'Inconsolata', 'Roboto Mono', monospace",
+  fontSize: '12px',
+  wordBreak: 'break-all',
+};
+
+/**
+ * UUID History Panel
+ *
+ * Side panel of the Content Manager edit view listing the current value of each
+ * UUID field of the document and the retired values that still resolve to it.
+ * Hidden for content types without UUID fields and for documents without history.
+ *
+ * @param {Object} props - Panel props from the Content Manager
+ * @param {string} props.model - Content type UID
+ * @param {string} [props.documentId] - Document id (missing while creating)
+ * @param {Object} [props.document] - Current document
+ * @returns {Object|null} Panel description ({ title, content }) or null
+ */
+export const UuidHistoryPanel = ({ model, documentId, document }) => {
+  const { formatMessage } = useIntl();
+  const { get } = useFetchClient();
+  const [history, setHistory] = useState(null);
+  const locale = document?.locale;
+
+  useEffect(() => {
+    if (!documentId) return undefined;
+
+    let isMounted = true;
+    get(`/${PLUGIN_ID}/history/${model}/${documentId}`, { params: locale ? { locale } : {} })
+      .then((response) => {
+        if (isMounted) setHistory(response.data);
+      })
+      // Content types without UUID fields answer with 400
+      .catch(() => isMounted && setHistory(null));
+
+    return () => {
+      isMounted = false;
+    };
+  }, [get, model, documentId, locale]);
+
+  const fields = Object.entries(history?.fields || {}).filter(([, field]) => field.aliases.length > 0);
+  if (fields.length === 0) return null;
+
+  return {
+    title: formatMessage({ id: `${PLUGIN_ID}.history.title`, defaultMessage: 'UUID history' }),
+    content: (
+      <Flex direction="column" alignItems="stretch" gap={4} width="100%">
+        {fields.map(([name, field]) => (
+          <Box key={name}>
+            <Typography variant="sigma" textColor="neutral600">{name}</Typography>
+            <Box paddingTop={1}>
+              <Typography variant="pi" fontWeight="bold">
+                {formatMessage({ id: `${PLUGIN_ID}.history.current`, defaultMessage: 'Current' })}
+              </Typography>
+              <Typography variant="pi" style={{ ...monospace, display: 'block' }}>{field.current || '-'}</Typography>
+            </Box>
+            {field.aliases.map((alias) => (
+              <Box key={`${alias.value}-${alias.retiredAt}`} paddingTop={2}>
+                <Typography variant="pi" textColor="neutral600" style={{ display: 'block' }}>
+                  {formatMessage(
+                    {
+                      id: `${PLUGIN_ID}.history.retired`,
+                      defaultMessage: 'Retired {date} ({source})',
+                    },
+                    {
+                      date: new Date(alias.retiredAt).toLocaleString(),
+                      source: formatMessage({
+                        id: `${PLUGIN_ID}.settings.audit.source.${alias.source}`,
+                        defaultMessage: alias.source || '-',
+                      }),
+                    }
+                  )}
+                </Typography>
+                <Typography variant="pi" textColor="neutral500" style={{ ...monospace, display: 'block' }}>
+                  {alias.value}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+        ))}
+      </Flex>
+    ),
+  };
+};
+
+export default UuidHistoryPanel;
@@ -5,13 +5,16 @@
  * 
  * Registers the UUID custom field and settings page in the Strapi admin panel.
  * This allows the field to be used in Content-Type Builder and provides
- * management tools for UUID maintenance.
+ * management tools for UUID maintenance. The edit view gets a side panel with
+ * the UUID history of the document.
  * 
  * @see https://docs.strapi.io/cms/features/custom-fields
  */
 import { PLUGIN_ID } from './pluginId';
+import { PERMISSIONS } from './permissions';
 import { Initializer } from './components/Initializer';
 import { PluginIcon } from './components/PluginIcon';
+import { UuidHistoryPanel } from './components/UuidHistoryPanel';
 
 /**
  * Prefix translation keys with pluginId
@@ -54,7 +57,7 @@ export default {
       
       intlDescription: {
         id: `${PLUGIN_ID}.form.description`,
-        defaultMessage: 'Automatically generates UUID v4',
+        defaultMessage: 'Automatically generates UUIDs, ULIDs, NanoIDs or KSUIDs',
       },
       
       icon: PluginIcon,
@@ -79,18 +82,85 @@ export default {
                 type: 'select',
                 intlLabel: {
                   id: `${PLUGIN_ID}.field.options.version`,
-                  defaultMessage: 'UUID Version',
+                  defaultMessage: 'Format',
                 },
                 description: {
                   id: `${PLUGIN_ID}.field.options.version.description`,
-                  defaultMessage: 'v4 is random, v7 is time-sortable (recommended for new projects)',
+                  defaultMessage: 'v4 is random, v7 is time-sortable (recommended for new projects). Switching between UUID, ULID, NanoID and KSUID makes existing values invalid until a migration replaces them.',
                 },
                 options: [
                   { value: 'v4', label: 'UUID v4 (Random)' },
                   { value: 'v7', label: 'UUID v7 (Time-sortable)' },
+                  { value: 'v1', label: 'UUID v1 (Time-based)' },
+                  { value: 'v5', label: 'UUID v5 (Name-based)' },
+                  { value: 'v6', label: 'UUID v6 (Time-sortable, v1 compatible)' },
+                  { value: 'ulid', label: 'ULID' },
+                  { value: 'nanoid', label: 'NanoID' },
+                  { value: 'ksuid', label: 'KSUID' },
+                  { value: 'custom', label: 'Custom generator' },
                 ],
                 defaultValue: 'v4',
               },
+              {
+                name: 'options.uuid-generator',
+                type: 'text',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.generator`,
+                  defaultMessage: 'Custom generator name',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.generator.description`,
+                  defaultMessage: 'Name of a generator registered by the application (Format: Custom generator)',
+                },
+              },
+              {
+                name: 'options.uuid-nanoid-length',
+                type: 'number',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.nanoidLength`,
+                  defaultMessage: 'NanoID length',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.nanoidLength.description`,
+                  defaultMessage: 'Number of characters of NanoIDs (6-128, default 21)',
+                },
+              },
+              {
+                name: 'options.uuid-nanoid-alphabet',
+                type: 'text',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.nanoidAlphabet`,
+                  defaultMessage: 'NanoID alphabet',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.nanoidAlphabet.description`,
+                  defaultMessage: 'Characters used by NanoIDs (default A-Z, a-z, 0-9, _ and -)',
+                },
+              },
+              {
+                name: 'options.uuid-namespace',
+                type: 'text',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.namespace`,
+                  defaultMessage: 'UUID v5 namespace',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.namespace.description`,
+                  defaultMessage: 'Namespace UUID of v5 values (default: the URL namespace)',
+                },
+              },
+              {
+                name: 'options.uuid-v5-template',
+                type: 'text',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.template`,
+                  defaultMessage: 'UUID v5 template',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.template.description`,
+                  defaultMessage: "Derive v5 values from other fields, e.g. '{sku}-{locale}' (same values, same UUID)",
+                },
+              },
               {
                 name: 'options.uuid-prefix',
                 type: 'text',
@@ -103,6 +173,52 @@ export default {
                   defaultMessage: 'Add a prefix to all UUIDs (e.g., "usr_" for user IDs)',
                 },
               },
+              {
+                name: 'options.uuid-locale-policy',
+                type: 'select',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.localePolicy`,
+                  defaultMessage: 'Locale policy',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.localePolicy.description`,
+                  defaultMessage: 'For localized content types: one UUID for all locales, or a distinct UUID per locale. Draft and published versions always share the UUID.',
+                },
+                options: [
+                  { value: 'shared', label: 'Shared across locales' },
+                  { value: 'per-locale', label: 'Distinct per locale' },
+                ],
+              },
+              {
+                name: 'options.uuid-unique-scope',
+                type: 'select',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.uniqueScope`,
+                  defaultMessage: 'Uniqueness scope',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.uniqueScope.description`,
+                  defaultMessage: 'Where values must be unique. Fields with the same scope are checked against each other. Defaults to the uniquenessScope setting.',
+                },
+                options: [
+                  { value: 'field', label: 'This field' },
+                  { value: 'content-type', label: 'Fields of this content type' },
+                  { value: 'global', label: 'All content types' },
+                  { value: 'group', label: 'Named group' },
+                ],
+              },
+              {
+                name: 'options.uuid-unique-group',
+                type: 'text',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.uniqueGroup`,
+                  defaultMessage: 'Uniqueness group',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.uniqueGroup.description`,
+                  defaultMessage: 'Name shared by the fields whose values must not collide (Uniqueness scope: Named group)',
+                },
+              },
             ],
           },
         ],
@@ -149,6 +265,18 @@ export default {
                   defaultMessage: 'Allow users to manually edit the UUID value',
                 },
               },
+              {
+                name: 'options.uuid-v5-recompute',
+                type: 'checkbox',
+                intlLabel: {
+                  id: `${PLUGIN_ID}.field.options.recompute`,
+                  defaultMessage: 'Recompute on update',
+                },
+                description: {
+                  id: `${PLUGIN_ID}.field.options.recompute.description`,
+                  defaultMessage: 'Derive a new UUID when a field of the v5 template changes',
+                },
+              },
             ],
           },
         ],
@@ -173,8 +301,19 @@ export default {
           },
           id: 'management',
           to: `${PLUGIN_ID}/management`,
+          permissions: PERMISSIONS.read,
           Component: () => import('./pages/SettingsPage'),
         },
+        {
+          intlLabel: {
+            id: `${PLUGIN_ID}.settings.duplicates`,
+            defaultMessage: 'Duplicate Resolution',
+          },
+          id: 'duplicates',
+          to: `${PLUGIN_ID}/duplicates`,
+          permissions: PERMISSIONS.read,
+          Component: () => import('./pages/DuplicatesPage'),
+        },
       ]
     );
 
@@ -186,6 +325,9 @@ export default {
    * @param {Object} app - Strapi admin app instance
    */
   async bootstrap(app) {
+    // Retired UUIDs of the edited document
+    app.getPlugin('content-manager')?.apis?.addEditViewSidePanel?.([UuidHistoryPanel]);
+
     console.log(`[${PLUGIN_ID}] Plugin bootstrapped`);
   },
 
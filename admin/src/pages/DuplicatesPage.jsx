@@ -0,0 +1,439 @@
+'use strict';
+
+/**
+ * UUID Plugin - Duplicate Resolution Page
+ * Lists every duplicate group with a preview of its entries and resolves the
+ * groups as chosen by the admin, in one batch
+ */
+import React, { useEffect, useState } from 'react';
+import { useIntl } from 'react-intl';
+import { useNavigate } from 'react-router-dom';
+import { useFetchClient, useNotification, useRBAC } from '@strapi/strapi/admin';
+import styled from 'styled-components';
+import {
+  Alert,
+  Badge,
+  Box,
+  Button,
+  Checkbox,
+  Flex,
+  Loader,
+  Modal,
+  SingleSelect,
+  SingleSelectOption,
+  TextInput,
+  Typography,
+} from '@strapi/design-system';
+import { ArrowClockwise, Check, ExternalLink } from '@strapi/icons';
+import { PLUGIN_ID } from '../pluginId';
+import { PERMISSIONS } from '../permissions';
+
+// Strategies whose choice can prefill the keeper of each group
+const SUGGESTIONS = ['first', 'oldest', 'published', 'most-referenced'];
+
+const Container = styled(Box)`
+  max-width: 1200px;
+  margin: 0 auto;
+`;
+
+const GroupCard = styled(Box)`
+  background: ${(props) => props.theme.colors.neutral0};
+  border: 1px solid ${(props) => props.theme.colors.neutral200};
+  border-radius: 16px;
+  padding: 24px;
+  margin-bottom: 24px;
+  opacity: ${(props) => (props.$skipped ? 0.6 : 1)};
+`;
+
+const EntryGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+  gap: 16px;
+`;
+
+const EntryCard = styled(Box)`
+  border: 2px solid ${(props) => (props.$kept ? props.theme.colors.success500 : props.theme.colors.neutral200)};
+  background: ${(props) => (props.$kept ? props.theme.colors.success100 : props.theme.colors.neutral0)};
+  border-radius: 12px;
+  padding: 16px;
+`;
+
+const Mono = styled.span`
+  font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Roboto Mono', monospace;
+  font-size: 12px;
+  word-break: break-all;
+`;
+
+/**
+ * Identifies a duplicate group across fields
+ * @param {Object} group - Duplicate group
+ * @returns {string} Group id
+ */
+const getGroupId = (group) => `${group.contentType}|${group.field}|${group.uuid}`;
+
+/**
+ * Builds the Content Manager path of an entry
+ * @param {Object} group - Duplicate group ({ contentType, kind })
+ * @param {Object} entry - Entry preview ({ documentId, locale, locales })
+ * @returns {string} Admin path
+ */
+const getEntryPath = (group, entry) => {
+  const path =
+    group.kind === 'singleType'
+      ? `/content-manager/single-types/${group.contentType}`
+      : `/content-manager/collection-types/${group.contentType}/${entry.documentId}`;
+  const locale = entry.locale || entry.locales?.[0];
+
+  return locale ? `${path}?plugins[i18n][locale]=${locale}` : path;
+};
+
+/**
+ * Duplicate Resolution Page Component
+ */
+const DuplicatesPage = () => {
+  const { formatMessage } = useIntl();
+  const t = (id, defaultMessage, values) => formatMessage({ id: `${PLUGIN_ID}.${id}`, defaultMessage }, values);
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const navigate = useNavigate();
+  const {
+    allowedActions: { canFix },
+  } = useRBAC(PERMISSIONS);
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [isApplying, setIsApplying] = useState(false);
+  const [groups, setGroups] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [suggestion, setSuggestion] = useState('first');
+  // Choices per group ({ keep, skip, values }); groups without a kept entry use the suggestion
+  const [choices, setChoices] = useState({});
+  const [showConfirm, setShowConfirm] = useState(false);
+  const [result, setResult] = useState(null);
+  const [problems, setProblems] = useState([]);
+
+  /**
+   * Loads the duplicate groups and resets the choices
+   */
+  const fetchGroups = async () => {
+    setIsLoading(true);
+    try {
+      const response = await get(`/${PLUGIN_ID}/duplicates`);
+      setGroups(response.data?.groups || []);
+      setTruncated(response.data?.truncated === true);
+      setChoices({});
+    } catch (err) {
+      toggleNotification({
+        type: 'danger',
+        message: t('duplicates.error.load', 'Failed to load duplicate UUIDs'),
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchGroups();
+  }, []);
+
+  /**
+   * Returns the choice of a group, with the suggested keeper filled in
+   * @param {Object} group - Duplicate group
+   * @returns {Object} { keep, skip, values }
+   */
+  const getChoice = (group) => {
+    const choice = choices[getGroupId(group)] || {};
+    return {
+      keep: choice.keep ?? group.keepers?.[suggestion] ?? group.kept,
+      skip: choice.skip === true,
+      values: choice.values || {},
+    };
+  };
+
+  /**
+   * Changes the choice of a group
+   * @param {Object} group - Duplicate group
+   * @param {Object} changes - Changed properties ({ keep, skip, values })
+   */
+  const updateChoice = (group, changes) => {
+    setChoices((prev) => ({
+      ...prev,
+      [getGroupId(group)]: { ...getChoice(group), ...prev[getGroupId(group)], ...changes },
+    }));
+  };
+
+  /**
+   * Sets the value assigned to an entry that loses the UUID
+   * @param {Object} group - Duplicate group
+   * @param {string} key - Entry key
+   * @param {string} value - New value, empty to generate one
+   */
+  const assignValue = (group, key, value) => {
+    updateChoice(group, { values: { ...getChoice(group).values, [key]: value } });
+  };
+
+  const resolutions = groups
+    .map((group) => ({ group, choice: getChoice(group) }))
+    .filter(({ choice }) => !choice.skip && choice.keep)
+    .map(({ group, choice }) => ({
+      contentType: group.contentType,
+      field: group.field,
+      uuid: group.uuid,
+      keep: choice.keep,
+      // The kept entry has no new value, empty values are generated
+      values: Object.fromEntries(
+        Object.entries(choice.values).filter(([key, value]) => key !== choice.keep && value.trim() !== '')
+      ),
+    }));
+
+  /**
+   * Applies the choices of all groups that are not skipped in one batch
+   */
+  const applyResolutions = async () => {
+    setIsApplying(true);
+    setProblems([]);
+    try {
+      const response = await post(`/${PLUGIN_ID}/duplicates/resolve`, { resolutions });
+      setResult(response.data);
+      toggleNotification({
+        type: 'success',
+        message: t('duplicates.success', '{count} duplicate group(s) resolved', { count: response.data.resolved }),
+      });
+      await fetchGroups();
+    } catch (err) {
+      const error = err.response?.data?.error;
+      setProblems(error?.details?.problems || [error?.message || err.message]);
+      toggleNotification({
+        type: 'danger',
+        message: t('duplicates.error.apply', 'Failed to resolve duplicate UUIDs'),
+      });
+    } finally {
+      setIsApplying(false);
+      setShowConfirm(false);
+    }
+  };
+
+  return (
+    <Container padding={6}>
+      <Flex justifyContent="space-between" alignItems="flex-start" marginBottom={6} gap={4} wrap="wrap">
+        <Box>
+          <Typography variant="alpha" fontWeight="bold" style={{ marginBottom: '4px', display: 'block' }}>
+            {t('duplicates.title', 'Duplicate Resolution')}
+          </Typography>
+          <Typography variant="epsilon" textColor="neutral600">
+            {t('duplicates.subtitle', 'Choose which entry keeps each duplicate UUID. The other entries get a new value.')}
+          </Typography>
+        </Box>
+        <Flex gap={2}>
+          <Button variant="secondary" startIcon={<ArrowClockwise />} onClick={fetchGroups} disabled={isLoading}>
+            {t('settings.refresh', 'Refresh')}
+          </Button>
+          {canFix && (
+            <Button
+              startIcon={<Check />}
+              onClick={() => setShowConfirm(true)}
+              disabled={isLoading || resolutions.length === 0}
+            >
+              {t('duplicates.apply', 'Resolve {count} group(s)', { count: resolutions.length })}
+            </Button>
+          )}
+        </Flex>
+      </Flex>
+
+      {result && (
+        <Box marginBottom={6}>
+          <Alert
+            variant="success"
+            title={t('settings.report.result', 'Result')}
+            closeLabel="Close"
+            onClose={() => setResult(null)}
+          >
+            {t('duplicates.result', '{groups} group(s) resolved, {count} value(s) replaced. The run can be rolled back from Past Runs.', {
+              groups: result.resolved,
+              count: result.totalFixed,
+            })}
+          </Alert>
+        </Box>
+      )}
+
+      {problems.length > 0 && (
+        <Box marginBottom={6}>
+          <Alert
+            variant="danger"
+            title={t('duplicates.problems', 'Nothing was changed')}
+            closeLabel="Close"
+            onClose={() => setProblems([])}
+          >
+            {problems.map((problem) => (
+              <Typography key={problem} style={{ display: 'block' }}>{problem}</Typography>
+            ))}
+          </Alert>
+        </Box>
+      )}
+
+      {isLoading ? (
+        <Flex justifyContent="center" padding={10}>
+          <Loader>{t('settings.loading', 'Loading...')}</Loader>
+        </Flex>
+      ) : groups.length === 0 ? (
+        <Box padding={8} background="neutral100" hasRadius style={{ textAlign: 'center' }}>
+          <Typography variant="omega" textColor="neutral600">
+            {t('duplicates.empty', 'No duplicate UUIDs found.')}
+          </Typography>
+        </Box>
+      ) : (
+        <>
+          <Flex gap={4} alignItems="flex-end" marginBottom={6} wrap="wrap">
+            <Box style={{ minWidth: 260 }}>
+              <Typography variant="pi" fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                {t('duplicates.suggestion', 'Suggest the entry to keep')}
+              </Typography>
+              <SingleSelect
+                aria-label={t('duplicates.suggestion', 'Suggest the entry to keep')}
+                value={suggestion}
+                onChange={setSuggestion}
+              >
+                {SUGGESTIONS.map((strategy) => (
+                  <SingleSelectOption key={strategy} value={strategy}>
+                    {t(`settings.duplicates.strategy.${strategy}`, strategy)}
+                  </SingleSelectOption>
+                ))}
+              </SingleSelect>
+            </Box>
+            <Typography variant="pi" textColor="neutral600">
+              {t('duplicates.count', '{count} duplicate group(s)', { count: groups.length })}
+              {truncated && ` · ${t('settings.duplicates.truncated', 'Only the first 1000 groups are listed.')}`}
+            </Typography>
+          </Flex>
+
+          {groups.map((group) => {
+            const choice = getChoice(group);
+
+            return (
+              <GroupCard key={getGroupId(group)} $skipped={choice.skip}>
+                <Flex justifyContent="space-between" alignItems="flex-start" marginBottom={4} gap={4}>
+                  <Box>
+                    <Typography variant="delta" fontWeight="bold" style={{ display: 'block' }}>
+                      {`${group.contentType}.${group.field}`}
+                    </Typography>
+                    <Mono>{group.uuid}</Mono>
+                  </Box>
+                  <Flex gap={3} alignItems="center">
+                    <Badge>{t('duplicates.entries', '{count} entries', { count: group.candidates.length })}</Badge>
+                    <Checkbox
+                      checked={choice.skip}
+                      onCheckedChange={(checked) => updateChoice(group, { skip: checked === true })}
+                      disabled={!canFix}
+                    >
+                      {t('duplicates.skip', 'Skip')}
+                    </Checkbox>
+                  </Flex>
+                </Flex>
+
+                <EntryGrid>
+                  {group.candidates.map((entry) => {
+                    const kept = entry.key === choice.keep;
+
+                    return (
+                      <EntryCard key={entry.key} $kept={kept && !choice.skip}>
+                        <Typography fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                          {entry.title || t('duplicates.untitled', '(no title)')}
+                        </Typography>
+                        <Mono>{entry.documentId}</Mono>
+                        <Flex gap={2} marginTop={2} marginBottom={2} wrap="wrap">
+                          {(entry.locale ? [entry.locale] : entry.locales).map((locale) => (
+                            <Badge key={locale}>{locale}</Badge>
+                          ))}
+                          {entry.status && (
+                            <Badge active={entry.status === 'published'}>
+                              {t(`duplicates.status.${entry.status}`, entry.status)}
+                            </Badge>
+                          )}
+                        </Flex>
+                        <Typography variant="pi" textColor="neutral600" style={{ display: 'block' }}>
+                          {t('duplicates.created', 'Created {date}', {
+                            date: entry.createdAt ? new Date(entry.createdAt).toLocaleString() : '-',
+                          })}
+                        </Typography>
+                        <Typography variant="pi" textColor="neutral600" style={{ display: 'block' }}>
+                          {t('duplicates.updated', 'Updated {date}', {
+                            date: entry.updatedAt ? new Date(entry.updatedAt).toLocaleString() : '-',
+                          })}
+                        </Typography>
+                        <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginBottom: '12px' }}>
+                          {t('duplicates.references', '{count} reference(s)', { count: entry.references })}
+                        </Typography>
+
+                        <Flex direction="column" alignItems="stretch" gap={2}>
+                          <Button
+                            variant={kept ? 'success' : 'secondary'}
+                            startIcon={kept ? <Check /> : undefined}
+                            onClick={() => updateChoice(group, { keep: entry.key, skip: false })}
+                            disabled={!canFix}
+                            fullWidth
+                          >
+                            {kept
+                              ? t('duplicates.keeps', 'Keeps the UUID')
+                              : t('duplicates.keep', 'Keep the UUID here')}
+                          </Button>
+                          {!kept && (
+                            <TextInput
+                              aria-label={t('duplicates.newValue', 'New value')}
+                              placeholder={t('duplicates.newValue.placeholder', 'New value (generated if empty)')}
+                              value={choice.values[entry.key] || ''}
+                              onChange={(event) => assignValue(group, entry.key, event.target.value)}
+                              disabled={!canFix || choice.skip}
+                            />
+                          )}
+                          <Button
+                            variant="tertiary"
+                            startIcon={<ExternalLink />}
+                            onClick={() => navigate(getEntryPath(group, entry))}
+                            fullWidth
+                          >
+                            {t('duplicates.open', 'Open in Content Manager')}
+                          </Button>
+                        </Flex>
+                      </EntryCard>
+                    );
+                  })}
+                </EntryGrid>
+              </GroupCard>
+            );
+          })}
+        </>
+      )}
+
+      {showConfirm && (
+        <Modal.Root open={showConfirm} onOpenChange={setShowConfirm}>
+          <Modal.Content>
+            <Modal.Header>
+              <Modal.Title>{t('duplicates.modal.title', 'Resolve Duplicate UUIDs')}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Flex direction="column" gap={4}>
+                <Typography style={{ lineHeight: '1.6' }}>
+                  {t('duplicates.modal.description', '{count} group(s) will be resolved in one transaction. Skipped groups are left alone.', {
+                    count: resolutions.length,
+                  })}
+                </Typography>
+                <Alert variant="warning">
+                  {t('settings.modal.warning', 'Warning: This action will modify data in your database. Make sure you have a backup.')}
+                </Alert>
+              </Flex>
+            </Modal.Body>
+            <Modal.Footer>
+              <Modal.Close>
+                <Button variant="tertiary">{t('settings.modal.cancel', 'Cancel')}</Button>
+              </Modal.Close>
+              <Button variant="danger" onClick={applyResolutions} loading={isApplying}>
+                {t('duplicates.apply', 'Resolve {count} group(s)', { count: resolutions.length })}
+              </Button>
+            </Modal.Footer>
+          </Modal.Content>
+        </Modal.Root>
+      )}
+    </Container>
+  );
+};
+
+export default DuplicatesPage;
@@ -6,7 +6,7 @@
  */
 import React, { useState, useEffect } from 'react';
 import { useIntl } from 'react-intl';
-import { useFetchClient, useNotification } from '@strapi/strapi/admin';
+import { useFetchClient, useNotification, useRBAC } from '@strapi/strapi/admin';
 import styled, { keyframes, css } from 'styled-components';
 import {
   Box,
@@ -19,6 +19,16 @@ import {
   Alert,
   Checkbox,
   Modal,
+  ProgressBar,
+  SingleSelect,
+  SingleSelectOption,
+  Table,
+  Tbody,
+  Td,
+  TextInput,
+  Th,
+  Thead,
+  Tr,
 } from '@strapi/design-system';
 import {
   Check,
@@ -33,6 +43,9 @@ import {
   Play,
 } from '@strapi/icons';
 import { PLUGIN_ID } from '../pluginId';
+import { PERMISSIONS } from '../permissions';
+import { SUPPORTED_VERSIONS } from '../utils/uuid';
+import { resetPluginConfig } from '../utils/pluginConfig';
 
 // Animations
 const fadeIn = keyframes`
@@ -244,6 +257,71 @@ const FieldBadge = styled(Badge)`
   border-radius: 6px;
 `;
 
+const NestedFieldBadge = styled(FieldBadge)`
+  background: ${props => props.theme.colors.secondary100};
+  color: ${props => props.theme.colors.secondary700};
+`;
+
+const JobCard = styled(Box)`
+  background: ${props => props.theme.colors.neutral0};
+  border: 1px solid ${props => props.theme.colors.neutral200};
+  border-radius: 16px;
+  padding: 24px 28px;
+  margin-bottom: 24px;
+`;
+
+const JobProgressBar = styled(ProgressBar)`
+  width: 100%;
+`;
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Delay between two job progress requests (ms)
+const JOB_POLL_INTERVAL = 1000;
+
+// Runs in these states have a change set that can be restored
+const ROLLBACK_STATUSES = ['completed', 'failed'];
+
+const AUDIT_SOURCES = ['create', 'edit', 'regenerate', 'import', 'migration', 'autofix', 'generate-missing', 'rollback', 'recompute'];
+const AUDIT_PAGE_SIZE = 20;
+
+// Options of the settings form
+const VERSION_OPTIONS = SUPPORTED_VERSIONS;
+const LOCALE_POLICY_OPTIONS = ['shared', 'per-locale'];
+const UNIQUENESS_SCOPE_OPTIONS = ['field', 'content-type', 'global'];
+const LOG_LEVEL_OPTIONS = ['debug', 'info', 'warn', 'error'];
+const BOOLEAN_SETTINGS = ['autoGenerate', 'validateUniqueness', 'allowManualEdit', 'auditLog', 'uuidHistory', 'autoMigrate'];
+const NUMBER_SETTINGS = ['maxRetryAttempts', 'batchSize'];
+
+// Strategies offered when starting a run; 'manual' applies the choices made in a dry-run report
+const DUPLICATE_STRATEGIES = ['first', 'oldest', 'published', 'most-referenced'];
+
+/**
+ * Collects the duplicate groups of an auto-fix or migration report
+ * @param {Object} report - Job result
+ * @returns {Array} Groups ({ uid, field, uuid, kept, keepers, candidates })
+ */
+const getDuplicateGroups = (report) => {
+  if (Array.isArray(report?.duplicateGroups)) return report.duplicateGroups;
+
+  return Object.entries(report?.details || {}).flatMap(([uid, { fields = {} }]) =>
+    Object.entries(fields).flatMap(([field, fixes]) => (fixes.groups || []).map((group) => ({ uid, field, ...group })))
+  );
+};
+
+/**
+ * Identifies a duplicate group across fields
+ * @param {Object} group - Duplicate group
+ * @returns {string} Group id
+ */
+const getGroupId = (group) => `${group.uid}|${group.field}|${group.uuid}`;
+
+const AuditValue = styled.span`
+  font-family: 'SF Mono', 'Monaco', 'Inconsolata', 'Roboto Mono', monospace;
+  font-size: 12px;
+  word-break: break-all;
+`;
+
 const LargeModalContent = styled(Modal.Content)`
   max-width: 800px !important;
   width: 90vw !important;
@@ -280,12 +358,16 @@ const ImportTextarea = styled.textarea`
 const SettingsPage = () => {
   const { formatMessage } = useIntl();
   const t = (id, defaultMessage, values) => formatMessage({ id: `${PLUGIN_ID}.${id}`, defaultMessage }, values);
-  const { get, post } = useFetchClient();
+  const { get, post, put } = useFetchClient();
   const { toggleNotification } = useNotification();
+  const {
+    allowedActions: { canRead, canFix, canImportExport, canSettings },
+  } = useRBAC(PERMISSIONS);
 
   // State
   const [isLoading, setIsLoading] = useState(false);
   const [models, setModels] = useState({});
+  const [nestedModels, setNestedModels] = useState({});
   const [stats, setStats] = useState(null);
   const [diagnoseReport, setDiagnoseReport] = useState(null);
   const [migrationStatus, setMigrationStatus] = useState(null);
@@ -296,15 +378,33 @@ const SettingsPage = () => {
   const [showGenerateModal, setShowGenerateModal] = useState(false);
   const [showMigrationModal, setShowMigrationModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
+  // Content type the open modal works on (null for all)
+  const [modelScope, setModelScope] = useState(null);
   const [dryRun, setDryRun] = useState(true);
   const [fixReport, setFixReport] = useState(null);
+  const [activeJob, setActiveJob] = useState(null);
+  const [resumableRunId, setResumableRunId] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [rollbackTarget, setRollbackTarget] = useState(null);
+  const [audit, setAudit] = useState({ results: [], pagination: { page: 1, pageCount: 0, total: 0 } });
+  const [auditFilters, setAuditFilters] = useState({ contentType: '', source: '', q: '' });
+  const [auditSearch, setAuditSearch] = useState('');
+  const [auditPage, setAuditPage] = useState(1);
+  const [settings, setSettings] = useState(null);
+  const [settingsForm, setSettingsForm] = useState({});
+  const [isSavingSettings, setIsSavingSettings] = useState(false);
   
   // Migration options
   const [migrationOptions, setMigrationOptions] = useState({
     fixEmpty: true,
     fixInvalid: true,
     fixDuplicates: true,
+    fixPrefix: true,
+    recomputeDerived: false,
   });
+  const [duplicateStrategy, setDuplicateStrategy] = useState('first');
+  // Keeper chosen per duplicate group of the current report ('' skips the group)
+  const [duplicateSelections, setDuplicateSelections] = useState({});
   const [importData, setImportData] = useState('');
 
   /**
@@ -314,6 +414,7 @@ const SettingsPage = () => {
     try {
       const response = await get(`/${PLUGIN_ID}/models`);
       setModels(response.data?.models || {});
+      setNestedModels(response.data?.nested || {});
     } catch (err) {
       console.error('[UUID Settings] Failed to fetch models:', err);
     }
@@ -327,6 +428,7 @@ const SettingsPage = () => {
       const response = await get(`/${PLUGIN_ID}/stats`);
       setStats(response.data);
       setModels(response.data?.models || {});
+      setNestedModels(response.data?.nested || {});
     } catch (err) {
       console.error('[UUID Settings] Failed to fetch stats:', err);
       // Fallback to models endpoint
@@ -348,12 +450,14 @@ const SettingsPage = () => {
 
   /**
    * Runs diagnosis to find duplicate UUIDs
+   * @param {string|string[]} [contentTypes] - Only these content types (all by default)
    */
-  const runDiagnose = async () => {
+  const runDiagnose = async (contentTypes) => {
     setIsLoading(true);
     setError(null);
     try {
-      const response = await get(`/${PLUGIN_ID}/diagnose`);
+      const query = contentTypes ? `?${new URLSearchParams({ contentTypes: [].concat(contentTypes).join(',') })}` : '';
+      const response = await get(`/${PLUGIN_ID}/diagnose${query}`);
       setDiagnoseReport(response.data);
       toggleNotification({
         type: 'success',
@@ -371,103 +475,364 @@ const SettingsPage = () => {
   };
 
   /**
-   * Runs auto-fix to replace duplicate UUIDs
+   * Starts a background job and shows its progress
+   * @param {string} path - Endpoint that enqueues the job
+   * @param {Object} body - Job options
+   * @param {string} errorMessage - Message shown if the job cannot be started
    */
-  const runAutoFix = async () => {
+  const startJob = async (path, body, errorMessage) => {
     setIsLoading(true);
     setError(null);
+    setFixReport(null);
     try {
-      const response = await post(`/${PLUGIN_ID}/autofix`, { dryRun });
-      setFixReport(response.data);
-      
-      if (!dryRun && response.data.totalFixed > 0) {
-        toggleNotification({
-          type: 'success',
-          message: t('settings.autofix.success', '{count} duplicate(s) fixed', { count: response.data.totalFixed }),
-        });
-        await runDiagnose();
-      }
+      const response = await post(`/${PLUGIN_ID}${path}`, body);
+      setActiveJob(response.data.job);
     } catch (err) {
-      setError(t('settings.error.autofix', 'Failed to run auto-fix'));
+      setError(errorMessage);
       toggleNotification({
         type: 'danger',
-        message: t('settings.error.autofix', 'Failed to run auto-fix'),
+        message: errorMessage,
       });
     } finally {
       setIsLoading(false);
       setShowFixModal(false);
+      setShowGenerateModal(false);
+      setShowMigrationModal(false);
     }
   };
 
+  /**
+   * Opens the modal of an action with a fresh dry run
+   * @param {Function} setShowModal - Setter of the modal's visibility
+   * @param {string} [uid] - Only this content type (all by default)
+   */
+  const openActionModal = (setShowModal, uid = null) => {
+    setModelScope(uid);
+    setDryRun(true);
+    setFixReport(null);
+    setShowModal(true);
+  };
+
+  // Content type filter of the actions started from a modal
+  const scopeFilter = modelScope ? { contentTypes: [modelScope] } : {};
+
+  /**
+   * Runs auto-fix to replace duplicate UUIDs
+   */
+  const runAutoFix = () =>
+    startJob(
+      '/autofix',
+      { dryRun, duplicateStrategy, ...scopeFilter },
+      t('settings.error.autofix', 'Failed to run auto-fix')
+    );
+
+  /**
+   * Describes a candidate of a duplicate group, naming the strategies that would keep it
+   * @param {Object} group - Duplicate group from a report
+   * @param {Object} candidate - Candidate of the group
+   * @returns {string} Option label
+   */
+  const describeCandidate = (group, candidate) => {
+    const label = t('settings.duplicates.candidate', '{entry} · created {date} · {status} · {references} reference(s)', {
+      entry: [candidate.documentId, candidate.locale && `(${candidate.locale})`, candidate.path].filter(Boolean).join(' '),
+      date: candidate.createdAt ? new Date(candidate.createdAt).toLocaleDateString() : '-',
+      status: candidate.published
+        ? t('settings.duplicates.published', 'published')
+        : t('settings.duplicates.draft', 'draft'),
+      references: candidate.references,
+    });
+    const strategies = DUPLICATE_STRATEGIES.filter((strategy) => group.keepers?.[strategy] === candidate.key);
+
+    return strategies.length > 0
+      ? `${label} (${strategies.map((strategy) => t(`settings.duplicates.strategy.${strategy}`, strategy)).join(', ')})`
+      : label;
+  };
+
+  /**
+   * Fixes the duplicate groups of the current report, keeping the entries chosen in it.
+   * Groups set to skip are left alone.
+   */
+  const applyDuplicateSelections = () => {
+    const selections = {};
+    for (const group of duplicateGroups) {
+      const key = duplicateSelections[getGroupId(group)] ?? group.kept;
+      if (!key) continue;
+
+      selections[group.uid] = selections[group.uid] || {};
+      selections[group.uid][group.field] = { ...selections[group.uid][group.field], [group.uuid]: key };
+    }
+
+    return startJob(
+      '/autofix',
+      { dryRun: false, duplicateStrategy: 'manual', selections },
+      t('settings.error.autofix', 'Failed to run auto-fix')
+    );
+  };
+
   /**
    * Generates missing UUIDs for empty fields
    */
-  const runGenerateMissing = async () => {
-    setIsLoading(true);
-    setError(null);
+  const runGenerateMissing = () =>
+    startJob(
+      '/generate-missing',
+      { dryRun, ...scopeFilter },
+      t('settings.error.generate', 'Failed to generate missing UUIDs')
+    );
+
+  /**
+   * Runs full migration to fix all UUID issues
+   */
+  const runMigration = () =>
+    startJob(
+      '/migration/run',
+      { dryRun, ...migrationOptions, duplicateStrategy, ...scopeFilter },
+      t('settings.error.migration', 'Failed to run migration')
+    );
+
+  /**
+   * Continues a failed migration run from its last checkpoint
+   */
+  const resumeMigration = () => {
+    const runId = resumableRunId;
+    setResumableRunId(null);
+    return startJob('/migration/run', { resume: runId }, t('settings.error.migration', 'Failed to run migration'));
+  };
+
+  /**
+   * Asks for confirmation, then rolls the selected run back
+   */
+  const runRollback = async () => {
+    const runId = rollbackTarget.id;
+    setRollbackTarget(null);
+    await startJob(`/runs/${runId}/rollback`, {}, t('settings.error.rollback', 'Failed to start rollback'));
+  };
+
+  /**
+   * Loads the recent runs and the size of their change sets
+   */
+  const fetchRuns = async () => {
     try {
-      const response = await post(`/${PLUGIN_ID}/generate-missing`, { dryRun });
-      setFixReport(response.data);
-      
-      if (!dryRun && response.data.totalGenerated > 0) {
-        toggleNotification({
-          type: 'success',
-          message: t('settings.generate.success', '{count} UUID(s) generated', { count: response.data.totalGenerated }),
-        });
-      }
+      const response = await get(`/${PLUGIN_ID}/runs`);
+      setRuns(response.data?.runs || []);
+    } catch (err) {
+      console.error('[UUID Settings] Failed to fetch runs:', err);
+    }
+  };
+
+  /**
+   * Loads the settings editable in the admin panel
+   */
+  const fetchSettings = async () => {
+    try {
+      const response = await get(`/${PLUGIN_ID}/settings`);
+      setSettings(response.data);
+      setSettingsForm(response.data?.settings || {});
+    } catch (err) {
+      console.error('[UUID Settings] Failed to fetch settings:', err);
+    }
+  };
+
+  /**
+   * Changes a value of the settings form
+   * @param {string} key - Option name
+   * @param {*} value - Option value
+   */
+  const updateSettingsForm = (key, value) => {
+    setSettingsForm((current) => ({ ...current, [key]: value }));
+  };
+
+  /**
+   * Saves settings; they apply without restarting Strapi
+   * @param {Object} values - Options to change (null resets an option to config/plugins.js)
+   */
+  const saveSettings = async (values) => {
+    setIsSavingSettings(true);
+    try {
+      const response = await put(`/${PLUGIN_ID}/settings`, { settings: values });
+      setSettings(response.data);
+      setSettingsForm(response.data?.settings || {});
+      resetPluginConfig();
+      toggleNotification({
+        type: 'success',
+        message: t('settings.config.saved', 'Settings saved'),
+      });
     } catch (err) {
-      setError(t('settings.error.generate', 'Failed to generate missing UUIDs'));
       toggleNotification({
         type: 'danger',
-        message: t('settings.error.generate', 'Failed to generate missing UUIDs'),
+        message: err.response?.data?.error?.message || t('settings.error.settings', 'Failed to save settings'),
       });
     } finally {
-      setIsLoading(false);
-      setShowGenerateModal(false);
+      setIsSavingSettings(false);
     }
   };
 
   /**
-   * Runs full migration to fix all UUID issues
+   * Saves the changed values of the settings form
    */
-  const runMigration = async () => {
-    setIsLoading(true);
-    setError(null);
+  const submitSettings = () => {
+    const changed = Object.fromEntries(
+      Object.entries(settingsForm).filter(([key, value]) => value !== settings?.settings?.[key])
+    );
+    if (Object.keys(changed).length > 0) saveSettings(changed);
+  };
+
+  /**
+   * Builds the query string of the audit filters
+   * @returns {string} Query string (without '?')
+   */
+  const getAuditQuery = () => {
+    const params = new URLSearchParams();
+    Object.entries(auditFilters).forEach(([key, value]) => value && params.set(key, value));
+    return params.toString();
+  };
+
+  /**
+   * Loads the current page of the audit log
+   */
+  const fetchAudit = async () => {
     try {
-      const response = await post(`/${PLUGIN_ID}/migration/run`, {
-        dryRun,
-        ...migrationOptions,
+      const query = getAuditQuery();
+      const response = await get(
+        `/${PLUGIN_ID}/audit?page=${auditPage}&pageSize=${AUDIT_PAGE_SIZE}${query ? `&${query}` : ''}`
+      );
+      setAudit(response.data);
+    } catch (err) {
+      console.error('[UUID Settings] Failed to fetch audit log:', err);
+    }
+  };
+
+  /**
+   * Changes an audit filter and goes back to the first page
+   * @param {string} key - Filter name
+   * @param {string} value - Filter value ('' for all)
+   */
+  const updateAuditFilter = (key, value) => {
+    setAuditFilters((current) => ({ ...current, [key]: value }));
+    setAuditPage(1);
+  };
+
+  /**
+   * Downloads the audit entries matching the filters as CSV
+   */
+  const exportAudit = async () => {
+    try {
+      const response = await get(`/${PLUGIN_ID}/audit/export?${getAuditQuery()}`, { responseType: 'blob' });
+      const blob = response.data instanceof Blob ? response.data : new Blob([response.data], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `uuid-audit-${Date.now()}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toggleNotification({
+        type: 'danger',
+        message: t('settings.error.auditExport', 'Failed to export the audit log'),
       });
-      setFixReport(response.data);
-      
-      if (!dryRun && response.data.totalFixed > 0) {
-        toggleNotification({
-          type: 'success',
-          message: t('settings.migration.success', 'Migration completed: {count} entries fixed', { count: response.data.totalFixed }),
-        });
-        await fetchStats();
-        await fetchMigrationStatus();
-      }
+    }
+  };
+
+  /**
+   * Shows the outcome of a finished job
+   * @param {Object} job - Finished job
+   */
+  const handleJobFinished = async (job) => {
+    await fetchRuns();
+    await fetchAudit();
+
+    if (job.status === 'cancelled') {
+      toggleNotification({
+        type: 'warning',
+        message: t('settings.job.cancelled', 'Job cancelled. Changes made before the cancellation are kept.'),
+      });
+      return;
+    }
+
+    if (job.status === 'failed') {
+      const message = t('settings.error.job', 'Job failed: {error}', { error: job.error });
+      // Failed migrations keep their checkpoint and can be continued
+      setResumableRunId(job.type === 'migration' ? job.result?.runId || null : null);
+      setError(message);
+      toggleNotification({ type: 'danger', message });
+      return;
+    }
+
+    const result = job.result || {};
+
+    if (job.type === 'rollback') {
+      toggleNotification({
+        type: 'success',
+        message: t('settings.runs.rolledBack', 'Rollback completed: {count} value(s) restored', { count: result.restored }),
+      });
+      await fetchStats();
+      return;
+    }
+
+    setFixReport(result);
+    setDuplicateSelections({});
+    if (result.dryRun) return;
+
+    if (job.type === 'autofix' && result.totalFixed > 0) {
+      toggleNotification({
+        type: 'success',
+        message: t('settings.autofix.success', '{count} duplicate(s) fixed', { count: result.totalFixed }),
+      });
+      await runDiagnose(job.params?.contentTypes);
+    } else if (job.type === 'generate-missing' && result.totalGenerated > 0) {
+      toggleNotification({
+        type: 'success',
+        message: t('settings.generate.success', '{count} UUID(s) generated', { count: result.totalGenerated }),
+      });
+    } else if (job.type === 'migration' && result.totalFixed > 0) {
+      toggleNotification({
+        type: 'success',
+        message: t('settings.migration.success', 'Migration completed: {count} entries fixed', { count: result.totalFixed }),
+      });
+      await fetchStats();
+      await fetchMigrationStatus();
+    }
+  };
+
+  /**
+   * Resumes the progress display of a job started before the page was (re)loaded
+   */
+  const fetchActiveJob = async () => {
+    try {
+      const response = await get(`/${PLUGIN_ID}/jobs?active=true`);
+      const [job] = response.data?.jobs || [];
+      if (job) setActiveJob(job);
+    } catch (err) {
+      console.error('[UUID Settings] Failed to fetch active jobs:', err);
+    }
+  };
+
+  /**
+   * Requests the cancellation of the active job
+   */
+  const cancelJob = async () => {
+    try {
+      const response = await post(`/${PLUGIN_ID}/jobs/${activeJob.id}/cancel`);
+      setActiveJob(response.data.job);
     } catch (err) {
-      setError(t('settings.error.migration', 'Failed to run migration'));
       toggleNotification({
         type: 'danger',
-        message: t('settings.error.migration', 'Failed to run migration'),
+        message: t('settings.error.cancel', 'Failed to cancel job'),
       });
-    } finally {
-      setIsLoading(false);
-      setShowMigrationModal(false);
     }
   };
 
   /**
    * Exports UUID mappings as JSON file
+   * @param {string} [uid] - Only this content type (all by default)
    */
-  const exportMappings = async () => {
+  const exportMappings = async (uid) => {
     setIsLoading(true);
     setError(null);
     try {
-      const response = await get(`/${PLUGIN_ID}/migration/export`);
+      const query = uid ? `?${new URLSearchParams({ contentTypes: uid })}` : '';
+      const response = await get(`/${PLUGIN_ID}/migration/export${query}`);
       
       // Create and download file
       const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
@@ -523,6 +888,8 @@ const SettingsPage = () => {
           message: t('settings.import.success', '{count} UUID(s) imported', { count: response.data.imported }),
         });
         await fetchStats();
+        await fetchRuns();
+        await fetchAudit();
       }
     } catch (err) {
       setError(t('settings.error.import', 'Failed to import UUID mappings'));
@@ -536,19 +903,62 @@ const SettingsPage = () => {
     }
   };
 
-  // Load stats and migration status on mount
+  // Load stats, migration status and running jobs on mount
   useEffect(() => {
     fetchStats();
     fetchMigrationStatus();
+    fetchActiveJob();
+    fetchRuns();
+    fetchSettings();
   }, []);
 
-  const modelCount = stats?.contentTypes ?? Object.keys(models).length;
-  const fieldCount = stats?.totalFields ?? Object.values(models).reduce((sum, fields) => sum + fields.length, 0);
+  // Reload the audit log when its filters or page change
+  useEffect(() => {
+    fetchAudit();
+  }, [auditFilters, auditPage]);
+
+  // Poll the active job until it has finished
+  useEffect(() => {
+    if (!activeJob || !ACTIVE_JOB_STATUSES.includes(activeJob.status)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await get(`/${PLUGIN_ID}/jobs/${activeJob.id}`);
+        const job = response.data.job;
+        setActiveJob(job);
+
+        if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+          await handleJobFinished(job);
+        }
+      } catch (err) {
+        console.error('[UUID Settings] Failed to fetch job progress:', err);
+        setActiveJob({ ...activeJob });
+      }
+    }, JOB_POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [activeJob]);
+
+  const modelUids = [...new Set([...Object.keys(models), ...Object.keys(nestedModels)])];
+  const modelCount = stats?.contentTypes ?? modelUids.length;
+  const fieldCount = stats?.totalFields ?? [...Object.values(models), ...Object.values(nestedModels)]
+    .reduce((sum, fields) => sum + fields.length, 0);
   const duplicateCount = stats?.issues?.duplicates ?? diagnoseReport?.totalDuplicates ?? null;
   const emptyCount = stats?.issues?.empty ?? null;
   const invalidCount = stats?.issues?.invalid ?? null;
   const totalEntries = stats?.totalEntries ?? null;
   const needsMigration = stats?.needsMigration ?? migrationStatus?.needsMigration ?? false;
+  const jobRunning = activeJob !== null && ACTIVE_JOB_STATUSES.includes(activeJob.status);
+  const jobProgress = activeJob?.progress || {};
+  const duplicateGroups = fixReport?.dryRun ? getDuplicateGroups(fixReport) : [];
+  const scopeCollisions = (diagnoseReport?.scopes || []).flatMap((scope) =>
+    scope.collisions.map((collision) => ({ scope: scope.scope, ...collision }))
+  );
+  const modelScopeNotice = modelScope && (
+    <Alert variant="default">
+      {t('settings.modal.scope', 'Only {contentType} is processed.', { contentType: modelScope })}
+    </Alert>
+  );
 
   if (isLoading && !diagnoseReport) {
     return (
@@ -600,7 +1010,16 @@ const SettingsPage = () => {
         {/* Error Alert */}
         {error && (
           <Box marginBottom={6}>
-            <Alert variant="danger" closeLabel="Close" onClose={() => setError(null)}>
+            <Alert
+              variant="danger"
+              closeLabel="Close"
+              onClose={() => { setError(null); setResumableRunId(null); }}
+              action={canFix && resumableRunId && (
+                <Button variant="default" size="S" onClick={resumeMigration} disabled={jobRunning}>
+                  {t('settings.migration.resume', 'Resume Migration')}
+                </Button>
+              )}
+            >
               {error}
             </Alert>
           </Box>
@@ -659,11 +1078,11 @@ const SettingsPage = () => {
             <Alert 
               variant="warning" 
               title={t('settings.migration.needed', 'Migration Needed')}
-              action={
-                <Button variant="default" size="S" onClick={() => setShowMigrationModal(true)}>
+              action={canFix && (
+                <Button variant="default" size="S" onClick={() => openActionModal(setShowMigrationModal)}>
                   {t('settings.actions.migration', 'Run Migration')}
                 </Button>
-              }
+              )}
             >
               {t('settings.migration.warning', 'Some UUID fields have issues that need to be fixed. Run a migration to resolve them.')}
             </Alert>
@@ -710,80 +1129,139 @@ const SettingsPage = () => {
         </SectionTitle>
         
         <ActionGrid>
-          <ActionCard onClick={runDiagnose} $color="#3B82F6">
-            <ActionIcon $bg="#DBEAFE" $color="#2563EB">
-              <Search />
-            </ActionIcon>
-            <ActionTitle>
-              {t('settings.actions.diagnose', 'Run Diagnosis')}
-            </ActionTitle>
-            <ActionDescription>
-              {t('settings.actions.diagnose.description', 'Scan all UUID fields for duplicates and issues. This will check every entry in your content types.')}
-            </ActionDescription>
-          </ActionCard>
-
-          <ActionCard onClick={() => { setDryRun(true); setFixReport(null); setShowFixModal(true); }} $color="#F59E0B">
-            <ActionIcon $bg="#FEF3C7" $color="#D97706">
-              <Cog />
-            </ActionIcon>
-            <ActionTitle>
-              {t('settings.actions.autofix', 'Auto-Fix Duplicates')}
-            </ActionTitle>
-            <ActionDescription>
-              {t('settings.actions.autofix.description', 'Automatically replace duplicate UUIDs with new unique values. The first occurrence will be kept.')}
-            </ActionDescription>
-          </ActionCard>
-
-          <ActionCard onClick={() => { setDryRun(true); setFixReport(null); setShowGenerateModal(true); }} $color="#10B981">
-            <ActionIcon $bg="#DCFCE7" $color="#16A34A">
-              <Plus />
-            </ActionIcon>
-            <ActionTitle>
-              {t('settings.actions.generate', 'Generate Missing UUIDs')}
-            </ActionTitle>
-            <ActionDescription>
-              {t('settings.actions.generate.description', 'Create new UUIDs for entries that have empty or missing UUID fields.')}
-            </ActionDescription>
-          </ActionCard>
-
-          <ActionCard onClick={() => { setDryRun(true); setFixReport(null); setShowMigrationModal(true); }} $color="#8B5CF6">
-            <ActionIcon $bg="#EDE9FE" $color="#7C3AED">
-              <Play />
-            </ActionIcon>
-            <ActionTitle>
-              {t('settings.actions.migration', 'Run Migration')}
-            </ActionTitle>
-            <ActionDescription>
-              {t('settings.actions.migration.description', 'Fix all UUID issues at once: empty fields, invalid formats, and duplicates.')}
-            </ActionDescription>
-          </ActionCard>
-
-          <ActionCard onClick={exportMappings} $color="#06B6D4">
-            <ActionIcon $bg="#CFFAFE" $color="#0891B2">
-              <Download />
-            </ActionIcon>
-            <ActionTitle>
-              {t('settings.actions.export', 'Export Mappings')}
-            </ActionTitle>
-            <ActionDescription>
-              {t('settings.actions.export.description', 'Download a backup of all UUID mappings as JSON for migration or backup purposes.')}
-            </ActionDescription>
-          </ActionCard>
-
-          <ActionCard onClick={() => { setDryRun(true); setImportData(''); setShowImportModal(true); }} $color="#EC4899">
-            <ActionIcon $bg="#FCE7F3" $color="#DB2777">
-              <Upload />
-            </ActionIcon>
-            <ActionTitle>
-              {t('settings.actions.import', 'Import Mappings')}
-            </ActionTitle>
-            <ActionDescription>
-              {t('settings.actions.import.description', 'Restore UUID mappings from a previously exported JSON backup file.')}
-            </ActionDescription>
-          </ActionCard>
+          {canRead && (
+            <ActionCard onClick={() => runDiagnose()} $color="#3B82F6">
+              <ActionIcon $bg="#DBEAFE" $color="#2563EB">
+                <Search />
+              </ActionIcon>
+              <ActionTitle>
+                {t('settings.actions.diagnose', 'Run Diagnosis')}
+              </ActionTitle>
+              <ActionDescription>
+                {t('settings.actions.diagnose.description', 'Scan all UUID fields for duplicates and issues. This will check every entry in your content types.')}
+              </ActionDescription>
+            </ActionCard>
+          )}
+
+          {canFix && (
+            <ActionCard onClick={() => openActionModal(setShowFixModal)} $color="#F59E0B">
+              <ActionIcon $bg="#FEF3C7" $color="#D97706">
+                <Cog />
+              </ActionIcon>
+              <ActionTitle>
+                {t('settings.actions.autofix', 'Auto-Fix Duplicates')}
+              </ActionTitle>
+              <ActionDescription>
+                {t('settings.actions.autofix.description', 'Replace duplicate UUIDs with new unique values. One entry of each group keeps its value.')}
+              </ActionDescription>
+            </ActionCard>
+          )}
+
+          {canFix && (
+            <ActionCard onClick={() => openActionModal(setShowGenerateModal)} $color="#10B981">
+              <ActionIcon $bg="#DCFCE7" $color="#16A34A">
+                <Plus />
+              </ActionIcon>
+              <ActionTitle>
+                {t('settings.actions.generate', 'Generate Missing UUIDs')}
+              </ActionTitle>
+              <ActionDescription>
+                {t('settings.actions.generate.description', 'Create new UUIDs for entries that have empty or missing UUID fields.')}
+              </ActionDescription>
+            </ActionCard>
+          )}
+
+          {canFix && (
+            <ActionCard onClick={() => openActionModal(setShowMigrationModal)} $color="#8B5CF6">
+              <ActionIcon $bg="#EDE9FE" $color="#7C3AED">
+                <Play />
+              </ActionIcon>
+              <ActionTitle>
+                {t('settings.actions.migration', 'Run Migration')}
+              </ActionTitle>
+              <ActionDescription>
+                {t('settings.actions.migration.description', 'Fix all UUID issues at once: empty fields, invalid formats, and duplicates.')}
+              </ActionDescription>
+            </ActionCard>
+          )}
+
+          {canImportExport && (
+            <ActionCard onClick={() => exportMappings()} $color="#06B6D4">
+              <ActionIcon $bg="#CFFAFE" $color="#0891B2">
+                <Download />
+              </ActionIcon>
+              <ActionTitle>
+                {t('settings.actions.export', 'Export Mappings')}
+              </ActionTitle>
+              <ActionDescription>
+                {t('settings.actions.export.description', 'Download a backup of all UUID mappings as JSON for migration or backup purposes.')}
+              </ActionDescription>
+            </ActionCard>
+          )}
+
+          {canImportExport && (
+            <ActionCard onClick={() => { setDryRun(true); setImportData(''); setShowImportModal(true); }} $color="#EC4899">
+              <ActionIcon $bg="#FCE7F3" $color="#DB2777">
+                <Upload />
+              </ActionIcon>
+              <ActionTitle>
+                {t('settings.actions.import', 'Import Mappings')}
+              </ActionTitle>
+              <ActionDescription>
+                {t('settings.actions.import.description', 'Restore UUID mappings from a previously exported JSON backup file.')}
+              </ActionDescription>
+            </ActionCard>
+          )}
         </ActionGrid>
 
-        {/* Fix Report */}
+        {/* Background Job Progress */}
+        {jobRunning && (
+          <JobCard>
+            <Flex justifyContent="space-between" alignItems="center" marginBottom={4}>
+              <Box>
+                <Typography variant="delta" fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                  {t(`settings.job.type.${activeJob.type}`, activeJob.type)}
+                  {activeJob.params?.dryRun ? ` (${t('settings.report.dryrun', 'Preview (Dry Run)')})` : ''}
+                  {activeJob.params?.contentTypes ? ` · ${activeJob.params.contentTypes.join(', ')}` : ''}
+                </Typography>
+                <Typography variant="pi" textColor="neutral600">
+                  {activeJob.status === 'queued'
+                    ? t('settings.job.queued', 'Waiting to start...')
+                    : activeJob.type === 'rollback'
+                    ? t(`settings.job.rollback.${jobProgress.field || 'check'}`, '{processed} of {total} changes', {
+                        processed: jobProgress.processed || 0,
+                        total: jobProgress.total || 0,
+                      })
+                    : t('settings.job.progress', 'Field {current} of {fields}: {processed} of {total} rows in {field}', {
+                        current: Math.min((jobProgress.fieldsDone || 0) + 1, jobProgress.fieldsTotal || 1),
+                        fields: jobProgress.fieldsTotal || 0,
+                        processed: jobProgress.processed || 0,
+                        total: jobProgress.total || 0,
+                        field: jobProgress.uid ? `${jobProgress.uid}.${jobProgress.field}` : '-',
+                      })}
+                </Typography>
+                {jobProgress.errors > 0 && (
+                  <Typography variant="pi" textColor="danger600" style={{ display: 'block' }}>
+                    {t('settings.job.errors', '{count} error(s) so far', { count: jobProgress.errors })}
+                  </Typography>
+                )}
+              </Box>
+              {canFix && (
+                <Button variant="danger-light" onClick={cancelJob} disabled={activeJob.cancelRequested}>
+                  {activeJob.cancelRequested
+                    ? t('settings.job.cancelling', 'Cancelling...')
+                    : t('settings.job.cancel', 'Cancel')}
+                </Button>
+              )}
+            </Flex>
+            <JobProgressBar value={jobProgress.percent || 0} size="M" />
+            <Typography variant="pi" textColor="neutral500" style={{ display: 'block', marginTop: '8px' }}>
+              {jobProgress.percent || 0}%
+            </Typography>
+          </JobCard>
+        )}
+
+                {/* Fix Report */}
         {fixReport && (
           <Box marginBottom={6}>
             <Alert 
@@ -808,10 +1286,252 @@ const SettingsPage = () => {
                   })}
                 </Typography>
               )}
+              {(fixReport.totalSkipped || fixReport.skippedDuplicates) > 0 && (
+                <Typography>
+                  {t('settings.report.skipped', '{count} duplicate group(s) skipped', {
+                    count: fixReport.totalSkipped || fixReport.skippedDuplicates,
+                  })}
+                </Typography>
+              )}
             </Alert>
+
+            {/* Keeper of each duplicate group, as chosen by the strategy or by hand */}
+            {duplicateGroups.length > 0 && (
+              <Box marginTop={4} background="neutral0" hasRadius shadow="tableShadow" padding={4}>
+                <Typography variant="delta" fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                  {t('settings.duplicates.title', 'Duplicate Groups')}
+                </Typography>
+                <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginBottom: '16px' }}>
+                  {t('settings.duplicates.description', 'Choose the entry that keeps each value. The other entries of the group get new values.')}
+                </Typography>
+                <Table colCount={3} rowCount={duplicateGroups.length + 1}>
+                  <Thead>
+                    <Tr>
+                      <Th><Typography variant="sigma">{t('settings.audit.column.field', 'Field')}</Typography></Th>
+                      <Th><Typography variant="sigma">{t('settings.duplicates.column.value', 'Value')}</Typography></Th>
+                      <Th><Typography variant="sigma">{t('settings.duplicates.column.keep', 'Keep')}</Typography></Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {duplicateGroups.map((group) => (
+                      <Tr key={getGroupId(group)}>
+                        <Td>
+                          <Typography variant="pi">{`${group.uid}.${group.field}`}</Typography>
+                        </Td>
+                        <Td>
+                          <AuditValue>{group.uuid}</AuditValue>
+                        </Td>
+                        <Td style={{ minWidth: 360 }}>
+                          <SingleSelect
+                            aria-label={t('settings.duplicates.column.keep', 'Keep')}
+                            value={duplicateSelections[getGroupId(group)] ?? group.kept ?? ''}
+                            onChange={(value) =>
+                              setDuplicateSelections((prev) => ({ ...prev, [getGroupId(group)]: value }))
+                            }
+                            disabled={!canFix}
+                          >
+                            <SingleSelectOption value="">
+                              {t('settings.duplicates.skip', 'Skip this group')}
+                            </SingleSelectOption>
+                            {group.candidates.map((candidate) => (
+                              <SingleSelectOption key={candidate.key} value={candidate.key}>
+                                {describeCandidate(group, candidate)}
+                              </SingleSelectOption>
+                            ))}
+                          </SingleSelect>
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+                {(fixReport.groupsTruncated || fixReport.duplicateGroupsTruncated) && (
+                  <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginTop: '8px' }}>
+                    {t('settings.duplicates.truncated', 'Only the first 1000 groups are listed.')}
+                  </Typography>
+                )}
+                {canFix && (
+                  <Flex justifyContent="flex-end" marginTop={4}>
+                    <Button variant="danger" onClick={applyDuplicateSelections} disabled={jobRunning} loading={isLoading}>
+                      {t('settings.duplicates.apply', 'Fix with these choices')}
+                    </Button>
+                  </Flex>
+                )}
+              </Box>
+            )}
           </Box>
         )}
 
+        {/* Past Runs */}
+        {runs.length > 0 && (
+          <Box marginBottom={6}>
+            <SectionTitle>
+              <ArrowClockwise style={{ width: 20, height: 20 }} />
+              {t('settings.runs.title', 'Past Runs')}
+            </SectionTitle>
+            <Box background="neutral0" hasRadius shadow="tableShadow" padding={4}>
+              {runs.map((run) => (
+                <ModelRow key={run.id} justifyContent="space-between" alignItems="center">
+                  <Box style={{ flex: 1 }}>
+                    <ModelName>{t(`settings.job.type.${run.type}`, run.type)}</ModelName>
+                    <Typography variant="pi" textColor="neutral600">
+                      {t('settings.runs.details', '{date} · {count} change(s)', {
+                        date: run.startedAt ? new Date(run.startedAt).toLocaleString() : '-',
+                        count: run.changeCount ?? 0,
+                      })}
+                    </Typography>
+                  </Box>
+                  <Flex gap={3} alignItems="center">
+                    <Badge>{t(`settings.runs.status.${run.status}`, run.status)}</Badge>
+                    {canFix && (
+                      <Button
+                        variant="tertiary"
+                        size="S"
+                        onClick={() => setRollbackTarget(run)}
+                        disabled={jobRunning || !ROLLBACK_STATUSES.includes(run.status) || !run.changeCount}
+                      >
+                        {t('settings.runs.rollback', 'Rollback')}
+                      </Button>
+                    )}
+                  </Flex>
+                </ModelRow>
+              ))}
+            </Box>
+          </Box>
+        )}
+
+        {/* Audit Log */}
+        <Box marginBottom={6}>
+          <Flex justifyContent="space-between" alignItems="center">
+            <SectionTitle>
+              <Search style={{ width: 20, height: 20 }} />
+              {t('settings.audit.title', 'Audit Log')}
+            </SectionTitle>
+            {canImportExport && (
+              <Button variant="secondary" startIcon={<Download />} onClick={exportAudit}>
+                {t('settings.audit.export', 'Export CSV')}
+              </Button>
+            )}
+          </Flex>
+          <Flex gap={3} marginBottom={4} alignItems="flex-end" wrap="wrap">
+            <Box style={{ minWidth: 240 }}>
+              <SingleSelect
+                aria-label={t('settings.audit.filter.contentType', 'Content type')}
+                placeholder={t('settings.audit.filter.contentType', 'Content type')}
+                value={auditFilters.contentType}
+                onChange={(value) => updateAuditFilter('contentType', value)}
+              >
+                <SingleSelectOption value="">{t('settings.audit.filter.all', 'All')}</SingleSelectOption>
+                {modelUids.map((uid) => (
+                  <SingleSelectOption key={uid} value={uid}>{uid}</SingleSelectOption>
+                ))}
+              </SingleSelect>
+            </Box>
+            <Box style={{ minWidth: 200 }}>
+              <SingleSelect
+                aria-label={t('settings.audit.filter.source', 'Source')}
+                placeholder={t('settings.audit.filter.source', 'Source')}
+                value={auditFilters.source}
+                onChange={(value) => updateAuditFilter('source', value)}
+              >
+                <SingleSelectOption value="">{t('settings.audit.filter.all', 'All')}</SingleSelectOption>
+                {AUDIT_SOURCES.map((source) => (
+                  <SingleSelectOption key={source} value={source}>
+                    {t(`settings.audit.source.${source}`, source)}
+                  </SingleSelectOption>
+                ))}
+              </SingleSelect>
+            </Box>
+            <Box style={{ flex: 1, minWidth: 240 }}>
+              <TextInput
+                aria-label={t('settings.audit.filter.search', 'Entry ID or UUID')}
+                placeholder={t('settings.audit.filter.search', 'Entry ID or UUID')}
+                value={auditSearch}
+                onChange={(event) => setAuditSearch(event.target.value)}
+                onKeyDown={(event) => event.key === 'Enter' && updateAuditFilter('q', auditSearch.trim())}
+              />
+            </Box>
+            <Button variant="tertiary" onClick={() => updateAuditFilter('q', auditSearch.trim())}>
+              {t('settings.audit.filter.apply', 'Search')}
+            </Button>
+          </Flex>
+
+          {audit.results.length === 0 ? (
+            <Box padding={6} background="neutral100" hasRadius style={{ textAlign: 'center' }}>
+              <Typography variant="omega" textColor="neutral600">
+                {t('settings.audit.empty', 'No UUID changes recorded yet.')}
+              </Typography>
+            </Box>
+          ) : (
+            <>
+              <Table colCount={6} rowCount={audit.results.length + 1}>
+                <Thead>
+                  <Tr>
+                    <Th><Typography variant="sigma">{t('settings.audit.column.date', 'Date')}</Typography></Th>
+                    <Th><Typography variant="sigma">{t('settings.audit.column.source', 'Source')}</Typography></Th>
+                    <Th><Typography variant="sigma">{t('settings.audit.column.field', 'Field')}</Typography></Th>
+                    <Th><Typography variant="sigma">{t('settings.audit.column.entry', 'Entry')}</Typography></Th>
+                    <Th><Typography variant="sigma">{t('settings.audit.column.change', 'Old → New')}</Typography></Th>
+                    <Th><Typography variant="sigma">{t('settings.audit.column.actor', 'Actor')}</Typography></Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {audit.results.map((entry) => (
+                    <Tr key={entry.id}>
+                      <Td>
+                        <Typography variant="pi">{new Date(entry.occurredAt).toLocaleString()}</Typography>
+                      </Td>
+                      <Td>
+                        <Badge>{t(`settings.audit.source.${entry.source}`, entry.source)}</Badge>
+                      </Td>
+                      <Td>
+                        <Typography variant="pi">{`${entry.contentType}.${entry.field}`}</Typography>
+                      </Td>
+                      <Td>
+                        <Typography variant="pi">
+                          {entry.entryDocumentId || '-'}
+                          {entry.entryLocale ? ` (${entry.entryLocale})` : ''}
+                        </Typography>
+                      </Td>
+                      <Td>
+                        <AuditValue>{entry.oldValue || '-'}</AuditValue>
+                        {' → '}
+                        <AuditValue>{entry.newValue || '-'}</AuditValue>
+                      </Td>
+                      <Td>
+                        <Typography variant="pi">
+                          {entry.actorName || entry.actorId || t(`settings.audit.actor.${entry.actorType}`, entry.actorType)}
+                        </Typography>
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+              <Flex justifyContent="space-between" alignItems="center" marginTop={3}>
+                <Typography variant="pi" textColor="neutral600">
+                  {t('settings.audit.pagination', 'Page {page} of {pageCount} ({total} changes)', {
+                    page: audit.pagination.page,
+                    pageCount: Math.max(audit.pagination.pageCount, 1),
+                    total: audit.pagination.total,
+                  })}
+                </Typography>
+                <Flex gap={2}>
+                  <Button variant="tertiary" size="S" disabled={auditPage <= 1} onClick={() => setAuditPage(auditPage - 1)}>
+                    {t('settings.audit.previous', 'Previous')}
+                  </Button>
+                  <Button
+                    variant="tertiary"
+                    size="S"
+                    disabled={auditPage >= audit.pagination.pageCount}
+                    onClick={() => setAuditPage(auditPage + 1)}
+                  >
+                    {t('settings.audit.next', 'Next')}
+                  </Button>
+                </Flex>
+              </Flex>
+            </>
+          )}
+        </Box>
+
         {/* Models Accordion */}
         {modelCount > 0 && (
           <Box>
@@ -829,29 +1549,41 @@ const SettingsPage = () => {
                 </Accordion.Header>
                 <Accordion.Content>
                   <Box padding={4}>
-                    {Object.entries(models).map(([uid, fields]) => {
+                    {modelUids.map((uid) => {
+                      const fields = models[uid] || [];
+                      const nestedFields = nestedModels[uid] || [];
                       const duplicateInfo = diagnoseReport?.details?.[uid];
                       const hasDuplicates = duplicateInfo && Object.values(duplicateInfo.fields).some(
                         f => f.duplicateGroups > 0
                       );
+                      const hasCollisions = duplicateInfo && Object.values(duplicateInfo.fields).some(
+                        f => f.collisions > 0
+                      );
                       
                       return (
                         <ModelRow key={uid} justifyContent="space-between" alignItems="center">
                           <Box style={{ flex: 1 }}>
                             <ModelName>{uid}</ModelName>
-                            <Flex gap={2}>
+                            <Flex gap={2} wrap="wrap">
                               {fields.map(field => (
                                 <FieldBadge key={field}>
                                   {field}
                                 </FieldBadge>
                               ))}
+                              {nestedFields.map(path => (
+                                <NestedFieldBadge key={path} title={t('settings.models.nested', 'Inside a component or dynamic zone')}>
+                                  {path}
+                                </NestedFieldBadge>
+                              ))}
                             </Flex>
                           </Box>
-                          {diagnoseReport ? (
-                            hasDuplicates ? (
+                          {duplicateInfo ? (
+                            hasDuplicates || hasCollisions ? (
                               <StatusBadge style={{ background: '#FEE2E2', color: '#DC2626' }}>
                                 <WarningCircle style={{ width: 16, height: 16 }} />
-                                {t('settings.status.duplicates', 'Has Duplicates')}
+                                {hasDuplicates
+                                  ? t('settings.status.duplicates', 'Has Duplicates')
+                                  : t('settings.status.collisions', 'Scope Collisions')}
                               </StatusBadge>
                             ) : (
                               <StatusBadge style={{ background: '#DCFCE7', color: '#16A34A' }}>
@@ -864,6 +1596,31 @@ const SettingsPage = () => {
                               {t('settings.status.notScanned', 'Not scanned yet')}
                             </Typography>
                           )}
+                          <Flex gap={1} marginLeft={4}>
+                            {canRead && (
+                              <Button variant="tertiary" size="S" disabled={isLoading} onClick={() => runDiagnose(uid)}>
+                                {t('settings.models.action.diagnose', 'Diagnose')}
+                              </Button>
+                            )}
+                            {canFix && fields.length + nestedFields.length > 0 && (
+                              <>
+                                <Button variant="tertiary" size="S" onClick={() => openActionModal(setShowFixModal, uid)}>
+                                  {t('settings.models.action.autofix', 'Fix')}
+                                </Button>
+                                <Button variant="tertiary" size="S" onClick={() => openActionModal(setShowGenerateModal, uid)}>
+                                  {t('settings.models.action.generate', 'Generate')}
+                                </Button>
+                                <Button variant="tertiary" size="S" onClick={() => openActionModal(setShowMigrationModal, uid)}>
+                                  {t('settings.models.action.migration', 'Migrate')}
+                                </Button>
+                              </>
+                            )}
+                            {canImportExport && fields.length > 0 && (
+                              <Button variant="tertiary" size="S" disabled={isLoading} onClick={() => exportMappings(uid)}>
+                                {t('settings.models.action.export', 'Export')}
+                              </Button>
+                            )}
+                          </Flex>
                         </ModelRow>
                       );
                     })}
@@ -874,6 +1631,51 @@ const SettingsPage = () => {
           </Box>
         )}
 
+        {/* Values shared by different fields of a uniqueness scope */}
+        {scopeCollisions.length > 0 && (
+          <Box marginTop={6} background="neutral0" hasRadius shadow="tableShadow" padding={6}>
+            <SectionTitle>
+              <WarningCircle style={{ width: 20, height: 20 }} />
+              {t('settings.collisions.title', 'Uniqueness Scope Collisions')}
+            </SectionTitle>
+            <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginBottom: '16px' }}>
+              {t('settings.collisions.description', 'These values are held by several fields that share a uniqueness scope. Change all but one of them.')}
+            </Typography>
+            <Table colCount={3} rowCount={scopeCollisions.length + 1}>
+              <Thead>
+                <Tr>
+                  <Th><Typography variant="sigma">{t('settings.collisions.column.scope', 'Scope')}</Typography></Th>
+                  <Th><Typography variant="sigma">{t('settings.duplicates.column.value', 'Value')}</Typography></Th>
+                  <Th><Typography variant="sigma">{t('settings.collisions.column.entries', 'Entries')}</Typography></Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {scopeCollisions.map((collision) => (
+                  <Tr key={`${collision.scope}|${collision.uuid}`}>
+                    <Td>
+                      <Typography variant="pi">{collision.scope}</Typography>
+                    </Td>
+                    <Td>
+                      <AuditValue>{collision.uuid}</AuditValue>
+                    </Td>
+                    <Td>
+                      {collision.occurrences.map((occurrence) => (
+                        <Typography
+                          key={`${occurrence.contentType}.${occurrence.field}:${occurrence.documentId}:${occurrence.locale}`}
+                          variant="pi"
+                          style={{ display: 'block' }}
+                        >
+                          {`${occurrence.contentType}.${occurrence.field} · ${occurrence.documentId}${occurrence.locale ? ` (${occurrence.locale})` : ''}`}
+                        </Typography>
+                      ))}
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          </Box>
+        )}
+
         {modelCount === 0 && (
           <Box padding={8} background="neutral100" hasRadius style={{ textAlign: 'center' }}>
             <Typography variant="omega" textColor="neutral600" style={{ fontSize: '15px' }}>
@@ -881,6 +1683,89 @@ const SettingsPage = () => {
             </Typography>
           </Box>
         )}
+        {/* Plugin Settings */}
+        {settings && (
+          <Box marginTop={6}>
+            <SectionTitle>
+              <Cog style={{ width: 20, height: 20 }} />
+              {t('settings.config.title', 'Settings')}
+            </SectionTitle>
+            <Box background="neutral0" hasRadius shadow="tableShadow" padding={6}>
+              <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginBottom: '16px' }}>
+                {t('settings.config.description', 'Changes apply immediately and override config/plugins.js. Options marked with * differ from config/plugins.js.')}
+              </Typography>
+              <Flex gap={4} wrap="wrap" alignItems="flex-end" marginBottom={4}>
+                {[
+                  // Registered generators come with the settings
+                  ['defaultVersion', settings.formats?.map((format) => format.name) || VERSION_OPTIONS],
+                  ['localePolicy', LOCALE_POLICY_OPTIONS],
+                  ['uniquenessScope', UNIQUENESS_SCOPE_OPTIONS],
+                  ['logLevel', LOG_LEVEL_OPTIONS],
+                ].map(([key, options]) => (
+                  <Box key={key} style={{ minWidth: 200 }}>
+                    <Typography variant="pi" fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                      {t(`settings.config.${key}`, key)}
+                      {settings.overridden.includes(key) && ' *'}
+                    </Typography>
+                    <SingleSelect
+                      aria-label={t(`settings.config.${key}`, key)}
+                      value={settingsForm[key]}
+                      onChange={(value) => updateSettingsForm(key, value)}
+                      disabled={!canSettings}
+                    >
+                      {options.map((option) => (
+                        <SingleSelectOption key={option} value={option}>{option}</SingleSelectOption>
+                      ))}
+                    </SingleSelect>
+                  </Box>
+                ))}
+                {NUMBER_SETTINGS.map((key) => (
+                  <Box key={key} style={{ minWidth: 160 }}>
+                    <Typography variant="pi" fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                      {t(`settings.config.${key}`, key)}
+                      {settings.overridden.includes(key) && ' *'}
+                    </Typography>
+                    <TextInput
+                      type="number"
+                      min={1}
+                      aria-label={t(`settings.config.${key}`, key)}
+                      value={settingsForm[key] ?? ''}
+                      onChange={(event) => updateSettingsForm(key, Number(event.target.value))}
+                      disabled={!canSettings}
+                    />
+                  </Box>
+                ))}
+              </Flex>
+              <Flex gap={6} wrap="wrap" marginBottom={4}>
+                {BOOLEAN_SETTINGS.map((key) => (
+                  <Checkbox
+                    key={key}
+                    checked={settingsForm[key] === true}
+                    onCheckedChange={(checked) => updateSettingsForm(key, checked === true)}
+                    disabled={!canSettings}
+                  >
+                    {t(`settings.config.${key}`, key)}
+                    {settings.overridden.includes(key) && ' *'}
+                  </Checkbox>
+                ))}
+              </Flex>
+              {canSettings && (
+                <Flex gap={2} justifyContent="flex-end">
+                  <Button
+                    variant="tertiary"
+                    onClick={() => saveSettings(Object.fromEntries(settings.overridden.map((key) => [key, null])))}
+                    disabled={isSavingSettings || settings.overridden.length === 0}
+                  >
+                    {t('settings.config.reset', 'Reset to config/plugins.js')}
+                  </Button>
+                  <Button onClick={submitSettings} loading={isSavingSettings}>
+                    {t('settings.config.save', 'Save')}
+                  </Button>
+                </Flex>
+              )}
+            </Box>
+          </Box>
+        )}
       </Box>
 
       {/* Auto-Fix Modal */}
@@ -895,8 +1780,29 @@ const SettingsPage = () => {
             <Modal.Body>
               <Flex direction="column" gap={4}>
                 <Typography style={{ lineHeight: '1.6' }}>
-                  {t('settings.modal.autofix.description', 'This will scan all UUID fields and replace duplicate values with new unique UUIDs. The first occurrence of each duplicate will be kept.')}
+                  {t('settings.modal.autofix.description', 'This will scan all UUID fields and replace duplicate values with new unique UUIDs. One entry of each duplicate group keeps its value.')}
                 </Typography>
+                {modelScopeNotice}
+
+                <Box>
+                  <Typography variant="pi" fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                    {t('settings.modal.strategy', 'Entry that keeps a duplicate value')}
+                  </Typography>
+                  <SingleSelect
+                    aria-label={t('settings.modal.strategy', 'Entry that keeps a duplicate value')}
+                    value={duplicateStrategy}
+                    onChange={setDuplicateStrategy}
+                  >
+                    {DUPLICATE_STRATEGIES.map((strategy) => (
+                      <SingleSelectOption key={strategy} value={strategy}>
+                        {t(`settings.duplicates.strategy.${strategy}`, strategy)}
+                      </SingleSelectOption>
+                    ))}
+                  </SingleSelect>
+                  <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginTop: '4px' }}>
+                    {t('settings.modal.strategy.hint', 'Run a dry run to review the choice and change it per group.')}
+                  </Typography>
+                </Box>
                 
                 <Checkbox 
                   checked={dryRun} 
@@ -921,6 +1827,7 @@ const SettingsPage = () => {
               <Button 
                 onClick={runAutoFix} 
                 loading={isLoading}
+                disabled={jobRunning}
                 variant={dryRun ? 'secondary' : 'danger'}
               >
                 {dryRun 
@@ -933,6 +1840,46 @@ const SettingsPage = () => {
         </Modal.Root>
       )}
 
+      {/* Rollback Modal */}
+      {rollbackTarget && (
+        <Modal.Root open={rollbackTarget !== null} onOpenChange={(open) => !open && setRollbackTarget(null)}>
+          <Modal.Content>
+            <Modal.Header>
+              <Modal.Title>
+                {t('settings.modal.rollback.title', 'Rollback Run')}
+              </Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              <Flex direction="column" gap={4}>
+                <Typography style={{ lineHeight: '1.6' }}>
+                  {t('settings.modal.rollback.description', 'This restores the {count} value(s) changed by this run. The rollback is refused without changing anything if a value was changed since or would now collide with another entry.', {
+                    count: rollbackTarget.changeCount,
+                  })}
+                </Typography>
+                <Alert variant="warning">
+                  {t('settings.modal.warning', 'Warning: This action will modify data in your database. Make sure you have a backup.')}
+                </Alert>
+              </Flex>
+            </Modal.Body>
+            <Modal.Footer>
+              <Modal.Close>
+                <Button variant="tertiary">
+                  {t('settings.modal.cancel', 'Cancel')}
+                </Button>
+              </Modal.Close>
+              <Button
+                onClick={runRollback}
+                loading={isLoading}
+                disabled={jobRunning}
+                variant="danger"
+              >
+                {t('settings.modal.rollback.confirm', 'Restore Old Values')}
+              </Button>
+            </Modal.Footer>
+          </Modal.Content>
+        </Modal.Root>
+      )}
+
       {/* Generate Missing Modal */}
       {showGenerateModal && (
         <Modal.Root open={showGenerateModal} onOpenChange={setShowGenerateModal}>
@@ -947,6 +1894,7 @@ const SettingsPage = () => {
                 <Typography style={{ lineHeight: '1.6' }}>
                   {t('settings.modal.generate.description', 'This will find all entries with empty UUID fields and generate new UUIDs for them.')}
                 </Typography>
+                {modelScopeNotice}
                 
                 <Checkbox 
                   checked={dryRun} 
@@ -971,6 +1919,7 @@ const SettingsPage = () => {
               <Button 
                 onClick={runGenerateMissing} 
                 loading={isLoading}
+                disabled={jobRunning}
                 variant={dryRun ? 'secondary' : 'success'}
               >
                 {dryRun 
@@ -997,6 +1946,7 @@ const SettingsPage = () => {
                 <Typography style={{ lineHeight: '1.6' }}>
                   {t('settings.modal.migration.description', 'This will fix all UUID issues including empty fields, invalid formats, and duplicates.')}
                 </Typography>
+                {modelScopeNotice}
                 
                 <Box>
                   <Typography variant="sigma" style={{ marginBottom: '12px', display: 'block' }}>
@@ -1021,8 +1971,42 @@ const SettingsPage = () => {
                     >
                       {t('settings.modal.migration.fixDuplicates', 'Fix duplicate UUIDs')}
                     </Checkbox>
+                    <Checkbox 
+                      checked={migrationOptions.fixPrefix} 
+                      onCheckedChange={(checked) => setMigrationOptions(prev => ({ ...prev, fixPrefix: checked }))}
+                    >
+                      {t('settings.modal.migration.fixPrefix', 'Add or strip prefixes to match the field settings')}
+                    </Checkbox>
+                    <Checkbox 
+                      checked={migrationOptions.recomputeDerived} 
+                      onCheckedChange={(checked) => setMigrationOptions(prev => ({ ...prev, recomputeDerived: checked }))}
+                    >
+                      {t('settings.modal.migration.recomputeDerived', 'Recompute UUIDs derived from a template')}
+                    </Checkbox>
                   </Flex>
                 </Box>
+
+                {migrationOptions.fixDuplicates && (
+                  <Box>
+                    <Typography variant="pi" fontWeight="bold" style={{ display: 'block', marginBottom: '4px' }}>
+                      {t('settings.modal.strategy', 'Entry that keeps a duplicate value')}
+                    </Typography>
+                    <SingleSelect
+                      aria-label={t('settings.modal.strategy', 'Entry that keeps a duplicate value')}
+                      value={duplicateStrategy}
+                      onChange={setDuplicateStrategy}
+                    >
+                      {DUPLICATE_STRATEGIES.map((strategy) => (
+                        <SingleSelectOption key={strategy} value={strategy}>
+                          {t(`settings.duplicates.strategy.${strategy}`, strategy)}
+                        </SingleSelectOption>
+                      ))}
+                    </SingleSelect>
+                    <Typography variant="pi" textColor="neutral600" style={{ display: 'block', marginTop: '4px' }}>
+                      {t('settings.modal.strategy.hint', 'Run a dry run to review the choice and change it per group.')}
+                    </Typography>
+                  </Box>
+                )}
                 
                 <Checkbox 
                   checked={dryRun} 
@@ -1047,6 +2031,7 @@ const SettingsPage = () => {
               <Button 
                 onClick={runMigration} 
                 loading={isLoading}
+                disabled={jobRunning}
                 variant={dryRun ? 'secondary' : 'danger'}
               >
                 {dryRun 
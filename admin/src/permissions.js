@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * Admin permission actions of the plugin, in the shape expected by `useRBAC`
+ * and the `permissions` of settings links. Keep in sync with
+ * server/src/utils/permissions.js.
+ */
+export const PERMISSIONS = {
+  read: [{ action: 'plugin::field-uuid.read', subject: null }],
+  fix: [{ action: 'plugin::field-uuid.fix', subject: null }],
+  importExport: [{ action: 'plugin::field-uuid.import-export', subject: null }],
+  settings: [{ action: 'plugin::field-uuid.settings', subject: null }],
+};
+
+export default PERMISSIONS;
@@ -0,0 +1,42 @@
+'use strict';
+
+import { PLUGIN_ID } from '../pluginId';
+
+/**
+ * Fallback used when the config endpoint cannot be reached
+ */
+const DEFAULT_CONFIG = {
+  defaultVersion: 'v4',
+  autoGenerate: true,
+  allowManualEdit: false,
+};
+
+let configPromise = null;
+
+/**
+ * Fetches the plugin configuration once and caches it for all Input instances
+ * @param {Function} get - `get` from useFetchClient
+ * @returns {Promise<Object>} Plugin configuration
+ */
+export const fetchPluginConfig = (get) => {
+  if (!configPromise) {
+    configPromise = get(`/${PLUGIN_ID}/config`)
+      .then((response) => ({ ...DEFAULT_CONFIG, ...response.data }))
+      .catch((err) => {
+        console.error(`[${PLUGIN_ID}] Failed to fetch plugin config:`, err);
+        configPromise = null;
+        return DEFAULT_CONFIG;
+      });
+  }
+
+  return configPromise;
+};
+
+/**
+ * Drops the cached configuration so the next fetch loads the saved settings
+ */
+export const resetPluginConfig = () => {
+  configPromise = null;
+};
+
+export default fetchPluginConfig;
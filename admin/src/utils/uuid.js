@@ -0,0 +1,135 @@
+'use strict';
+
+import { v5 as uuidv5 } from 'uuid';
+import { CUSTOM_FORMAT, SUPPORTED_FORMATS, getFormat, resolveFormatOptions } from './formats';
+
+/**
+ * UUID helpers for the admin panel
+ *
+ * Mirrors server/src/utils/uuid.js so the Input generates the same
+ * format and prefix the lifecycle hooks would.
+ */
+
+export const SUPPORTED_VERSIONS = SUPPORTED_FORMATS;
+
+const TEMPLATE_PATTERN = /\{([A-Za-z0-9_]+)\}/g;
+
+/**
+ * Resolves the identifier format for a field. Names other than the built-in formats
+ * refer to generators registered on the server.
+ * @param {Object} attribute - Attribute definition passed to the custom field Input
+ * @param {string} defaultVersion - Global default version from plugin config
+ * @returns {string} Format name ('v1', 'v4', 'v5', 'v6', 'v7', 'ulid', 'nanoid', 'ksuid' or a generator)
+ */
+export const resolveVersion = (attribute, defaultVersion = 'v4') => {
+  const options = attribute?.options || {};
+  const fieldVersion = options['uuid-version'] === CUSTOM_FORMAT ? options['uuid-generator'] : options['uuid-version'];
+
+  if (typeof fieldVersion === 'string' && fieldVersion.trim()) {
+    return fieldVersion.trim();
+  }
+
+  return defaultVersion || 'v4';
+};
+
+/**
+ * Resolves the format of a field with its options
+ * @param {Object} attribute - Attribute definition passed to the custom field Input
+ * @param {string} defaultVersion - Global default version from plugin config
+ * @returns {Object} Format spec ({ version, label, custom, alphabet, length, namespace }); `custom` is set
+ *   for registered generators, which only the server can run
+ */
+export const getFormatSpec = (attribute, defaultVersion = 'v4') => {
+  const version = resolveVersion(attribute, defaultVersion);
+  const format = getFormat(version);
+
+  return {
+    version,
+    label: format ? format.label : version,
+    custom: !format,
+    ...resolveFormatOptions(attribute?.options),
+  };
+};
+
+/**
+ * Generates a new identifier for a built-in format spec
+ * @param {Object} spec - Format spec, see getFormatSpec()
+ * @returns {string} Generated identifier
+ */
+export const generateUuid = (spec) => getFormat(spec.version).generate(spec);
+
+/**
+ * Returns the prefix configured for a field
+ * @param {Object} attribute - Attribute definition passed to the custom field Input
+ * @returns {string} Prefix or empty string
+ */
+export const getPrefix = (attribute) => {
+  const prefix = attribute?.options?.['uuid-prefix'];
+  return typeof prefix === 'string' ? prefix.trim() : '';
+};
+
+/**
+ * Checks that a value is the field prefix followed by a valid identifier.
+ * Identifiers of registered generators are validated by the server on save.
+ * @param {string} value - Value to validate
+ * @param {string} prefix - Field prefix
+ * @param {Object} spec - Format spec, see getFormatSpec()
+ * @returns {boolean} True if valid
+ */
+export const isValidValue = (value, prefix, spec) => {
+  if (typeof value !== 'string' || !value.startsWith(prefix)) return false;
+
+  const id = value.slice(prefix.length);
+  return id.length > 0 && (spec.custom || getFormat(spec.version).validate(id, spec));
+};
+
+/**
+ * Resolves the derivation of a UUID v5 field with a template
+ * @param {Object} attribute - Attribute definition passed to the custom field Input
+ * @param {string} defaultVersion - Global default version from plugin config
+ * @returns {Object|null} { template, recompute, namespace } or null if the field is not derived
+ */
+export const getDerivation = (attribute, defaultVersion = 'v4') => {
+  const template = attribute?.options?.['uuid-v5-template'];
+  if (typeof template !== 'string' || !template.trim()) return null;
+
+  const spec = getFormatSpec(attribute, defaultVersion);
+  if (spec.version !== 'v5') return null;
+
+  return {
+    template: template.trim(),
+    recompute: attribute.options['uuid-v5-recompute'] === true,
+    namespace: spec.namespace,
+  };
+};
+
+/**
+ * Converts a form value to its text in a derivation template
+ * @param {*} value - Form value
+ * @returns {string|null} Text, or null for empty values
+ */
+const formatSourceValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Derives the value of a field from the form values, like the lifecycle hooks do on save
+ * @param {string} prefix - Field prefix
+ * @param {Object} derivation - Derivation, see getDerivation()
+ * @param {Object} data - Form values (and locale)
+ * @returns {Object} { value, name, missing } - `value` is null while placeholders are missing
+ */
+export const deriveValue = (prefix, derivation, data) => {
+  const missing = new Set();
+  const name = derivation.template.replace(TEMPLATE_PATTERN, (placeholder, field) => {
+    const text = formatSourceValue(data?.[field]);
+    if (text === null) missing.add(field);
+    return text ?? '';
+  });
+
+  if (missing.size > 0) return { value: null, name, missing: [...missing] };
+  return { value: `${prefix}${uuidv5(name, derivation.namespace)}`, name, missing: [] };
+};
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * strapi-auto-uuid - Command Line Interface
+ *
+ * Runs the maintenance operations of the admin panel from scripts and deployment
+ * pipelines. Loads the Strapi app of the current directory, calls the plugin's
+ * `service` and `migrations` services and prints a summary or the JSON report.
+ *
+ * Exit codes: 0 when everything is fine, 1 when issues were found (duplicates,
+ * collisions, pending migrations, entries a dry run would change, import errors),
+ * 2 for invalid arguments and failures.
+ *
+ * @example
+ * npx strapi-auto-uuid status
+ * npx strapi-auto-uuid diagnose --content-type api::article.article --json
+ * npx strapi-auto-uuid fix --strategy oldest --dry-run
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const PLUGIN_ID = 'field-uuid';
+
+const USAGE = `Usage: strapi-auto-uuid <command> [options]
+
+Commands:
+  status             Check fields and indexes for issues a migration would fix
+  diagnose           Find duplicate values and uniqueness scope collisions
+  fix                Give duplicates new values (auto-fix)
+  generate-missing   Fill empty UUID fields
+  migrate            Fix empty, invalid, duplicate and mis-prefixed values
+  export             Write the UUID mappings as JSON
+  import             Restore UUID mappings from an export
+
+Options:
+  --content-type <uid>   Only this content type (repeatable or comma-separated)
+  --field <name>         Only this field, e.g. uuid or api::article.article.uuid
+                         (repeatable or comma-separated)
+  --document <id>        Only this document (repeatable or comma-separated,
+                         all commands but status and import)
+  --dry-run              Report the changes without writing them
+  --strategy <name>      Duplicate strategy: first, oldest, published, most-referenced
+  --recompute-derived    Recompute derived UUID v5 values (migrate)
+  --resume <runId>       Continue a failed migration run (migrate)
+  --file <path>          Output file (export) or input file (import)
+  --overwrite            Replace existing values (import)
+  --json                 Print the full report as JSON
+  --verbose              Keep the Strapi log output
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+  'content-type': { type: 'string', multiple: true },
+  field: { type: 'string', multiple: true },
+  document: { type: 'string', multiple: true },
+  'dry-run': { type: 'boolean', default: false },
+  strategy: { type: 'string' },
+  'recompute-derived': { type: 'boolean', default: false },
+  resume: { type: 'string' },
+  file: { type: 'string' },
+  overwrite: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Builds the content type, field and document filters of the services from the options
+ * @param {Object} values - Parsed options
+ * @returns {Object} Filters ({ contentTypes, fields, documentIds }), comma-separated
+ */
+const getFilters = (values) => ({
+  contentTypes: values['content-type']?.join(','),
+  fields: values.field?.join(','),
+  documentIds: values.document?.join(','),
+});
+
+/**
+ * Prints a line of the human-readable output
+ * @param {string} line - Text to print
+ */
+const print = (line) => process.stdout.write(`${line}\n`);
+
+/**
+ * Writes JSON chunks to a file, or to stdout
+ * @param {AsyncIterable<string>} chunks - JSON chunks
+ * @param {string} [file] - Output path
+ * @returns {Promise<void>}
+ */
+const writeChunks = async (chunks, file) => {
+  const output = file ? fs.createWriteStream(path.resolve(file)) : process.stdout;
+
+  for await (const chunk of chunks) {
+    if (!output.write(chunk)) {
+      await new Promise((resolve) => output.once('drain', resolve));
+    }
+  }
+
+  if (file) {
+    await new Promise((resolve, reject) => output.end((err) => (err ? reject(err) : resolve())));
+  } else {
+    output.write('\n');
+  }
+};
+
+/**
+ * Commands, each returning { report, issues, summary } (summary being the lines of the
+ * human-readable output). `export` writes its output itself and returns nothing.
+ */
+const COMMANDS = {
+  /**
+   * @param {Object} app - Loaded Strapi instance
+   * @param {Object} values - Parsed options
+   */
+  async status(app, values) {
+    const report = await app.plugin(PLUGIN_ID).service('migrations').checkMigrationStatus(getFilters(values));
+    const summary = report.contentTypes.map(
+      (info) =>
+        `${info.uid}.${info.field}: ${info.entryCount} entries, ${info.emptyCount} empty, ${info.invalidCount} invalid, ` +
+        `${info.duplicateCount} duplicates, ${info.prefixMismatchCount} prefix mismatches`
+    );
+
+    for (const index of report.indexes || []) {
+      if (index.status !== 'present') {
+        summary.push(`Unique index ${index.indexName} (${index.uid}.${index.field}): ${index.status}`);
+      }
+    }
+    summary.push(...report.issues);
+    summary.push(report.needsMigration ? 'Migration needed' : 'No migration needed');
+
+    return { report, issues: report.needsMigration || report.issues.length > 0, summary };
+  },
+
+  /**
+   * @param {Object} app - Loaded Strapi instance
+   * @param {Object} values - Parsed options
+   */
+  async diagnose(app, values) {
+    const report = await app.plugin(PLUGIN_ID).service('service').diagnose(getFilters(values));
+    const summary = [`Scanned ${report.scannedModels} content types (${report.scannedRows} rows)`];
+
+    for (const [uid, { fields }] of Object.entries(report.details)) {
+      for (const [field, info] of Object.entries(fields)) {
+        if (info.duplicateGroups > 0) {
+          summary.push(`${uid}.${field}: ${info.duplicateGroups} duplicate groups (${info.affectedEntries} entries)`);
+        }
+      }
+    }
+    for (const { scope, collisions } of report.scopes) {
+      if (collisions.length > 0) {
+        summary.push(`Scope ${scope}: ${collisions.length} values shared by several fields`);
+      }
+    }
+    summary.push(`Duplicates: ${report.totalDuplicates}, scope collisions: ${report.totalCollisions}`);
+
+    return { report, issues: report.totalDuplicates > 0 || report.totalCollisions > 0, summary };
+  },
+
+  /**
+   * @param {Object} app - Loaded Strapi instance
+   * @param {Object} values - Parsed options
+   */
+  async fix(app, values) {
+    const report = await app.plugin(PLUGIN_ID).service('service').autofix({
+      dryRun: values['dry-run'],
+      duplicateStrategy: values.strategy,
+      ...getFilters(values),
+    });
+    const summary = [];
+
+    for (const [uid, { fields }] of Object.entries(report.details)) {
+      for (const [field, fixes] of Object.entries(fields)) {
+        summary.push(`${uid}.${field}: ${fixes.found} duplicate groups, ${fixes.fixed} values replaced`);
+      }
+    }
+    summary.push(
+      `${report.dryRun ? 'Would replace' : 'Replaced'} ${report.totalFixed} values` +
+        (report.runId ? ` (run ${report.runId})` : '')
+    );
+
+    return { report, issues: report.dryRun && report.totalFixed > 0, summary };
+  },
+
+  /**
+   * @param {Object} app - Loaded Strapi instance
+   * @param {Object} values - Parsed options
+   */
+  async 'generate-missing'(app, values) {
+    const report = await app.plugin(PLUGIN_ID).service('service').generateMissing({
+      dryRun: values['dry-run'],
+      ...getFilters(values),
+    });
+    const summary = [];
+
+    for (const [uid, { fields }] of Object.entries(report.details)) {
+      for (const [field, info] of Object.entries(fields)) {
+        if (info.generated > 0) {
+          summary.push(`${uid}.${field}: ${info.generated} values`);
+        }
+      }
+    }
+    summary.push(
+      `${report.dryRun ? 'Would generate' : 'Generated'} ${report.totalGenerated} values` +
+        (report.runId ? ` (run ${report.runId})` : '')
+    );
+
+    return { report, issues: report.dryRun && report.totalGenerated > 0, summary };
+  },
+
+  /**
+   * @param {Object} app - Loaded Strapi instance
+   * @param {Object} values - Parsed options
+   */
+  async migrate(app, values) {
+    const migrations = app.plugin(PLUGIN_ID).service('migrations');
+    const report = await migrations.runMigration(
+      values.resume
+        ? { resume: values.resume }
+        : {
+            dryRun: values['dry-run'],
+            duplicateStrategy: values.strategy,
+            recomputeDerived: values['recompute-derived'],
+            ...getFilters(values),
+          }
+    );
+    const total = Object.values(report.fixed).reduce((sum, count) => sum + count, 0);
+    const summary = [
+      ...Object.entries(report.fixed).map(([kind, count]) => `${kind}: ${count}`),
+      ...report.errors,
+      `${report.dryRun ? 'Would fix' : 'Fixed'} ${total} values` + (report.runId ? ` (run ${report.runId})` : ''),
+    ];
+
+    return { report, issues: report.errors.length > 0 || (report.dryRun && total > 0), summary };
+  },
+
+  /**
+   * @param {Object} app - Loaded Strapi instance
+   * @param {Object} values - Parsed options
+   */
+  async export(app, values) {
+    await writeChunks(app.plugin(PLUGIN_ID).service('migrations').streamMappings(getFilters(values)), values.file);
+  },
+
+  /**
+   * @param {Object} app - Loaded Strapi instance
+   * @param {Object} values - Parsed options
+   */
+  async import(app, values) {
+    const importData = JSON.parse(fs.readFileSync(path.resolve(values.file), 'utf8'));
+    const report = await app.plugin(PLUGIN_ID).service('migrations').importMappings(importData, {
+      dryRun: values['dry-run'],
+      overwrite: values.overwrite,
+    });
+    const summary = [
+      ...report.errors,
+      `${report.dryRun ? 'Would import' : 'Imported'} ${report.imported} values, skipped ${report.skipped}` +
+        (report.runId ? ` (run ${report.runId})` : ''),
+    ];
+
+    return { report, issues: report.errors.length > 0, summary };
+  },
+};
+
+/**
+ * Loads the Strapi app of the current directory
+ * @param {boolean} verbose - Keep the log output
+ * @returns {Promise<Object>} Loaded Strapi instance
+ */
+const loadApp = async (verbose) => {
+  const { createStrapi, compileStrapi } = require(require.resolve('@strapi/strapi', { paths: [process.cwd()] }));
+  const app = createStrapi(await compileStrapi());
+
+  // Tells the plugin bootstrap not to recover or run jobs and not to auto-migrate
+  app.fieldUuidCli = true;
+
+  // Logs share stdout with the report
+  if (!verbose) {
+    app.log.level = 'error';
+  }
+
+  return app.load();
+};
+
+/**
+ * Parses the arguments, runs the command and sets the exit code
+ * @returns {Promise<void>}
+ */
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`[strapi-auto-uuid] ${err.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const { values, positionals } = parsed;
+  const [command] = positionals;
+
+  if (values.help || !command) {
+    print(USAGE);
+    process.exitCode = values.help ? 0 : 2;
+    return;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`[strapi-auto-uuid] Unknown command: ${command}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+  if (values.document && (command === 'status' || command === 'import')) {
+    console.error(`[strapi-auto-uuid] ${command} does not support --document`);
+    process.exitCode = 2;
+    return;
+  }
+  if (command === 'import' && !values.file) {
+    console.error('[strapi-auto-uuid] import requires --file');
+    process.exitCode = 2;
+    return;
+  }
+
+  let app;
+  try {
+    app = await loadApp(values.verbose);
+    const result = await COMMANDS[command](app, values);
+
+    if (result) {
+      if (values.json) {
+        print(JSON.stringify(result.report, null, 2));
+      } else {
+        result.summary.forEach(print);
+      }
+      process.exitCode = result.issues ? 1 : 0;
+    }
+  } catch (err) {
+    console.error(`[strapi-auto-uuid] ${command} failed: ${err.message}`);
+    for (const problem of err.details?.problems || []) {
+      console.error(`  ${typeof problem === 'string' ? problem : JSON.stringify(problem)}`);
+    }
+    process.exitCode = 2;
+  } finally {
+    if (app) {
+      await app.destroy();
+    }
+  }
+};
+
+main();
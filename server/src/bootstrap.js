@@ -1,11 +1,32 @@
 'use strict';
 
-import * as uuidLib from 'uuid';
-
-const { v4: uuidv4, validate: validateUuid } = uuidLib;
-// UUID v7 requires uuid package v9.0.0+, fallback to v4 if not available
-const uuidv7 = uuidLib.v7 || uuidv4;
 import { errors } from '@strapi/utils';
+import { isInternalOperation } from './utils/context';
+import {
+  findUuidComponents,
+  findUuidModels,
+  getOwnerScope,
+  getTemplateSources,
+  isLocalized,
+} from './utils/models';
+import { CUSTOM_FORMAT, getFormat, hasFormat } from './utils/formats';
+import { PERMISSION_ACTIONS } from './utils/permissions';
+import {
+  deriveValue,
+  formatSourceValue,
+  generateValue,
+  getDerivation,
+  getFieldOptions,
+  getFormatSpec,
+  getPrefix,
+  getTemplateFields,
+  isAutoGenerateEnabled,
+  isEditAllowed,
+  isValidValue,
+  normalizeValue,
+  resolveLocalePolicy,
+  resolveUniqueScope,
+} from './utils/uuid';
 
 const { ValidationError, ApplicationError } = errors;
 
@@ -16,35 +37,118 @@ const { ValidationError, ApplicationError } = errors;
  * generates UUID values for fields using the 'uuid' custom field.
  * 
  * Features:
- * - Auto-generates UUID v4 or v7 on create if empty
- * - Validates uniqueness against database before saving
+ * - Auto-generates an identifier on create if empty (per-field format option:
+ *   UUID v1/v4/v5/v6/v7, ULID, NanoID, KSUID or a generator registered by the application)
+ * - Derives UUID v5 values from a template over other attributes (e.g. `{sku}-{locale}`),
+ *   optionally recomputed when those attributes change
+ * - Applies and validates the optional per-field prefix (e.g. 'usr_') and the field's format
+ * - Validates uniqueness against database before saving, within the field's uniqueness
+ *   scope (the field, its content type, the whole project or a named group of fields)
  * - Retry logic for collision handling (configurable)
  * - Prevents duplicate UUIDs on update
- * - Respects plugin configuration
+ * - Enforces the per-field "Disable auto-generation" and "Allow manual editing" options
+ * - Covers uuid fields inside components and dynamic zones
+ * - Scopes uniqueness to the owner of a value (document or document locale),
+ *   so publishing and localizing keep the value while duplicating gets a new one
+ * - Maintains database unique indexes and reports their violations as validation errors
+ * - Records created and changed values in the audit log, and keeps replaced values as aliases
+ * - Registers the admin permission actions of the plugin
+ * - Respects plugin configuration, including settings changed in the admin panel (hot reloaded)
  * 
  * Works for both Admin Panel and API/GraphQL requests.
  */
-const bootstrap = ({ strapi }) => {
+const bootstrap = async ({ strapi }) => {
   const { contentTypes } = strapi;
   
-  // Get plugin configuration
-  const pluginConfig = strapi.config.get('plugin::field-uuid', {});
-  const config = {
+  /**
+   * Normalizes the plugin configuration used by the lifecycle hooks
+   * @param {Object} pluginConfig - Plugin configuration
+   * @returns {Object} Configuration
+   */
+  const toConfig = (pluginConfig) => ({
     defaultVersion: pluginConfig.defaultVersion || 'v4',
     autoGenerate: pluginConfig.autoGenerate !== false,
     validateUniqueness: pluginConfig.validateUniqueness !== false,
+    uniquenessScope: pluginConfig.uniquenessScope || 'field',
+    uniqueIndexes: pluginConfig.uniqueIndexes !== false && pluginConfig.validateUniqueness !== false,
+    allowManualEdit: pluginConfig.allowManualEdit === true,
+    localePolicy: pluginConfig.localePolicy || 'shared',
     maxRetryAttempts: pluginConfig.maxRetryAttempts || 3,
     logLevel: pluginConfig.logLevel || 'info',
     autoMigrate: pluginConfig.autoMigrate || false,
+  });
+  
+  // Get plugin configuration, with the settings changed in the admin panel
+  const settingsService = strapi.plugin('field-uuid').service('settings');
+  let config = toConfig(await settingsService.load());
+  
+  // Hot reload: the hooks read `config` on every event
+  settingsService.onChange((pluginConfig) => {
+    config = toConfig(pluginConfig);
+    log.debug(`[strapi-auto-uuid] Config reloaded: ${JSON.stringify(config)}`);
+  });
+  
+  // Settings saved through other instances of a cluster
+  settingsService.watch();
+  
+  /**
+   * Returns the schema attribute of a UUID field
+   * @param {string} uid - Content type or component UID
+   * @param {string} field - Field name
+   * @returns {Object|undefined} Attribute definition
+   */
+  const getAttribute = (uid, field) => {
+    return (contentTypes[uid] || strapi.components?.[uid])?.attributes?.[field];
+  };
+  
+  /**
+   * Resolves the format of a field with its options
+   * @param {Object} attribute - Attribute definition
+   * @returns {Object} Format spec ({ version, alphabet, length, namespace })
+   */
+  const getFieldFormat = (attribute) => getFormatSpec(attribute, config.defaultVersion);
+  
+  /**
+   * Resolves the derivation of a top-level UUID v5 field with a template
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {Object|null} { template, fields, recompute, namespace } or null for other fields
+   */
+  const getFieldDerivation = (uid, field) => {
+    if (!contentTypes[uid]) return null;
+    return getDerivation(getAttribute(uid, field), config.defaultVersion);
+  };
+  
+  /**
+   * Lists the attributes used by the derivation templates of a content type
+   * @param {string} uid - Content type UID
+   * @returns {string[]} Attribute names to load with the stored row
+   */
+  const getDerivationSources = (uid) => {
+    const fields = (models[uid] || []).flatMap((field) => getFieldDerivation(uid, field)?.fields || []);
+    return getTemplateSources(contentTypes[uid], [...new Set(fields)]).sources;
   };
   
   /**
-   * Generates a new UUID based on configured version
-   * @param {string} version - UUID version ('v4' or 'v7')
-   * @returns {string} Generated UUID
+   * Describes the expected value of a field for validation errors
+   * @param {Object} attribute - Attribute definition
+   * @returns {string} e.g. "'usr_' followed by a ULID"
    */
-  const generateUuid = (version = config.defaultVersion) => {
-    return version === 'v7' ? uuidv7() : uuidv4();
+  const describeFormat = (attribute) => {
+    const prefix = getPrefix(attribute);
+    const { label } = getFormat(getFieldFormat(attribute).version);
+    return prefix ? `'${prefix}' followed by a ${label}` : `a ${label}`;
+  };
+  
+  /**
+   * Resolves the locale policy of a field ('shared' for content types without i18n)
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {string} 'shared' or 'per-locale'
+   */
+  const getLocalePolicy = (uid, field) => {
+    if (!isLocalized(contentTypes[uid])) return 'shared';
+    return resolveLocalePolicy(getAttribute(uid, field), config.localePolicy);
   };
   
   /**
@@ -57,94 +161,215 @@ const bootstrap = ({ strapi }) => {
     error: (...args) => strapi.log.error(...args),
   };
   
-  /**
-   * Finds all content types that use the uuid custom field
-   * @returns {Object} Map of content type UIDs to their UUID field names
-   */
-  const findUuidModels = () => {
-    return Object.keys(contentTypes).reduce((acc, key) => {
-      const contentType = contentTypes[key];
-      
-      // Only process api content types (not plugins, admin, etc.)
-      if (!key.startsWith('api')) return acc;
-      
-      // Find all attributes that use our uuid custom field
-      const uuidAttributes = Object.keys(contentType.attributes).filter((attrKey) => {
-        const attribute = contentType.attributes[attrKey];
-        return attribute.customField === 'plugin::field-uuid.uuid';
-      });
-      
-      if (uuidAttributes.length > 0) {
-        return { ...acc, [key]: uuidAttributes };
+  // Admin permission actions (Settings > Administration Panel > Roles > Plugins)
+  await strapi.service('admin::permission').actionProvider.registerMany(PERMISSION_ACTIONS);
+  
+  const auditService = strapi.plugin('field-uuid').service('audit');
+  const historyService = strapi.plugin('field-uuid').service('history');
+  
+  const models = findUuidModels(strapi);
+  const modelsToSubscribe = Object.keys(models);
+  // Components (also used in dynamic zones) that contain uuid fields
+  const componentModels = findUuidComponents(strapi);
+  const componentsToSubscribe = Object.keys(componentModels);
+  
+  // Report formats naming generators the application did not register
+  if (!hasFormat(config.defaultVersion)) {
+    log.warn(`[strapi-auto-uuid] Unknown defaultVersion '${config.defaultVersion}', falling back to v4`);
+  }
+  for (const [uid, fields] of [...Object.entries(models), ...Object.entries(componentModels)]) {
+    for (const field of fields) {
+      const options = getFieldOptions(getAttribute(uid, field));
+      const name = options['uuid-version'] === CUSTOM_FORMAT ? options['uuid-generator'] : options['uuid-version'];
+      if (name && !hasFormat(name)) {
+        log.warn(`[strapi-auto-uuid] ${uid}.${field} uses the unknown generator '${name}', falling back to the default format`);
       }
+    }
+  }
+  
+  // Report derivation templates that cannot work as configured
+  for (const [uid, fields] of Object.entries(models)) {
+    for (const field of fields) {
+      const derivation = getFieldDerivation(uid, field);
+      if (!derivation) continue;
       
-      return acc;
-    }, {});
-  };
+      const { invalid } = getTemplateSources(contentTypes[uid], derivation.fields);
+      if (derivation.fields.length === 0) {
+        log.warn(`[strapi-auto-uuid] Template of ${uid}.${field} has no placeholders, all entries get the same UUID`);
+      }
+      if (invalid.length > 0) {
+        log.warn(
+          `[strapi-auto-uuid] Template of ${uid}.${field} uses ${invalid.join(', ')}, which are not scalar attributes of the content type`
+        );
+      }
+      if (derivation.fields.includes('locale') && getLocalePolicy(uid, field) === 'shared') {
+        log.warn(
+          `[strapi-auto-uuid] Template of ${uid}.${field} uses {locale} but the field is shared by all locales, use the 'per-locale' policy`
+        );
+      }
+    }
+  }
+  for (const [uid, fields] of Object.entries(componentModels)) {
+    for (const field of fields) {
+      if (getTemplateFields(getFieldOptions(getAttribute(uid, field))['uuid-v5-template'] || '').length > 0) {
+        log.warn(`[strapi-auto-uuid] Templates are not supported in components, ${uid}.${field} gets random values`);
+      }
+    }
+  }
   
-  const models = findUuidModels();
-  const modelsToSubscribe = Object.keys(models);
+  // Report uniqueness scopes that cannot work as configured
+  for (const [uid, fields] of Object.entries(models)) {
+    for (const field of fields) {
+      const options = getFieldOptions(getAttribute(uid, field));
+      if (options['uuid-unique-scope'] === 'group' && !String(options['uuid-unique-group'] || '').trim()) {
+        log.warn(
+          `[strapi-auto-uuid] ${uid}.${field} uses the 'group' uniqueness scope without a group name, falling back to '${config.uniquenessScope}'`
+        );
+      }
+    }
+  }
+  for (const [uid, fields] of Object.entries(componentModels)) {
+    for (const field of fields) {
+      const scope = getFieldOptions(getAttribute(uid, field))['uuid-unique-scope'];
+      if (scope && scope !== 'field') {
+        log.warn(`[strapi-auto-uuid] Uniqueness scopes are not supported in components, ${uid}.${field} is only checked for duplicates within the field`);
+      }
+    }
+  }
   
-  if (modelsToSubscribe.length > 0) {
-    log.info(`[strapi-auto-uuid] Monitoring ${modelsToSubscribe.length} content type(s) for UUID generation`);
+  if (modelsToSubscribe.length > 0 || componentsToSubscribe.length > 0) {
+    log.info(
+      `[strapi-auto-uuid] Monitoring ${modelsToSubscribe.length} content type(s) and ${componentsToSubscribe.length} component(s) for UUID generation`
+    );
     log.debug(`[strapi-auto-uuid] Config: ${JSON.stringify(config)}`);
   }
 
   /**
-   * Checks if a UUID already exists in the database for a given content type and field.
-   * Uses Document Service API (strapi.documents) as per Strapi v5 best practices.
+   * Resolves the uniqueness scope of a top-level field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {string} Scope key shared by the fields checked against each other
+   */
+  const getUniqueScope = (uid, field) =>
+    resolveUniqueScope(uid, field, getAttribute(uid, field), config.uniquenessScope);
+  
+  /**
+   * Lists the other fields sharing the uniqueness scope of a field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {Array} Fields ({ uid, field })
+   */
+  const getOtherScopeFields = (uid, field) => {
+    const scope = getUniqueScope(uid, field);
+    
+    return Object.entries(models).flatMap(([modelUid, fields]) =>
+      fields
+        .filter((name) => (modelUid !== uid || name !== field) && getUniqueScope(modelUid, name) === scope)
+        .map((name) => ({ uid: modelUid, field: name }))
+    );
+  };
+  
+  /**
+   * Checks if a UUID already exists in the database for a given content type and field,
+   * or in another field of its uniqueness scope.
+   * Rows of the owner (the document, or the document locale under the 'per-locale' policy)
+   * are excluded in the field itself, as its draft, published and localized versions
+   * legitimately share the value.
    * @param {string} uid - Content type UID (e.g., 'api::article.article')
    * @param {string} field - Field name containing the UUID
    * @param {string} uuid - UUID value to check
-   * @param {string|null} excludeDocumentId - Optional documentId to exclude from check (for updates)
-   * @returns {Promise<{exists: boolean, documentId: string|null}>} Result with exists flag and documentId if found
+   * @param {Object|null} ownerScope - Owner rows to exclude ({ documentId } or { documentId, locale })
+   * @returns {Promise<Object>} { exists, documentId, contentType, field } - the holder of the value if found
    */
-  const checkUuidExists = async (uid, field, uuid, excludeDocumentId = null) => {
+  const checkUuidExists = async (uid, field, uuid, ownerScope = null) => {
     if (!config.validateUniqueness) {
-      return { exists: false, documentId: null };
+      return { exists: false, documentId: null, contentType: null, field: null };
     }
     
-    const filters = { [field]: uuid };
+    const where = { [field]: uuid };
     
-    if (excludeDocumentId) {
-      filters.documentId = { $ne: excludeDocumentId };
+    if (ownerScope) {
+      where.$not = ownerScope;
     }
     
-    const existing = await strapi.documents(uid).findFirst({
-      filters,
-      fields: ['documentId'],
+    const existing = await strapi.db.query(uid).findOne({
+      where,
+      select: ['documentId'],
     });
+    if (existing) {
+      return { exists: true, documentId: existing.documentId, contentType: uid, field };
+    }
     
-    return { 
-      exists: !!existing, 
-      documentId: existing?.documentId || null 
-    };
+    for (const other of getOtherScopeFields(uid, field)) {
+      const conflict = await strapi.db.query(other.uid).findOne({
+        where: { [other.field]: uuid },
+        select: ['documentId'],
+      });
+      if (conflict) {
+        return { exists: true, documentId: conflict.documentId, contentType: other.uid, field: other.field };
+      }
+    }
+    
+    return { exists: false, documentId: null, contentType: null, field: null };
   };
   
+  /**
+   * Names the field holding a conflicting value if it is not the checked field
+   * @param {string} uid - Content type UID of the checked field
+   * @param {string} field - Checked field
+   * @param {Object} conflict - Result of checkUuidExists()
+   * @returns {string} e.g. " in api::order.order.ref (same uniqueness scope)", or an empty string
+   */
+  const describeConflict = (uid, field, conflict) =>
+    conflict.contentType === uid && conflict.field === field
+      ? ''
+      : ` in ${conflict.contentType}.${conflict.field} (same uniqueness scope)`;
+  
   /**
    * Simple check if UUID exists (backwards compatible)
    */
-  const isUuidExists = async (uid, field, uuid, excludeDocumentId = null) => {
-    const result = await checkUuidExists(uid, field, uuid, excludeDocumentId);
+  const isUuidExists = async (uid, field, uuid, ownerScope = null) => {
+    const result = await checkUuidExists(uid, field, uuid, ownerScope);
     return result.exists;
   };
+  
+  /**
+   * Returns the values already stored on the rows of an owner, most recently updated first
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} ownerScope - Owner rows ({ documentId } or { documentId, locale })
+   * @returns {Promise<string[]>} Stored values
+   */
+  const findOwnerValues = async (uid, field, ownerScope) => {
+    const rows = await strapi.db.query(uid).findMany({
+      where: { ...ownerScope, [field]: { $notNull: true } },
+      select: [field],
+      orderBy: { updatedAt: 'desc' },
+    });
+    
+    return rows.map((row) => row[field]).filter(Boolean);
+  };
 
   /**
-   * Generates a unique UUID with retry logic for collision handling
+   * Generates a unique UUID (with the field's format and prefix) with retry logic for collision handling
    * @param {string} uid - Content type UID
    * @param {string} field - Field name
+   * @param {Object|null} ownerScope - Owner rows excluded from the uniqueness check
+   * @param {Object} [data] - Entry data, passed to custom generators
    * @returns {Promise<string>} Unique UUID
    * @throws {ApplicationError} If unable to generate unique UUID after max attempts
    */
-  const generateUniqueUuid = async (uid, field) => {
+  const generateUniqueUuid = async (uid, field, ownerScope = null, data = {}) => {
+    const attribute = getAttribute(uid, field);
+    
     for (let attempt = 0; attempt < config.maxRetryAttempts; attempt++) {
-      const newUuid = generateUuid();
+      const newUuid = await generateValue(attribute, config.defaultVersion, { uid, field, data });
       
       if (!config.validateUniqueness) {
         return newUuid;
       }
       
-      const exists = await isUuidExists(uid, field, newUuid);
+      const exists = await isUuidExists(uid, field, newUuid, ownerScope);
       
       if (!exists) {
         return newUuid;
@@ -161,32 +386,117 @@ const bootstrap = ({ strapi }) => {
   };
 
   /**
-   * Retrieves the documentId of an entity being updated from lifecycle event params
+   * Derives the value of a field from the entry data and checks that no other owner uses it.
+   * Derived values cannot be retried like random ones: the same inputs always give the same UUID.
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} derivation - Derivation of the field, see getFieldDerivation()
+   * @param {Object} data - Entry values (template attributes, documentId, locale)
+   * @param {Object|null} ownerScope - Owner rows excluded from the uniqueness check
+   * @returns {Promise<string>} Derived value
+   * @throws {ValidationError} If a template attribute is empty or another owner has the value
+   */
+  const deriveUniqueValue = async (uid, field, derivation, data, ownerScope = null) => {
+    const { value, name, missing } = deriveValue(getAttribute(uid, field), derivation, data);
+    
+    if (!value) {
+      throw new ValidationError(
+        `Cannot derive UUID for field '${field}': ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} empty (template '${derivation.template}')`,
+        { field, missing }
+      );
+    }
+    
+    const conflict = await checkUuidExists(uid, field, value, ownerScope);
+    if (conflict.exists) {
+      throw new ValidationError(
+        `UUID derived from '${name}' already exists for field '${field}' (document ${conflict.documentId}${describeConflict(uid, field, conflict)}). Entries with the same ${derivation.fields.join(', ')} get the same UUID.`,
+        { field, uuid: value }
+      );
+    }
+    
+    log.debug(`[strapi-auto-uuid] Derived UUID for ${uid}.${field} from '${name}'`);
+    return value;
+  };
+
+  /**
+   * Loads the row targeted by an update from lifecycle event params
    * @param {string} uid - Content type UID
    * @param {Object} where - The where clause from lifecycle params
-   * @returns {Promise<string|null>} The documentId or null if not found
+   * @param {string[]} fields - UUID fields (and template attributes) to select
+   * @returns {Promise<Object|null>} The stored row (documentId, locale + selected fields) or null if not found
    */
-  const getDocumentIdFromWhere = async (uid, where) => {
+  const findEntryFromWhere = async (uid, where, fields) => {
     if (!where) return null;
     
-    if (where.documentId) {
-      return where.documentId;
+    const select = contentTypes[uid] ? ['documentId', ...fields] : ['id', ...fields];
+    if (isLocalized(contentTypes[uid])) {
+      select.push('locale');
     }
     
-    if (where.id) {
-      const entity = await strapi.documents(uid).findFirst({
-        filters: { id: where.id },
-        fields: ['documentId'],
-      });
-      return entity?.documentId || null;
-    }
+    return strapi.db.query(uid).findOne({ where, select });
+  };
+  
+  /**
+   * Prepares uuid fields of a component row (components and dynamic zone entries).
+   * Component rows are copied between draft and published versions, so uniqueness
+   * of nested values is reported by diagnose instead of being enforced here.
+   * @param {Object} event - Lifecycle event object
+   * @param {boolean} isUpdate - True for beforeUpdate
+   */
+  const prepareComponentEntry = async (event, isUpdate) => {
+    const { model, params } = event;
+    const uuidFields = componentModels[model.uid];
     
-    return null;
+    if (!params.data) return;
+    
+    const existingEntry = isUpdate ? await findEntryFromWhere(model.uid, params.where, uuidFields) : null;
+    
+    for (const field of uuidFields) {
+      if (isUpdate && params.data[field] === undefined) continue;
+      
+      const attribute = getAttribute(model.uid, field);
+      const currentValue = params.data[field];
+      const normalizedValue = normalizeValue(currentValue, getPrefix(attribute), getFieldFormat(attribute));
+      
+      if (normalizedValue) {
+        params.data[field] = normalizedValue;
+      } else if (currentValue) {
+        throw new ValidationError(
+          `Invalid UUID format for field '${field}' in component '${model.uid}': '${currentValue}'. Expected ${describeFormat(attribute)}.`,
+          { field, uuid: currentValue }
+        );
+      } else if (!isAutoGenerateEnabled(attribute)) {
+        throw new ValidationError(
+          `A UUID is required for field '${field}' in component '${model.uid}' (auto-generation is disabled)`,
+          { field, uuid: null }
+        );
+      } else if (config.autoGenerate) {
+        params.data[field] = await generateValue(attribute, config.defaultVersion, {
+          uid: model.uid,
+          field,
+          data: params.data,
+        });
+        log.debug(`[strapi-auto-uuid] Generated UUID for component ${model.uid}.${field}`);
+      }
+      
+      const oldValue = existingEntry?.[field];
+      if (
+        oldValue &&
+        params.data[field] !== oldValue &&
+        !isEditAllowed(attribute, config.allowManualEdit) &&
+        !isInternalOperation()
+      ) {
+        throw new ValidationError(
+          `UUID field '${field}' in component '${model.uid}' cannot be changed once set. Enable "Allow manual editing" on the field to change it.`,
+          { field, uuid: params.data[field] }
+        );
+      }
+    }
   };
   
   // Subscribe to lifecycle events
   strapi.db.lifecycles.subscribe({
-    models: modelsToSubscribe,
+    models: [...modelsToSubscribe, ...componentsToSubscribe],
 
     /**
      * Before Create Hook - Generates UUID if empty or invalid, validates uniqueness
@@ -194,105 +504,324 @@ const bootstrap = ({ strapi }) => {
      */
     async beforeCreate(event) {
       const { model, params } = event;
+      
+      if (componentModels[model.uid]) {
+        await prepareComponentEntry(event, false);
+        return;
+      }
+      
       const uuidFields = models[model.uid];
       
       if (!uuidFields) return;
       
-      // In Strapi v5, documentId might be in params.data or we need to check if UUID belongs to same document
-      // For publish operations, the documentId is typically passed through
-      const currentDocumentId = params.data?.documentId || params.where?.documentId;
+      // The Document Service assigns the documentId before creating a row: publishing,
+      // discarding a draft and creating a localization reuse it, duplicating gets a new one
+      const currentDocumentId = params.data?.documentId;
+      const currentLocale = params.data?.locale;
+      
+      log.debug(
+        `[strapi-auto-uuid] beforeCreate for ${model.uid}, documentId: ${currentDocumentId || 'none'}, locale: ${currentLocale || 'none'}`
+      );
       
-      log.debug(`[strapi-auto-uuid] beforeCreate for ${model.uid}, documentId: ${currentDocumentId || 'none'}`);
+      // Fields whose value was taken over from another row of the owner are not new values
+      const reusedFields = new Set();
       
       for (const field of uuidFields) {
+        const attribute = getAttribute(model.uid, field);
+        const ownerScope = currentDocumentId
+          ? getOwnerScope(
+              { documentId: currentDocumentId, locale: currentLocale },
+              getLocalePolicy(model.uid, field)
+            )
+          : null;
+        
+        // Bare UUIDs submitted for a prefixed field get the prefix added
+        const prefix = getPrefix(attribute);
+        const format = getFieldFormat(attribute);
+        const normalizedValue = normalizeValue(params.data[field], prefix, format);
+        if (normalizedValue) {
+          params.data[field] = normalizedValue;
+        }
         const currentValue = params.data[field];
         
-        // Auto-generate if empty/invalid and autoGenerate is enabled
-        if ((!currentValue || !validateUuid(currentValue)) && config.autoGenerate) {
-          params.data[field] = await generateUniqueUuid(model.uid, field);
-          log.debug(`[strapi-auto-uuid] Generated UUID for ${model.uid}.${field}`);
-        } else if (currentValue && config.validateUniqueness) {
-          // Check if UUID already exists and get the documentId it belongs to
-          const { exists, documentId: existingDocumentId } = await checkUuidExists(
-            model.uid, 
-            field, 
+        // Another row of the same owner already holds a value (publish, discard draft,
+        // new locale under the 'shared' policy): the new row takes that value
+        const ownerValues = ownerScope ? await findOwnerValues(model.uid, field, ownerScope) : [];
+        if (ownerValues.length > 0) {
+          params.data[field] = ownerValues.includes(normalizedValue) ? normalizedValue : ownerValues[0];
+          reusedFields.add(field);
+          log.debug(`[strapi-auto-uuid] Reusing UUID of ${currentDocumentId} for ${model.uid}.${field}`);
+          continue;
+        }
+        
+        // Derived fields ignore submitted values, except the ones restored by plugin operations (imports)
+        const derivation = getFieldDerivation(model.uid, field);
+        if (derivation && !(normalizedValue && isInternalOperation())) {
+          params.data[field] = await deriveUniqueValue(model.uid, field, derivation, params.data, ownerScope);
+          continue;
+        }
+        
+        // Fields with "Disable auto-generation" must receive a valid value from the caller
+        if (!normalizedValue && !isAutoGenerateEnabled(attribute)) {
+          throw new ValidationError(
             currentValue
+              ? `Invalid UUID format for field '${field}': '${currentValue}'. Expected ${describeFormat(attribute)}.`
+              : `A UUID is required for field '${field}' (auto-generation is disabled)`,
+            { field, uuid: currentValue || null }
           );
+        }
+        
+        // Auto-generate if empty/invalid and autoGenerate is enabled
+        if (!normalizedValue && isAutoGenerateEnabled(attribute, config.autoGenerate)) {
+          params.data[field] = await generateUniqueUuid(model.uid, field, ownerScope, params.data);
+          log.debug(`[strapi-auto-uuid] Generated UUID for ${model.uid}.${field}`);
+        } else if (isValidValue(currentValue, prefix, format) && config.validateUniqueness) {
+          // The value belongs to another owner, e.g. an entry duplicated in the admin
+          const conflict = await checkUuidExists(model.uid, field, currentValue, ownerScope);
           
-          log.debug(`[strapi-auto-uuid] UUID check: exists=${exists}, existingDocId=${existingDocumentId}, currentDocId=${currentDocumentId}`);
+          log.debug(`[strapi-auto-uuid] UUID check: exists=${conflict.exists}, existingDocId=${conflict.documentId}, currentDocId=${currentDocumentId}`);
           
-          if (exists) {
-            // If the UUID belongs to the same document (publish operation), keep it
-            // Also keep it if we have no currentDocumentId but UUID exists - likely a publish
-            // In Strapi v5, publish doesn't always pass documentId to beforeCreate
-            if (currentDocumentId && existingDocumentId === currentDocumentId) {
-              log.debug(
-                `[strapi-auto-uuid] UUID '${currentValue}' belongs to same document, keeping it`
-              );
-              // Keep the existing UUID - this is a publish operation
-            } else if (!currentDocumentId && existingDocumentId) {
-              // No currentDocumentId in params but UUID exists - this is likely a publish operation
-              // We should keep the UUID to avoid breaking publish functionality
-              // Only generate new UUID if explicitly duplicating (which would have different data)
-              log.debug(
-                `[strapi-auto-uuid] UUID '${currentValue}' exists, no documentId in params - keeping it (likely publish)`
-              );
-              // Keep the existing UUID
-            } else {
-              // This is a duplicated entry - has a different documentId
-              log.info(
-                `[strapi-auto-uuid] UUID '${currentValue}' already exists for ${model.uid}.${field}, generating new one`
-              );
-              params.data[field] = await generateUniqueUuid(model.uid, field);
-            }
+          if (!conflict.exists) continue;
+          
+          if (!isAutoGenerateEnabled(attribute)) {
+            // Cannot replace the value of a field that must be provided manually
+            throw new ValidationError(
+              `UUID '${currentValue}' already exists for field '${field}'${describeConflict(model.uid, field, conflict)}. Please use a unique value.`,
+              { field, uuid: currentValue }
+            );
           }
+          
+          log.info(
+            `[strapi-auto-uuid] UUID '${currentValue}' already exists for ${model.uid}.${field}${describeConflict(model.uid, field, conflict)}, generating new one`
+          );
+          params.data[field] = await generateUniqueUuid(model.uid, field, ownerScope, params.data);
         }
       }
+      
+      if (auditService.isEnabled() && !isInternalOperation()) {
+        event.state.auditEntries = uuidFields
+          .filter((field) => params.data[field] && !reusedFields.has(field))
+          .map((field) => ({ source: 'create', uid: model.uid, field, oldValue: null, newValue: params.data[field] }));
+      }
+    },
+
+    /**
+     * After Create Hook - Records the values of a new owner in the audit log
+     * @param {Object} event - Lifecycle event object
+     */
+    async afterCreate(event) {
+      const { result, state } = event;
+      
+      if (!state?.auditEntries?.length) return;
+      
+      await auditService.record(
+        state.auditEntries.map((entry) => ({ ...entry, documentId: result?.documentId, locale: result?.locale }))
+      );
     },
 
     /**
-     * Before Update Hook - Validates UUID changes don't create duplicates
+     * Before Update Hook - Validates UUID changes don't create duplicates and
+     * rejects changes to existing values unless manual editing is allowed
      * @param {Object} event - Lifecycle event object
      */
     async beforeUpdate(event) {
       const { model, params } = event;
+      
+      if (componentModels[model.uid]) {
+        await prepareComponentEntry(event, true);
+        return;
+      }
+      
       const uuidFields = models[model.uid];
       
-      if (!uuidFields) return;
+      if (!uuidFields || !params.data) return;
       
-      const documentId = await getDocumentIdFromWhere(model.uid, params.where);
+      const existingEntry = await findEntryFromWhere(model.uid, params.where, [
+        ...new Set([...uuidFields, ...getDerivationSources(model.uid)]),
+      ]);
+      const documentId = existingEntry?.documentId || params.where?.documentId;
       if (!documentId) return;
+      const locale = existingEntry?.locale || params.where?.locale;
       
       for (const field of uuidFields) {
+        // Derived fields with "Recompute on update" follow changes of their template attributes
+        const derivation = getFieldDerivation(model.uid, field);
+        let recomputed = false;
+        if (derivation?.recompute && existingEntry && !isInternalOperation()) {
+          const sourceChanged = derivation.fields.some(
+            (source) =>
+              params.data[source] !== undefined &&
+              formatSourceValue(params.data[source]) !== formatSourceValue(existingEntry[source])
+          );
+          
+          if (sourceChanged) {
+            params.data[field] = await deriveUniqueValue(
+              model.uid,
+              field,
+              derivation,
+              { ...existingEntry, ...params.data },
+              getOwnerScope({ documentId, locale }, getLocalePolicy(model.uid, field))
+            );
+            recomputed = true;
+          }
+        }
+        
         if (params.data[field] === undefined) continue;
         
+        const attribute = getAttribute(model.uid, field);
+        
+        // Validate the format (prefix + identifier), adding the prefix to bare identifiers
+        if (params.data[field]) {
+          const normalizedValue = normalizeValue(params.data[field], getPrefix(attribute), getFieldFormat(attribute));
+          
+          if (!normalizedValue) {
+            throw new ValidationError(
+              `Invalid UUID format for field '${field}': '${params.data[field]}'. Expected ${describeFormat(attribute)}.`,
+              { field, uuid: params.data[field] }
+            );
+          }
+          
+          params.data[field] = normalizedValue;
+        }
+        
         const newValue = params.data[field];
+        const oldValue = existingEntry?.[field];
         
-        // Validate UUID format
-        if (newValue && !validateUuid(newValue)) {
+        // Setting a missing value is always allowed, changing an existing one needs permission.
+        // Plugin maintenance operations (auto-fix, migrations, imports) are exempt.
+        if (
+          oldValue &&
+          newValue !== oldValue &&
+          !recomputed &&
+          !isEditAllowed(attribute, config.allowManualEdit) &&
+          !isInternalOperation()
+        ) {
           throw new ValidationError(
-            `Invalid UUID format for field '${field}': '${newValue}'`,
+            `UUID field '${field}' cannot be changed once set. Enable "Allow manual editing" on the field to change it.`,
             { field, uuid: newValue }
           );
         }
         
-        // Validate uniqueness if enabled
-        if (newValue && config.validateUniqueness) {
-          const exists = await isUuidExists(model.uid, field, newValue, documentId);
+        // Validate uniqueness if enabled (rows of the same owner may share the value)
+        if (newValue && config.validateUniqueness && !recomputed) {
+          const ownerScope = getOwnerScope({ documentId, locale }, getLocalePolicy(model.uid, field));
+          const conflict = await checkUuidExists(model.uid, field, newValue, ownerScope);
           
-          if (exists) {
+          if (conflict.exists) {
             throw new ValidationError(
-              `UUID '${newValue}' already exists for field '${field}'. Please use a unique value.`,
+              `UUID '${newValue}' already exists for field '${field}'${describeConflict(model.uid, field, conflict)}. Please use a unique value.`,
               { field, uuid: newValue }
             );
           }
         }
+        
+        // Under the 'shared' policy the other locales must follow a changed value
+        if (
+          oldValue &&
+          newValue &&
+          newValue !== oldValue &&
+          locale &&
+          attribute?.pluginOptions?.i18n?.localized !== false &&
+          getLocalePolicy(model.uid, field) === 'shared'
+        ) {
+          event.state.sharedChanges = [
+            ...(event.state.sharedChanges || []),
+            { field, value: newValue, documentId, locale },
+          ];
+        }
+        
+        // Manual edits are audited and retired here, plugin operations with their run
+        if ((newValue || null) !== (oldValue || null) && !isInternalOperation()) {
+          const actor = auditService.getActor();
+          let source = oldValue ? 'edit' : 'create';
+          if (recomputed) source = 'recompute';
+          else if (newValue && auditService.consumeRegenerated(newValue, actor)) source = 'regenerate';
+          
+          event.state.uuidChanges = [
+            ...(event.state.uuidChanges || []),
+            { source, uid: model.uid, field, documentId, locale, oldValue, newValue },
+          ];
+        }
+      }
+    },
+
+    /**
+     * After Update Hook - Records changed values in the audit log and the UUID history,
+     * and propagates changed 'shared' values to the drafts of the other locales
+     * (fields that are not localized are synchronized by the i18n plugin itself)
+     * @param {Object} event - Lifecycle event object
+     */
+    async afterUpdate(event) {
+      const { model, state } = event;
+      
+      if (state?.uuidChanges?.length) {
+        await auditService.record(state.uuidChanges);
+        await historyService.retire(state.uuidChanges);
+      }
+      
+      for (const { field, value, documentId, locale } of state?.sharedChanges || []) {
+        const where = { documentId, locale: { $ne: locale } };
+        if (contentTypes[model.uid]?.options?.draftAndPublish) {
+          where.publishedAt = null;
+        }
+        
+        await strapi.db.query(model.uid).updateMany({
+          where,
+          data: { [field]: value },
+        });
+        log.debug(`[strapi-auto-uuid] Propagated ${model.uid}.${field} of ${documentId} to other locales`);
       }
     },
   });
   
+  if (config.uniqueIndexes && modelsToSubscribe.length > 0) {
+    const indexService = strapi.plugin('field-uuid').service('indexes');
+    
+    // Unique index violations (e.g. two concurrent creates) surface as the hooks' ValidationError
+    strapi.documents.use(async (context, next) => {
+      try {
+        return await next();
+      } catch (err) {
+        if (!models[context.uid]) throw err;
+        throw indexService.translateError(context.uid, err, context.params?.data) || err;
+      }
+    });
+    
+    // Create missing indexes before requests are served
+    try {
+      const { created, skipped } = await indexService.ensureIndexes();
+      
+      if (created.length > 0) {
+        log.info(`[strapi-auto-uuid] Created ${created.length} unique index(es): ${created.join(', ')}`);
+      }
+      for (const { uid, field, reason } of skipped) {
+        log.warn(`[strapi-auto-uuid] Unique index for ${uid}.${field} not created: ${reason}`);
+      }
+    } catch (err) {
+      log.error('[strapi-auto-uuid] Failed to create unique indexes:', err.message);
+    }
+  }
+  
+  // Keep the jobs and runs of this instance alive for the other instances of a cluster; servers
+  // also pick up the jobs queued or left behind by them
+  strapi.plugin('field-uuid').service('heartbeat').start({ recover: !strapi.fieldUuidCli });
+  
+  // The CLI loads the app next to a running server: background jobs, their recovery and
+  // auto-migration belong to the server process
+  if (strapi.fieldUuidCli) {
+    return;
+  }
+  
+  // Resume queued background jobs and close the jobs and migration runs interrupted by a restart
+  try {
+    await strapi.plugin('field-uuid').service('runs').recover();
+    await strapi.plugin('field-uuid').service('jobs').recover();
+  } catch (err) {
+    log.error('[strapi-auto-uuid] Failed to recover background jobs:', err.message);
+  }
+  
   // Run auto-migration if enabled
-  if (config.autoMigrate && modelsToSubscribe.length > 0) {
+  if (config.autoMigrate && (modelsToSubscribe.length > 0 || componentsToSubscribe.length > 0)) {
     log.info('[strapi-auto-uuid] Auto-migration enabled, checking for issues...');
     
     // Run migration asynchronously after bootstrap
@@ -1,7 +1,11 @@
+import { BUILT_IN_FORMATS, FORMAT_NAME_PATTERN } from '../utils/formats';
+import { DEFAULT_UNIQUE_SCOPES } from '../utils/uuid';
+
 /**
  * Plugin Configuration Schema
  * 
- * Configure the UUID plugin behavior via config/plugins.js:
+ * Configure the UUID plugin behavior via config/plugins.js. All options except
+ * uniqueIndexes and uuidLookup can be overridden in the admin panel (settings service).
  * 
  * @example
  * // config/plugins.js
@@ -9,7 +13,8 @@
  *   'field-uuid': {
  *     enabled: true,
  *     config: {
- *       // Default UUID version for new fields (v4 or v7)
+ *       // Default format for fields without their own: UUID 'v1', 'v4', 'v5', 'v6', 'v7',
+ *       // 'ulid', 'nanoid', 'ksuid' or the name of a registered generator (default: 'v4')
  *       defaultVersion: 'v4',
  *       
  *       // Auto-generate UUIDs on create (default: true)
@@ -18,9 +23,35 @@
  *       // Validate uniqueness before save (default: true)
  *       validateUniqueness: true,
  *       
+ *       // Where values must be unique, for fields without their own scope (default: 'field')
+ *       // 'field': within the field, 'content-type': across the fields of a content type,
+ *       // 'global': across all content types
+ *       uniquenessScope: 'field',
+ *       
+ *       // Maintain database unique indexes on UUID columns (default: true)
+ *       uniqueIndexes: true,
+ *       
  *       // Allow manual UUID editing in admin panel (default: false)
  *       allowManualEdit: false,
  *       
+ *       // Default locale policy for localized content types (default: 'shared')
+ *       // 'shared': one UUID for all locales and draft/published versions of a document
+ *       // 'per-locale': a distinct UUID per locale
+ *       localePolicy: 'shared',
+ *       
+ *       // Accept UUIDs in place of documentIds in the core findOne/update/delete
+ *       // routes: true for all UUID models, or a list of content type UIDs (default: false)
+ *       uuidLookup: false,
+ *       
+ *       // Rows loaded per query when scanning or migrating content types (default: 1000)
+ *       batchSize: 1000,
+ *       
+ *       // Record every UUID change in the audit log (default: true)
+ *       auditLog: true,
+ *       
+ *       // Keep replaced UUIDs as aliases resolving to their document (default: true)
+ *       uuidHistory: true,
+ *       
  *       // Run auto-migration on bootstrap (default: false)
  *       autoMigrate: false,
  *       
@@ -32,7 +63,7 @@
  */
 export default {
   default: {
-    // Default UUID version - v4 is random, v7 is time-sortable
+    // Default format - v4 is random, v7 is time-sortable; also v1, v5, v6, ulid, nanoid, ksuid
     defaultVersion: 'v4',
     
     // Auto-generate UUID when creating new entries
@@ -41,9 +72,30 @@ export default {
     // Validate UUID uniqueness before saving
     validateUniqueness: true,
     
+    // Uniqueness scope of fields without their own ('field', 'content-type' or 'global')
+    uniquenessScope: 'field',
+    
+    // Create unique indexes on UUID columns at bootstrap (requires validateUniqueness)
+    uniqueIndexes: true,
+    
     // Allow users to manually edit UUIDs in admin panel
     allowManualEdit: false,
     
+    // How UUIDs relate to the locales of a document ('shared' or 'per-locale')
+    localePolicy: 'shared',
+    
+    // Accept UUIDs in place of documentIds in core routes (true or content type UIDs)
+    uuidLookup: false,
+    
+    // Rows loaded per query by diagnose, migration and export
+    batchSize: 1000,
+    
+    // Persist UUID changes with actor, source and old/new value in the audit log
+    auditLog: true,
+    
+    // Keep replaced UUIDs as aliases, so the resolver still finds their document
+    uuidHistory: true,
+    
     // Automatically fix issues on server start (dangerous, use with caution)
     autoMigrate: false,
     
@@ -59,10 +111,40 @@ export default {
    * @param {Object} config - User-provided configuration
    */
   validator(config) {
-    // Validate defaultVersion
-    if (config.defaultVersion && !['v4', 'v7'].includes(config.defaultVersion)) {
+    // Validate defaultVersion (generators are registered after the config is loaded,
+    // so other names are only checked for their shape here and reported at bootstrap)
+    if (
+      config.defaultVersion &&
+      !BUILT_IN_FORMATS.includes(config.defaultVersion) &&
+      !(typeof config.defaultVersion === 'string' && FORMAT_NAME_PATTERN.test(config.defaultVersion))
+    ) {
       throw new Error(
-        `[strapi-auto-uuid] Invalid defaultVersion: "${config.defaultVersion}". Must be "v4" or "v7".`
+        `[strapi-auto-uuid] Invalid defaultVersion: "${config.defaultVersion}". Must be one of: ${BUILT_IN_FORMATS.join(', ')} or the name of a registered generator.`
+      );
+    }
+    
+    // Validate localePolicy
+    if (config.localePolicy && !['shared', 'per-locale'].includes(config.localePolicy)) {
+      throw new Error(
+        `[strapi-auto-uuid] Invalid localePolicy: "${config.localePolicy}". Must be "shared" or "per-locale".`
+      );
+    }
+    
+    // Validate uniquenessScope
+    if (config.uniquenessScope && !DEFAULT_UNIQUE_SCOPES.includes(config.uniquenessScope)) {
+      throw new Error(
+        `[strapi-auto-uuid] Invalid uniquenessScope: "${config.uniquenessScope}". Must be "field", "content-type" or "global".`
+      );
+    }
+    
+    // Validate uuidLookup
+    if (
+      config.uuidLookup !== undefined &&
+      typeof config.uuidLookup !== 'boolean' &&
+      !(Array.isArray(config.uuidLookup) && config.uuidLookup.every((uid) => typeof uid === 'string'))
+    ) {
+      throw new Error(
+        `[strapi-auto-uuid] Invalid uuidLookup: "${config.uuidLookup}". Must be a boolean or an array of content type UIDs.`
       );
     }
     
@@ -75,6 +157,15 @@ export default {
       }
     }
     
+    // Validate batchSize
+    if (config.batchSize !== undefined) {
+      if (!Number.isInteger(config.batchSize) || config.batchSize < 1) {
+        throw new Error(
+          `[strapi-auto-uuid] Invalid batchSize: "${config.batchSize}". Must be a positive integer.`
+        );
+      }
+    }
+    
     // Validate logLevel
     if (config.logLevel && !['debug', 'info', 'warn', 'error'].includes(config.logLevel)) {
       throw new Error(
@@ -83,7 +174,7 @@ export default {
     }
     
     // Validate boolean options
-    const booleanOptions = ['autoGenerate', 'validateUniqueness', 'allowManualEdit', 'autoMigrate'];
+    const booleanOptions = ['autoGenerate', 'validateUniqueness', 'uniqueIndexes', 'allowManualEdit', 'autoMigrate', 'auditLog', 'uuidHistory'];
     for (const option of booleanOptions) {
       if (config[option] !== undefined && typeof config[option] !== 'boolean') {
         throw new Error(
@@ -0,0 +1,7 @@
+'use strict';
+
+import schema from './schema.json';
+
+export default {
+  schema,
+};
@@ -1 +1,13 @@
-export default {};
+import alias from './alias';
+import auditEntry from './audit-entry';
+import change from './change';
+import job from './job';
+import run from './run';
+
+export default {
+  alias,
+  'audit-entry': auditEntry,
+  change,
+  job,
+  run,
+};
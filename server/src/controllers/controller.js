@@ -1,5 +1,8 @@
 'use strict';
 
+import { Readable } from 'stream';
+import { toFilters } from '../utils/models';
+
 /**
  * UUID Plugin Controller
  * 
@@ -25,7 +28,7 @@ const controller = ({ strapi }) => ({
    * @param {Object} ctx - Koa context
    */
   async checkDuplicate(ctx) {
-    const { contentType, field, uuid, excludeDocumentId } = ctx.request.body;
+    const { contentType, field, uuid, excludeDocumentId, locale } = ctx.request.body;
 
     if (!contentType || !field || !uuid) {
       return ctx.badRequest('Missing required parameters: contentType, field, uuid');
@@ -47,6 +50,7 @@ const controller = ({ strapi }) => ({
         field,
         uuid,
         excludeDocumentId,
+        locale,
       });
 
       ctx.body = result;
@@ -57,58 +61,194 @@ const controller = ({ strapi }) => ({
   },
 
   /**
-   * Diagnoses all UUID fields for duplicates across all content types
+   * Resolves a UUID to its document (Content API).
+   * The document is loaded with the request's populate, fields, locale and status
+   * parameters (published version by default, like the core findOne route) and sanitized
+   * for the requester, who needs the `findOne` permission of the content type the UUID
+   * belongs to. Without it the UUID is reported as not found, so callers cannot probe which
+   * UUIDs exist. A retired UUID resolves to the document that held it, with a `moved` hint
+   * pointing to the current value.
+   * @param {Object} ctx - Koa context
+   */
+  async resolve(ctx) {
+    const { uuid } = ctx.params;
+    const { contentType, field, ...query } = ctx.query;
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const models = uuidService.getUuidModels();
+
+    if (contentType && !models[contentType]) {
+      return ctx.badRequest(`Content type '${contentType}' has no UUID fields`);
+    }
+
+    if (field && contentType && !models[contentType].includes(field)) {
+      return ctx.badRequest(`Field '${field}' is not a UUID field of '${contentType}'`);
+    }
+
+    // Same permission as GET /api/<collection>/:documentId (throws 401/403)
+    if (contentType) {
+      await strapi.auth.verify(ctx.state.auth, { scope: [`${contentType}.findOne`] });
+    }
+
+    let match;
+    let alias = null;
+    try {
+      match = await uuidService.findByUuid(uuid, { contentType, field });
+      if (!match) {
+        alias = await strapi.plugin('field-uuid').service('history').findAlias(uuid, { contentType, field });
+        match = alias;
+      }
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error resolving UUID:', error);
+      return ctx.internalServerError('Failed to resolve UUID');
+    }
+
+    if (!match) {
+      return ctx.notFound('UUID not found');
+    }
+
+    // Without a content type in the query, a UUID the requester may not read answers like a missing one
+    if (!contentType) {
+      try {
+        await strapi.auth.verify(ctx.state.auth, { scope: [`${match.contentType}.findOne`] });
+      } catch {
+        return ctx.notFound('UUID not found');
+      }
+    }
+
+    const schema = strapi.getModel(match.contentType);
+    await strapi.contentAPI.validate.query(query, schema, { auth: ctx.state.auth });
+    const sanitizedQuery = await strapi.contentAPI.sanitize.query(query, schema, { auth: ctx.state.auth });
+
+    const document = await strapi.documents(match.contentType).findOne({
+      ...sanitizedQuery,
+      documentId: match.documentId,
+      // Per-locale values belong to one locale, shared values to every locale of the document
+      locale: match.locale || sanitizedQuery.locale,
+      status: sanitizedQuery.status ?? 'published',
+    });
+
+    if (!document) {
+      return ctx.notFound('UUID not found');
+    }
+
+    ctx.body = {
+      data: await strapi.contentAPI.sanitize.output(document, schema, { auth: ctx.state.auth }),
+      meta: {
+        contentType: match.contentType,
+        field: match.field,
+        documentId: match.documentId,
+        ...(alias
+          ? { moved: { status: 301, retiredUuid: alias.retiredUuid, uuid: alias.uuid, retiredAt: alias.retiredAt } }
+          : {}),
+      },
+    };
+  },
+
+  /**
+   * Diagnoses all UUID fields for duplicates across all content types, or the content types,
+   * fields and documents of the query (`contentTypes`, `fields`, `documentIds`)
    * @param {Object} ctx - Koa context
    */
   async diagnose(ctx) {
     try {
-      const report = await strapi.plugin('field-uuid').service('service').diagnose();
+      const report = await strapi.plugin('field-uuid').service('service').diagnose(toFilters(ctx.query));
       ctx.body = report;
     } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
       strapi.log.error('[strapi-auto-uuid] Error during diagnosis:', error);
       return ctx.internalServerError('Failed to diagnose UUIDs');
     }
   },
 
   /**
-   * Auto-fixes all duplicate UUIDs by generating new unique UUIDs
+   * Lists the duplicate groups of top-level UUID fields with a preview of their entries
    * @param {Object} ctx - Koa context
    */
-  async autofix(ctx) {
-    const { dryRun = false } = ctx.request.body || {};
+  async listDuplicates(ctx) {
+    try {
+      ctx.body = await strapi.plugin('field-uuid').service('duplicates').listGroups();
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error listing duplicates:', error);
+      return ctx.internalServerError('Failed to list duplicate UUIDs');
+    }
+  },
+
+  /**
+   * Resolves duplicate groups as chosen on the resolution page, in one batch
+   * @param {Object} ctx - Koa context
+   */
+  async resolveDuplicates(ctx) {
+    const { resolutions, dryRun = false } = ctx.request.body || {};
 
     try {
-      const report = await strapi.plugin('field-uuid').service('service').autofix({ dryRun });
-      
-      if (!dryRun && report.totalFixed > 0) {
-        strapi.log.info(`[strapi-auto-uuid] Auto-fix completed: ${report.totalFixed} duplicate(s) fixed`);
+      ctx.body = await strapi.plugin('field-uuid').service('duplicates').applyResolutions(resolutions, { dryRun });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message, error.details);
       }
+      strapi.log.error('[strapi-auto-uuid] Error resolving duplicates:', error);
+      return ctx.internalServerError('Failed to resolve duplicate UUIDs');
+    }
+  },
 
-      ctx.body = report;
+  /**
+   * Starts a background job that auto-fixes all duplicate UUIDs, or the ones of the `contentTypes`,
+   * `fields` and `documentIds` of the body
+   * @param {Object} ctx - Koa context
+   */
+  async autofix(ctx) {
+    const { dryRun = false, duplicateStrategy = 'first', selections } = ctx.request.body || {};
+    const filters = toFilters(ctx.request.body);
+
+    try {
+      strapi.plugin('field-uuid').service('duplicates').validateOptions({ strategy: duplicateStrategy, selections });
+      strapi.plugin('field-uuid').service('service').getTargetModels(filters);
+
+      const job = await strapi.plugin('field-uuid').service('jobs').enqueue(
+        'autofix',
+        { dryRun, duplicateStrategy, ...(selections ? { selections } : {}), ...filters },
+        { user: ctx.state.user }
+      );
+
+      ctx.status = 202;
+      ctx.body = { job };
     } catch (error) {
-      strapi.log.error('[strapi-auto-uuid] Error during auto-fix:', error);
-      return ctx.internalServerError('Failed to auto-fix UUIDs');
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
+      strapi.log.error('[strapi-auto-uuid] Error starting auto-fix:', error);
+      return ctx.internalServerError('Failed to start auto-fix');
     }
   },
 
   /**
-   * Generates missing UUIDs for entries with empty UUID fields
+   * Starts a background job that generates missing UUIDs for entries with empty UUID fields
+   * (limited by the `contentTypes`, `fields` and `documentIds` of the body)
    * @param {Object} ctx - Koa context
    */
   async generateMissing(ctx) {
     const { dryRun = false } = ctx.request.body || {};
+    const filters = toFilters(ctx.request.body);
 
     try {
-      const report = await strapi.plugin('field-uuid').service('service').generateMissing({ dryRun });
-      
-      if (!dryRun && report.totalGenerated > 0) {
-        strapi.log.info(`[strapi-auto-uuid] Generated ${report.totalGenerated} missing UUID(s)`);
-      }
+      strapi.plugin('field-uuid').service('service').getTargetModels(filters);
 
-      ctx.body = report;
+      const job = await strapi.plugin('field-uuid').service('jobs').enqueue(
+        'generate-missing',
+        { dryRun, ...filters },
+        { user: ctx.state.user }
+      );
+
+      ctx.status = 202;
+      ctx.body = { job };
     } catch (error) {
-      strapi.log.error('[strapi-auto-uuid] Error generating missing UUIDs:', error);
-      return ctx.internalServerError('Failed to generate missing UUIDs');
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
+      strapi.log.error('[strapi-auto-uuid] Error starting generate missing:', error);
+      return ctx.internalServerError('Failed to start generating missing UUIDs');
     }
   },
 
@@ -118,34 +258,92 @@ const controller = ({ strapi }) => ({
    */
   async getModels(ctx) {
     try {
-      const models = strapi.plugin('field-uuid').service('service').getUuidModels();
-      ctx.body = { models };
+      const uuidService = strapi.plugin('field-uuid').service('service');
+      ctx.body = {
+        models: uuidService.getUuidModels(),
+        nested: uuidService.getNestedUuidPaths(),
+      };
     } catch (error) {
       strapi.log.error('[strapi-auto-uuid] Error getting models:', error);
       return ctx.internalServerError('Failed to get UUID models');
     }
   },
 
+  /**
+   * Returns the plugin configuration needed by the admin panel
+   * @param {Object} ctx - Koa context
+   */
+  async getConfig(ctx) {
+    const pluginConfig = strapi.config.get('plugin::field-uuid', {});
+
+    ctx.body = {
+      defaultVersion: pluginConfig.defaultVersion || 'v4',
+      autoGenerate: pluginConfig.autoGenerate !== false,
+      allowManualEdit: pluginConfig.allowManualEdit === true,
+    };
+  },
+
+  /**
+   * Returns the settings editable in the admin panel
+   * @param {Object} ctx - Koa context
+   */
+  async getSettings(ctx) {
+    try {
+      ctx.body = await strapi.plugin('field-uuid').service('settings').find();
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error getting settings:', error);
+      return ctx.internalServerError('Failed to get settings');
+    }
+  },
+
+  /**
+   * Changes settings; they apply immediately without a restart
+   * @param {Object} ctx - Koa context
+   */
+  async updateSettings(ctx) {
+    const { settings } = ctx.request.body || {};
+
+    if (!settings) {
+      return ctx.badRequest('Missing required parameter: settings');
+    }
+
+    try {
+      ctx.body = await strapi.plugin('field-uuid').service('settings').update(settings);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
+      strapi.log.error('[strapi-auto-uuid] Error updating settings:', error);
+      return ctx.internalServerError('Failed to update settings');
+    }
+  },
+
   // =====================
   // Migration Endpoints
   // =====================
 
   /**
-   * Get migration status - identifies issues that need fixing
+   * Get migration status - identifies issues that need fixing (of the `contentTypes` and `fields` of the query)
    * @param {Object} ctx - Koa context
    */
   async getMigrationStatus(ctx) {
+    const { contentTypes, fields } = ctx.query;
+
     try {
-      const status = await strapi.plugin('field-uuid').service('migrations').checkMigrationStatus();
+      const status = await strapi.plugin('field-uuid').service('migrations').checkMigrationStatus({ contentTypes, fields });
       ctx.body = status;
     } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
       strapi.log.error('[strapi-auto-uuid] Error checking migration status:', error);
       return ctx.internalServerError('Failed to check migration status');
     }
   },
 
   /**
-   * Run migration to fix all UUID issues
+   * Starts a background job that runs the migration to fix all UUID issues
+   * (limited by the `contentTypes`, `fields` and `documentIds` of the body)
    * @param {Object} ctx - Koa context
    */
   async runMigration(ctx) {
@@ -153,41 +351,76 @@ const controller = ({ strapi }) => ({
       dryRun = true, 
       fixEmpty = true, 
       fixInvalid = true, 
-      fixDuplicates = true 
+      fixDuplicates = true,
+      fixPrefix = true,
+      recomputeDerived = false,
+      duplicateStrategy = 'first',
+      selections,
+      resume,
     } = ctx.request.body || {};
+    const filters = toFilters(ctx.request.body);
 
     try {
-      const result = await strapi.plugin('field-uuid').service('migrations').runMigration({
-        dryRun,
-        fixEmpty,
-        fixInvalid,
-        fixDuplicates,
-      });
-
-      if (!dryRun && result.totalFixed > 0) {
-        strapi.log.info(`[strapi-auto-uuid] Migration completed: ${result.totalFixed} entries fixed`);
+      if (!resume) {
+        strapi.plugin('field-uuid').service('duplicates').validateOptions({ strategy: duplicateStrategy, selections });
+        strapi.plugin('field-uuid').service('service').getTargetModels(filters);
       }
 
-      ctx.body = result;
+      // A resumed run keeps the options it was started with
+      const job = await strapi.plugin('field-uuid').service('jobs').enqueue(
+        'migration',
+        resume
+          ? { resume }
+          : {
+              dryRun,
+              fixEmpty,
+              fixInvalid,
+              fixDuplicates,
+              fixPrefix,
+              recomputeDerived,
+              duplicateStrategy,
+              ...(selections ? { selections } : {}),
+              ...filters,
+            },
+        { user: ctx.state.user }
+      );
+
+      ctx.status = 202;
+      ctx.body = { job };
     } catch (error) {
-      strapi.log.error('[strapi-auto-uuid] Error running migration:', error);
-      return ctx.internalServerError('Failed to run migration');
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
+      strapi.log.error('[strapi-auto-uuid] Error starting migration:', error);
+      return ctx.internalServerError('Failed to start migration');
     }
   },
 
   /**
-   * Export UUID mappings for backup
+   * Export UUID mappings for backup, streamed so large exports are never held in memory
+   * (of the `contentTypes`, `fields` and `documentIds` of the query)
    * @param {Object} ctx - Koa context
    */
   async exportMappings(ctx) {
+    const filters = toFilters(ctx.query);
+
     try {
-      const exportData = await strapi.plugin('field-uuid').service('migrations').exportMappings();
+      // Unknown content types and fields are rejected before the download starts
+      strapi.plugin('field-uuid').service('service').getTargetModels(filters);
+
+      const stream = Readable.from(strapi.plugin('field-uuid').service('migrations').streamMappings(filters));
+      stream.on('error', (error) => {
+        strapi.log.error('[strapi-auto-uuid] Error streaming mappings:', error);
+      });
       
       // Set headers for file download
       ctx.set('Content-Type', 'application/json');
       ctx.set('Content-Disposition', `attachment; filename="uuid-mappings-${Date.now()}.json"`);
-      ctx.body = exportData;
+      ctx.body = stream;
     } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
       strapi.log.error('[strapi-auto-uuid] Error exporting mappings:', error);
       return ctx.internalServerError('Failed to export UUID mappings');
     }
@@ -211,31 +444,261 @@ const controller = ({ strapi }) => ({
       );
       ctx.body = result;
     } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
       strapi.log.error('[strapi-auto-uuid] Error importing mappings:', error);
       return ctx.internalServerError('Failed to import UUID mappings');
     }
   },
 
+  // =====================
+  // Background Jobs
+  // =====================
+
+  /**
+   * Lists recent background jobs (`?active=true` for queued and running jobs only)
+   * @param {Object} ctx - Koa context
+   */
+  async listJobs(ctx) {
+    const { active } = ctx.query;
+
+    try {
+      const jobs = await strapi.plugin('field-uuid').service('jobs').findMany({
+        active: active === 'true' || active === true,
+      });
+      ctx.body = { jobs };
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error listing jobs:', error);
+      return ctx.internalServerError('Failed to list jobs');
+    }
+  },
+
+  /**
+   * Returns a background job with its progress and, once finished, its result
+   * @param {Object} ctx - Koa context
+   */
+  async getJob(ctx) {
+    try {
+      const job = await strapi.plugin('field-uuid').service('jobs').findOne(ctx.params.id);
+
+      if (!job) {
+        return ctx.notFound('Job not found');
+      }
+
+      ctx.body = { job };
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error getting job:', error);
+      return ctx.internalServerError('Failed to get job');
+    }
+  },
+
+  /**
+   * Cancels a queued or running background job
+   * @param {Object} ctx - Koa context
+   */
+  async cancelJob(ctx) {
+    try {
+      const job = await strapi.plugin('field-uuid').service('jobs').cancel(ctx.params.id);
+
+      if (!job) {
+        return ctx.notFound('Job not found');
+      }
+
+      ctx.body = { job };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return ctx.badRequest(error.message);
+      }
+      strapi.log.error('[strapi-auto-uuid] Error cancelling job:', error);
+      return ctx.internalServerError('Failed to cancel job');
+    }
+  },
+
+  // =====================
+  // Runs & Rollback
+  // =====================
+
+  /**
+   * Lists recent runs (migration, auto-fix, generate missing, import) with the size of their change set
+   * @param {Object} ctx - Koa context
+   */
+  async listRuns(ctx) {
+    try {
+      const runs = await strapi.plugin('field-uuid').service('runs').findMany();
+      ctx.body = { runs };
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error listing runs:', error);
+      return ctx.internalServerError('Failed to list runs');
+    }
+  },
+
+  /**
+   * Starts a background job that restores the old values of a run's change set.
+   * The job fails without changing anything if a value would now collide.
+   * @param {Object} ctx - Koa context
+   */
+  async rollbackRun(ctx) {
+    const { id } = ctx.params;
+
+    try {
+      const run = await strapi.plugin('field-uuid').service('runs').findOne(id);
+
+      if (!run) {
+        return ctx.notFound('Run not found');
+      }
+      if (!['completed', 'failed'].includes(run.status)) {
+        return ctx.badRequest(`Run is ${run.status} and cannot be rolled back`);
+      }
+
+      const job = await strapi.plugin('field-uuid').service('jobs').enqueue(
+        'rollback',
+        { runId: id },
+        { user: ctx.state.user }
+      );
+
+      ctx.status = 202;
+      ctx.body = { job };
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error starting rollback:', error);
+      return ctx.internalServerError('Failed to start rollback');
+    }
+  },
+
+  // =====================
+  // UUID History
+  // =====================
+
+  /**
+   * Returns the current and retired UUIDs of a document (`?locale=` for 'per-locale' fields)
+   * @param {Object} ctx - Koa context
+   */
+  async getHistory(ctx) {
+    const { contentType, documentId } = ctx.params;
+    const uuidService = strapi.plugin('field-uuid').service('service');
+
+    if (!uuidService.getUuidModels()[contentType]) {
+      return ctx.badRequest(`Content type '${contentType}' has no UUID fields`);
+    }
+
+    try {
+      ctx.body = await strapi
+        .plugin('field-uuid')
+        .service('history')
+        .getDocumentHistory(contentType, documentId, { locale: ctx.query.locale });
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error getting UUID history:', error);
+      return ctx.internalServerError('Failed to get UUID history');
+    }
+  },
+
+  // =====================
+  // Audit Log
+  // =====================
+
+  /**
+   * Lists audit entries, newest first. Query: contentType, field, source, actorType,
+   * documentId, value, q (documentId or value), runId, from, to, page, pageSize
+   * @param {Object} ctx - Koa context
+   */
+  async listAudit(ctx) {
+    const { page, pageSize, ...filters } = ctx.query;
+
+    try {
+      ctx.body = await strapi.plugin('field-uuid').service('audit').findPage(filters, { page, pageSize });
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error listing audit entries:', error);
+      return ctx.internalServerError('Failed to list audit entries');
+    }
+  },
+
+  /**
+   * Exports the matching audit entries as a CSV file (same filters as listAudit)
+   * @param {Object} ctx - Koa context
+   */
+  async exportAudit(ctx) {
+    const { page, pageSize, ...filters } = ctx.query;
+
+    try {
+      const stream = Readable.from(strapi.plugin('field-uuid').service('audit').streamCsv(filters));
+      stream.on('error', (error) => {
+        strapi.log.error('[strapi-auto-uuid] Error streaming audit entries:', error);
+      });
+
+      ctx.set('Content-Type', 'text/csv; charset=utf-8');
+      ctx.set('Content-Disposition', `attachment; filename="uuid-audit-${Date.now()}.csv"`);
+      ctx.body = stream;
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error exporting audit entries:', error);
+      return ctx.internalServerError('Failed to export audit entries');
+    }
+  },
+
+  /**
+   * Registers a value generated with the refresh button of the UUID input,
+   * so saving it is audited as a regeneration
+   * @param {Object} ctx - Koa context
+   */
+  async markRegenerated(ctx) {
+    const { value } = ctx.request.body || {};
+
+    if (!value || typeof value !== 'string') {
+      return ctx.badRequest('Missing required parameter: value');
+    }
+
+    strapi.plugin('field-uuid').service('audit').markRegenerated(value, ctx.state.user);
+    ctx.status = 204;
+  },
+
+  /**
+   * Generates a value on the server for the UUID input of fields whose format the
+   * admin panel cannot generate itself (registered generators)
+   * @param {Object} ctx - Koa context
+   */
+  async generate(ctx) {
+    const { options = {} } = ctx.request.body || {};
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return ctx.badRequest('Invalid parameter: options must be the field options');
+    }
+
+    try {
+      const value = await strapi.plugin('field-uuid').service('generators').generate(options);
+      ctx.body = { value };
+    } catch (error) {
+      strapi.log.error('[strapi-auto-uuid] Error generating value:', error);
+      return ctx.internalServerError('Failed to generate value');
+    }
+  },
+
   /**
    * Get comprehensive UUID statistics
    * @param {Object} ctx - Koa context
    */
   async getStats(ctx) {
     try {
-      const models = strapi.plugin('field-uuid').service('service').getUuidModels();
+      const uuidService = strapi.plugin('field-uuid').service('service');
+      const models = uuidService.getUuidModels();
+      const nested = uuidService.getNestedUuidPaths();
       const migrationStatus = await strapi.plugin('field-uuid').service('migrations').checkMigrationStatus();
       
       const stats = {
-        contentTypes: Object.keys(models).length,
-        totalFields: Object.values(models).reduce((sum, fields) => sum + fields.length, 0),
+        contentTypes: new Set([...Object.keys(models), ...Object.keys(nested)]).size,
+        totalFields: [...Object.values(models), ...Object.values(nested)].reduce(
+          (sum, fields) => sum + fields.length,
+          0
+        ),
         totalEntries: migrationStatus.totalEntries,
+        totalRows: migrationStatus.totalRows,
         issues: {
           empty: migrationStatus.contentTypes.reduce((sum, ct) => sum + (ct.emptyCount || 0), 0),
           invalid: migrationStatus.contentTypes.reduce((sum, ct) => sum + (ct.invalidCount || 0), 0),
           duplicates: migrationStatus.contentTypes.reduce((sum, ct) => sum + (ct.duplicateCount || 0), 0),
+          prefix: migrationStatus.contentTypes.reduce((sum, ct) => sum + (ct.prefixMismatchCount || 0), 0),
         },
         needsMigration: migrationStatus.needsMigration,
         models,
+        nested,
         lastChecked: new Date().toISOString(),
       };
 
@@ -1,5 +1,6 @@
 const destroy = ({ strapi }) => {
-  // destroy phase
+  strapi.plugin('field-uuid').service('heartbeat').stop();
+  strapi.plugin('field-uuid').service('settings').unwatch();
 };
 
 export default destroy;
@@ -0,0 +1,218 @@
+'use strict';
+
+import { findUuidModels } from '../utils/models';
+import { extractUuid } from '../utils/uuid';
+
+/**
+ * GraphQL Extension for strapi-auto-uuid
+ *
+ * Registered from register.js when @strapi/plugin-graphql is installed:
+ * - `UUID` scalar (optional prefix followed by a valid UUID, or an identifier in the
+ *   format of one of the UUID fields, e.g. a ULID), used for uuid attributes in the
+ *   types and in the create and update inputs, so written values are checked as well
+ * - `<model>ByUuid(uuid: UUID!, status)` query for every content type with UUID fields
+ * - `resolveUuid(uuid: UUID!, status)` query returning the `UuidDocument` union of those types
+ *
+ * Lookups use the same resolution as the Content API resolve route, and every query
+ * requires the `findOne` permission of the content type the UUID belongs to;
+ * `resolveUuid` only searches the content types the requester may read. Like the
+ * shadow CRUD queries, they return the published version unless `status: DRAFT` is
+ * given, sanitized for the requester.
+ */
+
+/**
+ * Creates the parser of UUID scalar values
+ * @param {Array<Object>} specs - Format specs of the UUID fields, see getFormatSpec()
+ * @returns {Function} Parser returning the value, throwing a TypeError if it is neither
+ *   a (prefixed) UUID nor a (prefixed) identifier in one of the given formats
+ */
+const createUuidParser = (specs) => (value) => {
+  if (typeof value !== 'string' || !(extractUuid(value) || specs.some((spec) => extractUuid(value, spec)))) {
+    throw new TypeError(`UUID cannot represent an invalid UUID value: ${JSON.stringify(value)}`);
+  }
+  return value;
+};
+
+/**
+ * Registers the UUID scalar, lookup queries and attribute types
+ * @param {Object} params
+ * @param {Object} params.strapi - Strapi instance
+ */
+const registerGraphQL = ({ strapi }) => {
+  const extensionService = strapi.plugin('graphql').service('extension');
+  const uuidModels = findUuidModels(strapi);
+
+  // The uuid attributes are exposed and accepted with the UUID scalar instead of String (added below)
+  for (const [uid, fields] of Object.entries(uuidModels)) {
+    for (const field of fields) {
+      extensionService.shadowCRUD(uid).field(field).disableOutput();
+      extensionService.shadowCRUD(uid).field(field).disableInput();
+    }
+  }
+
+  extensionService.use(({ nexus }) => {
+    const { naming } = strapi.plugin('graphql').service('utils');
+    const { args } = strapi.plugin('graphql').service('internals');
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const parseUuid = createUuidParser(
+      Object.entries(uuidModels).flatMap(([uid, fields]) => fields.map((field) => uuidService.getFieldFormat(uid, field)))
+    );
+    const models = Object.entries(uuidModels)
+      .filter(([uid]) => extensionService.shadowCRUD(uid).isEnabled())
+      .map(([uid, fields]) => ({
+        uid,
+        fields,
+        typeName: naming.getTypeName(strapi.contentTypes[uid]),
+        inputName: naming.getContentTypeInputName(strapi.contentTypes[uid]),
+        queryName: `${naming.getFindOneQueryName(strapi.contentTypes[uid])}ByUuid`,
+      }));
+
+    /**
+     * Checks the findOne permission of a content type
+     * @param {Object} auth - Auth of the request
+     * @param {string} uid - Content type UID
+     * @returns {Promise<boolean>} Whether the requester may read the content type
+     */
+    const canRead = async (auth, uid) => {
+      try {
+        await strapi.auth.verify(auth, { scope: [`${uid}.findOne`] });
+        return true;
+      } catch {
+        return false;
+      }
+    };
+
+    /**
+     * Resolves a UUID to its document, checking the findOne permission of its content type
+     * @param {string} uuid - UUID value
+     * @param {string} [contentType] - Only search this content type (throws when it may not be read)
+     * @param {string} [status='published'] - Version to load ('published' or 'draft')
+     * @param {Object} context - GraphQL context
+     * @returns {Promise<Object|null>} The sanitized document with its content type UID, or null
+     */
+    const findDocument = async (uuid, contentType, status, context) => {
+      const { auth } = context.state;
+      let match = null;
+
+      if (contentType) {
+        await strapi.auth.verify(auth, { scope: [`${contentType}.findOne`] });
+        match = await uuidService.findByUuid(uuid, { contentType });
+      } else {
+        // A UUID of a content type the requester may not read answers like a missing one
+        for (const { uid } of models) {
+          if (!(await canRead(auth, uid))) continue;
+
+          match = await uuidService.findByUuid(uuid, { contentType: uid });
+          if (match) break;
+        }
+      }
+      if (!match) return null;
+
+      const document = await strapi.documents(match.contentType).findOne({
+        documentId: match.documentId,
+        ...(match.locale ? { locale: match.locale } : {}),
+        status: status || 'published',
+      });
+      if (!document) return null;
+
+      return {
+        document: await strapi.contentAPI.sanitize.output(document, strapi.getModel(match.contentType), { auth }),
+        contentType: match.contentType,
+      };
+    };
+
+    const types = [
+      nexus.scalarType({
+        name: 'UUID',
+        description: 'A UUID (or the identifier format of the field, e.g. a ULID), optionally preceded by the prefix configured on the field (e.g. usr_)',
+        serialize: (value) => value,
+        parseValue: parseUuid,
+        parseLiteral: (ast) => {
+          if (ast.kind !== 'StringValue') {
+            throw new TypeError(`UUID cannot represent a non-string value`);
+          }
+          return parseUuid(ast.value);
+        },
+      }),
+
+      ...models.map(({ typeName, fields }) =>
+        nexus.extendType({
+          type: typeName,
+          definition(t) {
+            for (const field of fields) {
+              t.field(field, { type: 'UUID' });
+            }
+          },
+        })
+      ),
+
+      ...models.map(({ inputName, fields }) =>
+        nexus.extendInputType({
+          type: inputName,
+          definition(t) {
+            for (const field of fields) {
+              t.field(field, { type: 'UUID' });
+            }
+          },
+        })
+      ),
+
+      nexus.extendType({
+        type: 'Query',
+        definition(t) {
+          for (const { uid, typeName, queryName } of models) {
+            t.field(queryName, {
+              type: typeName,
+              args: { uuid: nexus.nonNull('UUID'), status: args.PublicationStatusArg },
+              async resolve(parent, { uuid, status }, context) {
+                const result = await findDocument(uuid, uid, status, context);
+                return result?.document || null;
+              },
+            });
+          }
+        },
+      }),
+    ];
+
+    if (models.length > 0) {
+      const typeNames = Object.fromEntries(models.map(({ uid, typeName }) => [uid, typeName]));
+
+      types.push(
+        nexus.unionType({
+          name: 'UuidDocument',
+          definition(t) {
+            t.members(...Object.values(typeNames));
+          },
+          resolveType: (item) => item.__typename,
+        }),
+
+        nexus.extendType({
+          type: 'Query',
+          definition(t) {
+            t.field('resolveUuid', {
+              type: 'UuidDocument',
+              args: { uuid: nexus.nonNull('UUID'), status: args.PublicationStatusArg },
+              async resolve(parent, { uuid, status }, context) {
+                const result = await findDocument(uuid, undefined, status, context);
+                if (!result) return null;
+
+                return { ...result.document, __typename: typeNames[result.contentType] };
+              },
+            });
+          },
+        })
+      );
+    }
+
+    return {
+      types,
+      resolversConfig: Object.fromEntries([
+        // Permissions are checked against the content type the UUID belongs to
+        ...models.map(({ queryName }) => [`Query.${queryName}`, { auth: false }]),
+        ['Query.resolveUuid', { auth: false }],
+      ]),
+    };
+  });
+};
+
+export default registerGraphQL;
@@ -1 +1,5 @@
-export default {};
+import uuidLookup from './uuid-lookup';
+
+export default {
+  'uuid-lookup': uuidLookup,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+import { normalizeValue } from '../utils/uuid';
+
+// Strapi documentIds (cuid2); NanoID fields may produce values of the same shape
+const DOCUMENT_ID_PATTERN = /^[a-z0-9]{24}$/;
+
+/**
+ * UUID Lookup Route Middleware
+ *
+ * Lets the core `findOne`, `update` and `delete` Content API routes accept a UUID
+ * value in place of the documentId, e.g. `GET /api/articles/usr_550e8400-...`.
+ * The UUID is translated to the documentId before the core controller runs;
+ * unknown UUIDs answer with 404, unless they may also be a documentId. Any other
+ * id is passed through unchanged.
+ *
+ * Attached automatically by register.js when `uuidLookup` is enabled, or manually:
+ *
+ * @example
+ * // src/api/article/routes/article.js
+ * module.exports = createCoreRouter('api::article.article', {
+ *   config: {
+ *     findOne: { middlewares: ['plugin::field-uuid.uuid-lookup'] },
+ *   },
+ * });
+ */
+const uuidLookup = (config, { strapi }) => {
+  return async (ctx, next) => {
+    const { id } = ctx.params;
+    const handler = ctx.state.route?.handler;
+    const contentType =
+      config?.contentType || (typeof handler === 'string' ? handler.split('.').slice(0, -1).join('.') : null);
+
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const fields = uuidService.getUuidModels()[contentType] || [];
+
+    // Only values matching the format of a UUID field are looked up
+    const isUuidValue = fields.some((field) =>
+      normalizeValue(id, uuidService.getFieldPrefix(contentType, field), uuidService.getFieldFormat(contentType, field))
+    );
+    if (!id || !isUuidValue) {
+      return next();
+    }
+
+    const match = await uuidService.findByUuid(id, { contentType });
+
+    if (!match) {
+      return DOCUMENT_ID_PATTERN.test(id) ? next() : ctx.notFound('UUID not found');
+    }
+
+    ctx.params.id = match.documentId;
+
+    // Values using the 'per-locale' policy target their own locale
+    if (match.locale && !ctx.query.locale) {
+      ctx.query = { ...ctx.query, locale: match.locale };
+    }
+
+    return next();
+  };
+};
+
+export default uuidLookup;
@@ -10,109 +10,260 @@
  * - The underlying database column is a VARCHAR/TEXT in both cases
  * - UUIDs themselves are stored as strings and should not be affected
  * - The change from 'uid' to 'string' type is a Strapi metadata change
+ * - Rows are scanned in batches, so large tables are processed with bounded memory
+ * - Each batch of fixes is written in one transaction together with its change set;
+ *   runs keep a checkpoint (plugin::field-uuid.run) so a failed run can be resumed
+ * - Fields derived from a template (UUID v5) are filled with their derived value
+ *   instead of a random one, and can be recomputed from the current attribute values
  */
 
-import { v4 as uuidv4, validate as validateUuid } from 'uuid';
+import { errors } from '@strapi/utils';
+import { filterGroupsByDocuments, getOwnerKey, getTemplateSources, toFilters } from '../utils/models';
+import { applyPrefix, extractUuid, getPrefix, isValidValue } from '../utils/uuid';
+
+const { ApplicationError, ValidationError } = errors;
+
+// Status reports list at most this many issues per field; counts always cover everything
+const MAX_REPORTED_ISSUES = 1000;
+
+// Migration results list at most this many changes; counts always cover everything
+const MAX_REPORTED_CHANGES = 1000;
+
+/**
+ * Lists the prefixes configured on the UUID fields (top-level and nested)
+ * @param {Object} uuidService - The plugin's `service` service
+ * @returns {string[]} Prefixes, without duplicates
+ */
+const getConfiguredPrefixes = (uuidService) => {
+  const prefixes = new Set();
+
+  for (const [uid, fields] of Object.entries(uuidService.getUuidModels())) {
+    for (const field of fields) prefixes.add(getPrefix(uuidService.getAttribute(uid, field)));
+  }
+  for (const nestedFields of Object.values(uuidService.getNestedUuidFields())) {
+    for (const { componentUid, field } of nestedFields) prefixes.add(getPrefix(uuidService.getAttribute(componentUid, field)));
+  }
+
+  prefixes.delete('');
+  return [...prefixes];
+};
+
+/**
+ * Classifies a stored value against a field's prefix and format
+ * @param {string} value - Stored value
+ * @param {string} prefix - Field prefix
+ * @param {Object} spec - Field format spec, see getFormatSpec()
+ * @param {string[]} [prefixes] - Prefixes configured on the UUID fields, see getConfiguredPrefixes()
+ * @returns {{type: string, expected?: string}} 'empty', 'valid', 'prefix' (valid identifier, wrong prefix) or 'invalid'
+ */
+const classifyValue = (value, prefix, spec, prefixes = []) => {
+  if (!value) return { type: 'empty' };
+  if (isValidValue(value, prefix, spec)) return { type: 'valid' };
+
+  // Valid identifier with a missing, stale or extra prefix - can be rewritten in place
+  const uuidBody = extractUuid(value, spec);
+  if (uuidBody) {
+    // Without a fixed alphabet boundary (e.g. NanoIDs) a value that is too long also ends with a
+    // valid identifier, so the text before it only counts as a prefix when it is a configured
+    // one, or a stale prefix of a field that has a prefix (the field's own prefix followed by
+    // more characters is a body that is too long)
+    const leftover = value.slice(0, value.length - uuidBody.length);
+    const isPrefix =
+      leftover === '' || prefixes.includes(leftover) || (prefix !== '' && !leftover.startsWith(prefix));
+    if (isPrefix) return { type: 'prefix', expected: applyPrefix(uuidBody, prefix) };
+  }
+
+  return { type: 'invalid' };
+};
+
+/**
+ * Adds an issue to a field status, up to MAX_REPORTED_ISSUES
+ * @param {Object} fieldInfo - Field status
+ * @param {Object} issue - Issue details
+ */
+const addIssue = (fieldInfo, issue) => {
+  if (fieldInfo.issues.length < MAX_REPORTED_ISSUES) {
+    fieldInfo.issues.push(issue);
+  } else {
+    fieldInfo.issuesTruncated = true;
+  }
+};
+
+/**
+ * Adds a change to a migration result, up to MAX_REPORTED_CHANGES
+ * @param {Object} result - Migration result
+ * @param {Object} change - Change details
+ */
+const addChange = (result, change) => {
+  if (result.changes.length < MAX_REPORTED_CHANGES) {
+    result.changes.push(change);
+  } else {
+    result.changesTruncated = true;
+  }
+};
+
+/**
+ * Checks the shape of imported mappings and that they only target UUID fields
+ * @param {Object} mappings - `mappings` of an export ({ [uid]: { fields: { [field]: entries[] } } })
+ * @param {Object} models - UUID fields per content type, see getUuidModels()
+ * @throws {ValidationError} For malformed mappings, content types without UUID fields and other fields
+ */
+const checkImportMappings = (mappings, models) => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(mappings)) {
+    throw new ValidationError('Invalid import data: mappings must be an object');
+  }
+
+  for (const [uid, ctData] of Object.entries(mappings)) {
+    if (!models[uid]) {
+      throw new ValidationError(`Invalid import data: unknown content type or without UUID fields: ${uid}`);
+    }
+    if (!isObject(ctData?.fields)) {
+      throw new ValidationError(`Invalid import data: fields of ${uid} must be an object`);
+    }
+
+    for (const [field, entries] of Object.entries(ctData.fields)) {
+      if (!models[uid].includes(field)) {
+        throw new ValidationError(`Invalid import data: ${uid}.${field} is not a UUID field`);
+      }
+      if (!Array.isArray(entries) || !entries.every(isObject)) {
+        throw new ValidationError(`Invalid import data: entries of ${uid}.${field} must be an array of objects`);
+      }
+    }
+  }
+};
+
+/**
+ * Adds a resolved duplicate group to a migration result, up to MAX_REPORTED_CHANGES.
+ * Groups skipped by the 'manual' strategy are counted as well.
+ * @param {Object} result - Migration result
+ * @param {string} uid - Content type UID
+ * @param {string} field - Field name or nested field path
+ * @param {Object} summary - Group summary from the duplicates service
+ */
+const addDuplicateGroup = (result, uid, field, summary) => {
+  // Runs started before duplicate strategies existed resume without these entries
+  result.duplicateGroups = result.duplicateGroups || [];
+  if (summary.kept === null) {
+    result.skippedDuplicates = (result.skippedDuplicates || 0) + 1;
+  }
+
+  if (result.duplicateGroups.length < MAX_REPORTED_CHANGES) {
+    result.duplicateGroups.push({ uid, field, ...summary });
+  } else {
+    result.duplicateGroupsTruncated = true;
+  }
+};
+
+/**
+ * Checks whether a field status reports anything to fix
+ * @param {Object} fieldInfo - Field status
+ * @returns {boolean} True if the field has issues
+ */
+const hasIssues = (fieldInfo) =>
+  fieldInfo.emptyCount > 0 ||
+  fieldInfo.invalidCount > 0 ||
+  fieldInfo.duplicateCount > 0 ||
+  fieldInfo.prefixMismatchCount > 0;
+
+/**
+ * Converts a field owner into an export mapping entry
+ * @param {Object} owner - Owner from iterateFieldOwners()
+ * @returns {Object} Mapping entry (`locale` only for fields using the 'per-locale' policy)
+ */
+const toMapping = (owner) => ({
+  documentId: owner.documentId,
+  ...(owner.locale ? { locale: owner.locale } : {}),
+  uuid: owner.value,
+});
 
 /**
  * Migration service for UUID plugin
  */
 const migrations = ({ strapi }) => ({
+  /**
+   * Checks whether database unique indexes are enabled
+   * @returns {boolean} True if indexes are maintained by the plugin
+   */
+  isIndexingEnabled() {
+    return (
+      strapi.config.get('plugin::field-uuid.uniqueIndexes') !== false &&
+      strapi.config.get('plugin::field-uuid.validateUniqueness') !== false
+    );
+  },
+
   /**
    * Check if migration from v4 is needed
    * This checks for content types that might have UUID fields from the old plugin
+   * @param {Object} [options] - Options
+   * @param {string|string[]} [options.contentTypes] - Only these content types (see the service's getTargetModels())
+   * @param {string|string[]} [options.fields] - Only these fields
+   * @param {Function} [options.onProgress] - Called while scanning with ({ uid, field, scanned, total })
    * @returns {Promise<Object>} Migration status report
+   * @throws {ValidationError} For unknown content types or fields
    */
-  async checkMigrationStatus() {
-    const { contentTypes } = strapi;
+  async checkMigrationStatus({ contentTypes, fields: fieldFilter, onProgress } = {}) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const { models, nestedModels } = uuidService.getTargetModels({ contentTypes, fields: fieldFilter });
     const report = {
       needsMigration: false,
       contentTypes: [],
       totalFields: 0,
       totalEntries: 0,
+      totalRows: 0,
       issues: [],
     };
 
-    for (const [uid, contentType] of Object.entries(contentTypes)) {
-      if (!uid.startsWith('api::')) continue;
-
-      const attributes = contentType.attributes;
-      for (const [attrName, attr] of Object.entries(attributes)) {
-        // Check for our custom field
-        if (attr.customField === 'plugin::field-uuid.uuid') {
-          const fieldInfo = {
-            uid,
-            field: attrName,
-            currentType: attr.type,
-            issues: [],
-          };
-
-          // Count entries
-          try {
-            const entries = await strapi.documents(uid).findMany({
-              fields: ['documentId', attrName],
-              limit: -1,
-            });
+    for (const [uid, fields] of Object.entries(models)) {
+      for (const field of fields) {
+        const fieldInfo = await this.checkField(uid, field, { onProgress });
 
-            fieldInfo.entryCount = entries.length;
-            report.totalEntries += entries.length;
-
-            // Check for issues
-            let emptyCount = 0;
-            let invalidCount = 0;
-            let duplicates = new Map();
-
-            for (const entry of entries) {
-              const uuidValue = entry[attrName];
-              
-              if (!uuidValue) {
-                emptyCount++;
-              } else if (!validateUuid(uuidValue)) {
-                invalidCount++;
-                fieldInfo.issues.push({
-                  type: 'invalid',
-                  documentId: entry.documentId,
-                  value: uuidValue,
-                });
-              }
-
-              // Track duplicates
-              if (uuidValue) {
-                if (!duplicates.has(uuidValue)) {
-                  duplicates.set(uuidValue, []);
-                }
-                duplicates.get(uuidValue).push(entry.documentId);
-              }
-            }
+        if (fieldInfo.error) {
+          report.issues.push(`Failed to check ${uid}.${field}: ${fieldInfo.error}`);
+        } else if (hasIssues(fieldInfo)) {
+          report.needsMigration = true;
+        }
 
-            // Count actual duplicates (more than 1 entry with same UUID)
-            let duplicateCount = 0;
-            for (const [uuid, docIds] of duplicates) {
-              if (docIds.length > 1) {
-                duplicateCount += docIds.length - 1;
-                fieldInfo.issues.push({
-                  type: 'duplicate',
-                  uuid,
-                  count: docIds.length,
-                  documentIds: docIds,
-                });
-              }
-            }
+        report.totalEntries += fieldInfo.entryCount;
+        report.totalRows += fieldInfo.rowCount;
+        report.contentTypes.push(fieldInfo);
+        report.totalFields++;
+      }
+    }
 
-            fieldInfo.emptyCount = emptyCount;
-            fieldInfo.invalidCount = invalidCount;
-            fieldInfo.duplicateCount = duplicateCount;
+    // Fields inside components and dynamic zones
+    for (const [uid, nestedFields] of Object.entries(nestedModels)) {
+      for (const nestedField of nestedFields) {
+        const fieldInfo = await this.checkNestedField(uid, nestedField, { onProgress });
 
-            if (emptyCount > 0 || invalidCount > 0 || duplicateCount > 0) {
-              report.needsMigration = true;
-            }
-          } catch (err) {
-            fieldInfo.error = err.message;
-            report.issues.push(`Failed to check ${uid}.${attrName}: ${err.message}`);
-          }
+        if (fieldInfo.error) {
+          report.issues.push(`Failed to check ${uid}.${nestedField.path}: ${fieldInfo.error}`);
+        } else if (hasIssues(fieldInfo)) {
+          report.needsMigration = true;
+        }
+
+        report.contentTypes.push(fieldInfo);
+        report.totalFields++;
+      }
+    }
+
+    // Database unique indexes (missing ones are created by a migration run)
+    if (this.isIndexingEnabled()) {
+      report.indexes = (await strapi.plugin('field-uuid').service('indexes').getStatus()).filter(
+        (index) => models[index.uid]?.includes(index.field)
+      );
 
-          report.contentTypes.push(fieldInfo);
-          report.totalFields++;
+      for (const index of report.indexes) {
+        if (index.status === 'missing' || index.status === 'conflicting') {
+          report.needsMigration = true;
+        }
+        if (index.status === 'conflicting') {
+          report.issues.push(
+            `Unique index ${index.indexName} for ${index.uid}.${index.field} is blocked by duplicate value '${index.conflict}'`
+          );
+        } else if (index.status === 'error') {
+          report.issues.push(`Failed to check unique index for ${index.uid}.${index.field}: ${index.error}`);
         }
       }
     }
@@ -121,187 +272,787 @@ const migrations = ({ strapi }) => ({
   },
 
   /**
-   * Run full migration to fix all issues
+   * Checks a top-level UUID field, one batch of rows at a time.
+   * Counts cover every owner (document, or document locale under the 'per-locale' policy);
+   * `issues` lists at most 1000 of them (`issuesTruncated` is set when more exist).
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onProgress] - Progress callback, see iterateFieldOwners()
+   * @returns {Promise<Object>} Field status
+   */
+  async checkField(uid, field, { onProgress } = {}) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const attribute = uuidService.getAttribute(uid, field);
+    const prefix = getPrefix(attribute);
+    const spec = uuidService.getFieldFormat(uid, field);
+    const prefixes = getConfiguredPrefixes(uuidService);
+    const fieldInfo = {
+      uid,
+      field,
+      currentType: attribute.type,
+      prefix,
+      version: spec.version,
+      issues: [],
+      entryCount: 0,
+      rowCount: 0,
+      emptyCount: 0,
+      invalidCount: 0,
+      duplicateCount: 0,
+      prefixMismatchCount: 0,
+    };
+
+    try {
+      for await (const owner of uuidService.iterateFieldOwners(uid, field, { onProgress })) {
+        const { documentId, locale, value } = owner;
+        const { type, expected } = classifyValue(value, prefix, spec, prefixes);
+        fieldInfo.entryCount++;
+
+        if (type === 'empty') {
+          fieldInfo.emptyCount++;
+          addIssue(fieldInfo, { type: 'empty', documentId, locale });
+        } else if (type === 'prefix') {
+          fieldInfo.prefixMismatchCount++;
+          addIssue(fieldInfo, { type: 'prefix', documentId, locale, value, expected });
+        } else if (type === 'invalid') {
+          fieldInfo.invalidCount++;
+          addIssue(fieldInfo, { type: 'invalid', documentId, locale, value });
+        }
+      }
+
+      fieldInfo.rowCount = await uuidService.countRows(uid);
+
+      // Duplicates between owners are grouped by the database
+      for (const group of await uuidService.findDuplicatesForField(uid, field)) {
+        fieldInfo.duplicateCount += group.count - 1;
+        addIssue(fieldInfo, { type: 'duplicate', ...group });
+      }
+    } catch (err) {
+      fieldInfo.error = err.message;
+    }
+
+    return fieldInfo;
+  },
+
+  /**
+   * Checks a UUID field nested in components or dynamic zones.
+   * Issues carry the document path (e.g. `sections[2].itemId`) and the component row id.
+   * @param {string} uid - Content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onProgress] - Progress callback, see iterateNestedOccurrences()
+   * @returns {Promise<Object>} Field status in the same shape as top-level fields, flagged `nested: true`
+   */
+  async checkNestedField(uid, nestedField, { onProgress } = {}) {
+    const { componentUid, field, path } = nestedField;
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const prefix = getPrefix(uuidService.getAttribute(componentUid, field));
+    const spec = uuidService.getFieldFormat(componentUid, field);
+    const prefixes = getConfiguredPrefixes(uuidService);
+    const fieldInfo = {
+      uid,
+      field: path,
+      nested: true,
+      componentUid,
+      componentField: field,
+      currentType: 'string',
+      prefix,
+      version: spec.version,
+      issues: [],
+      entryCount: 0,
+      emptyCount: 0,
+      invalidCount: 0,
+      duplicateCount: 0,
+      prefixMismatchCount: 0,
+    };
+
+    try {
+      for await (const occurrences of uuidService.iterateNestedOccurrences(uid, nestedField, { onProgress })) {
+        fieldInfo.entryCount += occurrences.length;
+
+        for (const occurrence of occurrences) {
+          const { documentId, locale, path: valuePath, componentId, value } = occurrence;
+          const { type, expected } = classifyValue(value, prefix, spec, prefixes);
+
+          if (type === 'empty') {
+            fieldInfo.emptyCount++;
+            addIssue(fieldInfo, { type: 'empty', documentId, locale, path: valuePath, componentId });
+          } else if (type === 'prefix') {
+            fieldInfo.prefixMismatchCount++;
+            addIssue(fieldInfo, { type: 'prefix', documentId, locale, path: valuePath, componentId, value, expected });
+          } else if (type === 'invalid') {
+            fieldInfo.invalidCount++;
+            addIssue(fieldInfo, { type: 'invalid', documentId, locale, path: valuePath, componentId, value });
+          }
+        }
+      }
+
+      // Copies of a component in the locales of a document are grouped by the service
+      for (const group of await uuidService.findDuplicatesForNestedField(uid, nestedField)) {
+        fieldInfo.duplicateCount += group.count - 1;
+        addIssue(fieldInfo, { type: 'duplicate', ...group });
+      }
+    } catch (err) {
+      fieldInfo.error = err.message;
+    }
+
+    return fieldInfo;
+  },
+
+  /**
+   * Run full migration to fix all issues.
+   * Each field is scanned again in batches, so the result does not depend on a previous status check.
+   * The changes of each batch are written in one database transaction and the run stores a
+   * checkpoint after every batch, so a failed run can be resumed where it stopped.
    * @param {Object} options - Migration options
    * @param {boolean} options.dryRun - If true, only reports what would be changed
    * @param {boolean} options.fixEmpty - Fix entries with empty UUIDs
    * @param {boolean} options.fixInvalid - Fix entries with invalid UUIDs
    * @param {boolean} options.fixDuplicates - Fix duplicate UUIDs
-   * @returns {Promise<Object>} Migration result report
+   * @param {boolean} options.fixPrefix - Add, strip or replace prefixes so values match the field's prefix option
+   * @param {boolean} [options.recomputeDerived] - Recompute the values of template-derived fields from the
+   *   current attribute values
+   * @param {string} [options.duplicateStrategy='first'] - Owner keeping the value of a duplicate group:
+   *   'first', 'oldest', 'published', 'most-referenced' or 'manual' (see the duplicates service)
+   * @param {Object} [options.selections] - Keeper per group ({ [uid]: { [field]: { [value]: key } } })
+   * @param {string|string[]} [options.contentTypes] - Only these content types (see the service's getTargetModels())
+   * @param {string|string[]} [options.fields] - Only these fields
+   * @param {string|string[]} [options.documentIds] - Only change these documents (duplicate groups involving them
+   *   are resolved by giving new values to their entries only)
+   * @param {string} [options.resume] - Id of a failed run to continue from its last checkpoint (with its own options)
+   * @param {Function} [options.onProgress] - Called while scanning with ({ uid, field, scanned, total, errors });
+   *   an error thrown by it (e.g. an AbortError) stops the migration
+   * @returns {Promise<Object>} Migration result report (`changes` and `duplicateGroups` list at most 1000
+   *   entries, `runId` is set for runs that write data)
+   * @throws {ValidationError} For unknown duplicate strategies, malformed selections, unknown content types or
+   *   fields and runs that cannot be resumed
    */
   async runMigration({ 
     dryRun = true, 
     fixEmpty = true, 
     fixInvalid = true, 
-    fixDuplicates = true 
+    fixDuplicates = true,
+    fixPrefix = true,
+    recomputeDerived = false,
+    duplicateStrategy = 'first',
+    selections,
+    contentTypes,
+    fields,
+    documentIds,
+    resume,
+    onProgress,
   } = {}) {
-    const status = await this.checkMigrationStatus();
-    const result = {
+    const runService = strapi.plugin('field-uuid').service('runs');
+    let params = {
       dryRun,
-      startedAt: new Date().toISOString(),
-      fixed: {
-        empty: 0,
-        invalid: 0,
-        duplicates: 0,
-      },
-      errors: [],
-      changes: [],
+      fixEmpty,
+      fixInvalid,
+      fixDuplicates,
+      fixPrefix,
+      recomputeDerived,
+      duplicateStrategy,
+      ...(selections ? { selections } : {}),
+      ...toFilters({ contentTypes, fields, documentIds }),
+    };
+    let result;
+    let steps;
+    let checkpoint = null;
+    let run = null;
+
+    if (!resume) {
+      strapi.plugin('field-uuid').service('duplicates').validateOptions({ strategy: duplicateStrategy, selections });
+      steps = this.getMigrationSteps(params);
+    }
+
+    if (resume) {
+      run = await runService.findOne(resume);
+
+      if (!run || run.type !== 'migration') {
+        throw new ValidationError(`Migration run '${resume}' not found`);
+      }
+      if (run.status !== 'failed') {
+        throw new ValidationError(`Only failed migration runs can be resumed, run '${resume}' is ${run.status}`);
+      }
+
+      params = { ...run.params, dryRun: false };
+      steps = this.getMigrationSteps(params);
+      result = { ...run.result, resumedAt: new Date().toISOString() };
+      checkpoint = run.checkpoint;
+      if (!(await runService.claim(resume, 'failed'))) {
+        throw new ValidationError(`Migration run '${resume}' is already being resumed`);
+      }
+      strapi.log.info(`[strapi-auto-uuid] Resuming migration run ${resume}`);
+    } else {
+      result = {
+        dryRun,
+        startedAt: new Date().toISOString(),
+        fixed: {
+          empty: 0,
+          invalid: 0,
+          duplicates: 0,
+          prefix: 0,
+          derived: 0,
+        },
+        errors: [],
+        changes: [],
+        duplicateGroups: [],
+        skippedDuplicates: 0,
+      };
+
+      // Dry runs write nothing, so there is nothing to resume or roll back
+      if (!dryRun) {
+        run = await runService.create('migration', params, result);
+      }
+    }
+
+    if (run) {
+      result.runId = run.documentId;
+    }
+
+    // Progress reports also carry the number of errors so far
+    const reportProgress = onProgress && ((progress) => onProgress({ ...progress, errors: result.errors.length }));
+
+    // Steps before the checkpoint were completed by the failed run
+    let startIndex = 0;
+    if (checkpoint) {
+      const index = steps.findIndex((step) => step.key === checkpoint.step);
+      if (index !== -1) {
+        startIndex = checkpoint.phase === 'done' ? index + 1 : index;
+      }
+    }
+
+    let currentStep = null;
+    try {
+      for (const [index, step] of steps.entries()) {
+        if (index < startIndex) continue;
+        currentStep = step;
+
+        const options = {
+          ...params,
+          runId: run?.documentId,
+          onProgress: reportProgress,
+          checkpoint: index === startIndex && checkpoint?.step === step.key ? checkpoint : null,
+          saveCheckpoint: run
+            ? (position) => runService.update(run.documentId, { checkpoint: { step: step.key, ...position }, result })
+            : null,
+        };
+
+        if (step.nestedField) {
+          await this.fixNestedField(step.uid, step.nestedField, options, result);
+        } else {
+          await this.fixField(step.uid, step.field, options, result);
+        }
+
+        await options.saveCheckpoint?.({ phase: 'done' });
+      }
+    } catch (err) {
+      if (!run) throw err;
+
+      const reason = err.name === 'AbortError' ? 'Cancelled' : err.message;
+      await runService.fail(run.documentId, reason, result);
+      strapi.log.error(`[strapi-auto-uuid] Migration run ${run.documentId} stopped at ${currentStep?.key}: ${reason}`);
+
+      if (err.name === 'AbortError') throw err;
+      throw new ApplicationError(
+        `Migration stopped at ${currentStep?.key}: ${reason}. Changes of completed batches are kept, resume the run to continue.`,
+        { runId: run.documentId }
+      );
+    }
+
+    // Create the unique indexes that were missing or blocked by the fixed duplicates
+    if (!params.dryRun && this.isIndexingEnabled()) {
+      try {
+        result.indexes = await strapi.plugin('field-uuid').service('indexes').ensureIndexes();
+        for (const { uid, field, reason } of result.indexes.skipped) {
+          result.errors.push(`Unique index for ${uid}.${field} not created: ${reason}`);
+        }
+      } catch (err) {
+        result.errors.push(`Failed to create unique indexes: ${err.message}`);
+      }
+    }
+
+    result.completedAt = new Date().toISOString();
+    result.totalFixed =
+      result.fixed.empty +
+      result.fixed.invalid +
+      result.fixed.duplicates +
+      result.fixed.prefix +
+      (result.fixed.derived || 0);
+
+    if (run) {
+      await runService.complete(run.documentId, result);
+    }
+
+    if (!params.dryRun && result.totalFixed > 0) {
+      strapi.log.info(`[strapi-auto-uuid] Migration completed: ${result.totalFixed} entries fixed`);
+    }
+
+    return result;
+  },
+
+  /**
+   * Lists the fields a migration walks through, in a stable order (top-level fields, then nested fields)
+   * @param {Object} [filters] - Content types and fields to migrate ({ contentTypes, fields }), all by default
+   * @returns {Array} Steps ({ key, uid, field } or { key, uid, nestedField }) where `key` identifies the
+   *   step in checkpoints
+   */
+  getMigrationSteps({ contentTypes, fields: fieldFilter } = {}) {
+    const { models, nestedModels } = strapi
+      .plugin('field-uuid')
+      .service('service')
+      .getTargetModels({ contentTypes, fields: fieldFilter });
+    const steps = [];
+
+    for (const [uid, fields] of Object.entries(models)) {
+      for (const field of fields) {
+        steps.push({ key: `${uid}.${field}`, uid, field });
+      }
+    }
+
+    for (const [uid, nestedFields] of Object.entries(nestedModels)) {
+      for (const nestedField of nestedFields) {
+        steps.push({ key: `${uid}.${nestedField.path}`, uid, nestedField });
+      }
+    }
+
+    return steps;
+  },
+
+  /**
+   * Writes the planned changes of a batch in one transaction, records them in the run's
+   * change set and adds them to the result once committed. If a write fails, the whole
+   * batch is rolled back and the error is thrown.
+   * @param {Array} batch - Planned changes ({ counter, change, record, write }), emptied afterwards
+   * @param {Object} options - Migration options ({ dryRun, runId })
+   * @param {Object} result - Migration result
+   */
+  async commitBatch(batch, { dryRun, runId }, result) {
+    if (!dryRun) {
+      await strapi.plugin('field-uuid').service('runs').applyChanges(runId, batch, { source: 'migration' });
+    }
+
+    for (const { counter, change } of batch) {
+      addChange(result, change);
+      // Runs started before a counter existed resume without it
+      result.fixed[counter] = (result.fixed[counter] || 0) + 1;
+    }
+    batch.length = 0;
+  },
+
+  /**
+   * Fixes the issues of a top-level UUID field, one batch of owners at a time.
+   * Batches end on document boundaries, so a checkpoint never splits the locales of a document.
+   * Empty and invalid values of derived fields get their derived value; duplicates always get a
+   * random one, as the documents of a duplicate group share the attribute values of the template.
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} options - Migration options (dryRun, fixEmpty, fixInvalid, fixDuplicates, fixPrefix,
+   *   recomputeDerived, duplicateStrategy, selections, documentIds, onProgress) plus the `checkpoint` to resume from
+   *   and `saveCheckpoint(position)`
+   * @param {Object} result - Migration result to append changes and errors to
+   */
+  async fixField(uid, field, options, result) {
+    const {
+      dryRun,
+      fixEmpty,
+      fixInvalid,
+      fixDuplicates,
+      fixPrefix,
+      recomputeDerived,
+      duplicateStrategy,
+      selections,
+      documentIds,
+      onProgress,
+      checkpoint,
+      saveCheckpoint,
+    } = options;
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const duplicateService = strapi.plugin('field-uuid').service('duplicates');
+    const prefix = uuidService.getFieldPrefix(uid, field);
+    const spec = uuidService.getFieldFormat(uid, field);
+    const prefixes = getConfiguredPrefixes(uuidService);
+    const policy = uuidService.getFieldLocalePolicy(uid, field);
+    const derivation = uuidService.getFieldDerivation(uid, field);
+    const sources = derivation ? getTemplateSources(strapi.contentTypes[uid], derivation.fields).sources : [];
+    const batchSize = uuidService.getBatchSize();
+    const batch = [];
+    // Derived values planned in this run, not yet visible to findConflict()
+    const derivedValues = new Map();
+
+    const planChange = (type, counter, owner, oldValue, newValue, extra = {}) => {
+      const change = {
+        type,
+        uid,
+        field,
+        documentId: owner.documentId,
+        locale: owner.locale,
+        oldValue,
+        newValue,
+        ...extra,
+      };
+
+      batch.push({
+        counter,
+        change,
+        // Values copied between the rows of an owner replace no identifier, there is nothing to undo
+        record: extra.copied ? null : change,
+        write: () => uuidService.updateUuid(uid, owner.documentId, field, newValue, { locale: owner.locale }),
+      });
+    };
+
+    const commit = async (position) => {
+      await this.commitBatch(batch, options, result);
+      await saveCheckpoint?.(position);
     };
 
-    for (const ctInfo of status.contentTypes) {
-      const { uid, field, issues } = ctInfo;
-
-      // Fix empty UUIDs
-      if (fixEmpty && ctInfo.emptyCount > 0) {
-        try {
-          const emptyEntries = await strapi.documents(uid).findMany({
-            filters: {
-              $or: [
-                { [field]: { $null: true } },
-                { [field]: '' },
-              ],
-            },
-            fields: ['documentId'],
-            limit: -1,
-          });
-
-          for (const entry of emptyEntries) {
-            const newUuid = uuidv4();
-            result.changes.push({
-              type: 'empty_fix',
+    // Derives the value of an owner from its attributes, reporting empty attributes and collisions
+    const derive = async (owner) => {
+      const { value, name, missing } = uuidService.deriveForField(uid, field, owner.sources);
+
+      if (!value) {
+        result.errors.push(`Cannot derive ${uid}.${field} (${owner.documentId}): ${missing.join(', ')} empty`);
+        return null;
+      }
+      if (value === owner.value) return value;
+
+      const collision = derivedValues.get(value) || (await uuidService.findConflict(uid, field, value, owner))?.documentId;
+      if (collision) {
+        result.errors.push(
+          `Cannot derive ${uid}.${field} (${owner.documentId}) from '${name}': the value is already used by ${collision}`
+        );
+        return null;
+      }
+
+      derivedValues.set(value, owner.documentId);
+      return value;
+    };
+
+    // New values: derived for fields with a template, random otherwise
+    const createValue = (owner) => (derivation ? derive(owner) : uuidService.generateUniqueForField(uid, field, owner));
+
+    let duplicateGroups = [];
+    try {
+      duplicateGroups = fixDuplicates
+        ? filterGroupsByDocuments(
+            await duplicateService.resolveGroups(
               uid,
               field,
-              documentId: entry.documentId,
-              oldValue: null,
-              newValue: newUuid,
-            });
+              filterGroupsByDocuments(await uuidService.findDuplicatesForField(uid, field), documentIds),
+              { strategy: duplicateStrategy, selections }
+            ),
+            documentIds
+          )
+        : [];
+    } catch (err) {
+      result.errors.push(`Failed to find duplicate UUIDs in ${uid}.${field}: ${err.message}`);
+    }
 
-            if (!dryRun) {
-              await strapi.documents(uid).update({
-                documentId: entry.documentId,
-                data: { [field]: newUuid },
-              });
-            }
-            result.fixed.empty++;
+    // A resumed run that stopped while fixing duplicates has already scanned this field
+    if (checkpoint?.phase !== 'duplicates') {
+      // Owners that lose a duplicate group get a fresh value below, no need to fix them otherwise
+      const regeneratedOwners = new Set(
+        duplicateGroups.flatMap((group) => group.fix.map((owner) => getOwnerKey(owner, policy)))
+      );
+      let lastDocumentId = null;
+      let ownerCount = 0;
+
+      for await (const owner of uuidService.iterateFieldOwners(uid, field, {
+        onProgress,
+        after: checkpoint?.after,
+        documentIds,
+        sources,
+      })) {
+        if (ownerCount >= batchSize && owner.documentId !== lastDocumentId) {
+          await commit({ phase: 'scan', after: lastDocumentId });
+          ownerCount = 0;
+        }
+        lastDocumentId = owner.documentId;
+        ownerCount++;
+
+        const { type, expected } = classifyValue(owner.value, prefix, spec, prefixes);
+
+        if (type === 'empty') {
+          const newValue = fixEmpty ? await createValue(owner) : null;
+          if (newValue) {
+            planChange('empty_fix', 'empty', owner, null, newValue);
           }
-        } catch (err) {
-          result.errors.push(`Failed to fix empty UUIDs in ${uid}.${field}: ${err.message}`);
+          continue;
         }
-      }
 
-      // Fix invalid UUIDs
-      if (fixInvalid) {
-        const invalidIssues = issues.filter(i => i.type === 'invalid');
-        for (const issue of invalidIssues) {
-          const newUuid = uuidv4();
-          result.changes.push({
-            type: 'invalid_fix',
-            uid,
-            field,
-            documentId: issue.documentId,
-            oldValue: issue.value,
-            newValue: newUuid,
-          });
-
-          if (!dryRun) {
-            try {
-              await strapi.documents(uid).update({
-                documentId: issue.documentId,
-                data: { [field]: newUuid },
-              });
-              result.fixed.invalid++;
-            } catch (err) {
-              result.errors.push(`Failed to fix invalid UUID in ${uid}.${field} (${issue.documentId}): ${err.message}`);
-            }
-          } else {
-            result.fixed.invalid++;
+        if (regeneratedOwners.has(getOwnerKey(owner, policy))) continue;
+
+        // Rows left empty next to a stored value (e.g. a draft saved before the field existed)
+        if (fixEmpty && owner.hasEmptyRows && type === 'valid') {
+          planChange('empty_fix', 'empty', owner, null, owner.value, { copied: true });
+        }
+
+        if (type === 'invalid' && fixInvalid) {
+          const newValue = await createValue(owner);
+          if (newValue) {
+            planChange('invalid_fix', 'invalid', owner, owner.value, newValue);
+          }
+        }
+
+        // Derived values computed from older attribute values (also fixes their prefix)
+        if (derivation && recomputeDerived && type !== 'invalid') {
+          const newValue = await derive(owner);
+          if (newValue && newValue !== owner.value) {
+            planChange('derive_fix', 'derived', owner, owner.value, newValue);
           }
+          if (newValue) continue;
+        }
+
+        // Rewrite values whose prefix does not match the field option (keeps the UUID body)
+        if (type === 'prefix' && fixPrefix) {
+          const collision = await uuidService.findConflict(uid, field, expected, owner);
+
+          if (collision) {
+            result.errors.push(
+              `Cannot fix prefix in ${uid}.${field} (${owner.documentId}): '${expected}' is already used by ${collision.documentId}`
+            );
+            continue;
+          }
+
+          planChange('prefix_fix', 'prefix', owner, owner.value, expected);
         }
       }
 
-      // Fix duplicates
-      if (fixDuplicates) {
-        const duplicateIssues = issues.filter(i => i.type === 'duplicate');
-        for (const issue of duplicateIssues) {
-          // Keep the first one, fix the rest
-          const [keepDocId, ...fixDocIds] = issue.documentIds;
-          
-          for (const docId of fixDocIds) {
-            const newUuid = uuidv4();
-            result.changes.push({
-              type: 'duplicate_fix',
+      await commit({ phase: 'duplicates' });
+    }
+
+    // Fix duplicates: keep the owner chosen by the strategy, fix the rest
+    for (const group of duplicateGroups) {
+      addDuplicateGroup(result, uid, field, duplicateService.summarize(group));
+
+      for (const owner of group.fix) {
+        planChange(
+          'duplicate_fix',
+          'duplicates',
+          owner,
+          group.uuid,
+          await uuidService.generateUniqueForField(uid, field, owner),
+          { keptDocumentId: group.keep.documentId }
+        );
+
+        if (batch.length >= batchSize) {
+          await commit({ phase: 'duplicates' });
+        }
+      }
+    }
+
+    await this.commitBatch(batch, options, result);
+  },
+
+  /**
+   * Fixes the issues of a nested UUID field by writing directly to the component rows,
+   * one batch of documents at a time
+   * @param {string} uid - Content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @param {Object} options - Migration options (dryRun, fixEmpty, fixInvalid, fixDuplicates, fixPrefix,
+   *   duplicateStrategy, selections, documentIds, onProgress) plus the `checkpoint` to resume from and
+   *   `saveCheckpoint(position)`
+   * @param {Object} result - Migration result to append changes and errors to
+   */
+  async fixNestedField(uid, nestedField, options, result) {
+    const {
+      dryRun,
+      fixEmpty,
+      fixInvalid,
+      fixDuplicates,
+      fixPrefix,
+      duplicateStrategy,
+      selections,
+      documentIds,
+      onProgress,
+      checkpoint,
+      saveCheckpoint,
+    } = options;
+    const { componentUid, field: componentField, path } = nestedField;
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const duplicateService = strapi.plugin('field-uuid').service('duplicates');
+    const prefix = uuidService.getFieldPrefix(componentUid, componentField);
+    const spec = uuidService.getFieldFormat(componentUid, componentField);
+    const prefixes = getConfiguredPrefixes(uuidService);
+    const batchSize = uuidService.getBatchSize();
+    const batch = [];
+
+    const planChange = (type, counter, location, oldValue, newValue, extra = {}) => {
+      // Duplicate locations cover the copies of a component in every locale of a document
+      const componentIds = location.componentIds || [location.componentId];
+      const change = {
+        type,
+        uid,
+        field: path,
+        documentId: location.documentId,
+        locale: location.locale,
+        path: location.path,
+        oldValue,
+        newValue,
+        ...extra,
+      };
+
+      batch.push({
+        counter,
+        change,
+        record: { ...change, componentUid, componentField, componentIds },
+        write: async () => {
+          for (const componentId of componentIds) {
+            await uuidService.updateComponentUuid(componentUid, componentId, componentField, newValue);
+          }
+        },
+      });
+    };
+
+    const commit = async (position) => {
+      await this.commitBatch(batch, options, result);
+      await saveCheckpoint?.(position);
+    };
+
+    let duplicateGroups = [];
+    try {
+      duplicateGroups = fixDuplicates
+        ? filterGroupsByDocuments(
+            await duplicateService.resolveNestedGroups(
               uid,
-              field,
-              documentId: docId,
-              oldValue: issue.uuid,
-              newValue: newUuid,
-              keptDocumentId: keepDocId,
+              nestedField,
+              filterGroupsByDocuments(await uuidService.findDuplicatesForNestedField(uid, nestedField), documentIds),
+              { strategy: duplicateStrategy, selections }
+            ),
+            documentIds
+          )
+        : [];
+    } catch (err) {
+      result.errors.push(`Failed to find duplicate UUIDs in ${uid}.${path}: ${err.message}`);
+    }
+
+    if (checkpoint?.phase !== 'duplicates') {
+      // Locations that lose a duplicate group get a fresh value, no need to fix them otherwise
+      const regeneratedComponentIds = new Set(
+        duplicateGroups.flatMap((group) => group.fix.flatMap((location) => location.componentIds))
+      );
+      // Documents can span two pages (one row per locale), so a resumed scan restarts at the
+      // last document seen; its rows that were already fixed are valid and left untouched
+      let lastDocumentId = checkpoint?.from;
+
+      for await (const occurrences of uuidService.iterateNestedOccurrences(uid, nestedField, {
+        onProgress,
+        from: lastDocumentId,
+        documentIds,
+      })) {
+        for (const occurrence of occurrences) {
+          const { type, expected } = classifyValue(occurrence.value, prefix, spec, prefixes);
+
+          if (type === 'empty') {
+            if (fixEmpty) {
+              const newUuid = await uuidService.generateForField(componentUid, componentField);
+              planChange('empty_fix', 'empty', occurrence, null, newUuid);
+            }
+            continue;
+          }
+
+          if (regeneratedComponentIds.has(occurrence.componentId)) continue;
+
+          if (type === 'invalid' && fixInvalid) {
+            const newUuid = await uuidService.generateForField(componentUid, componentField);
+            planChange('invalid_fix', 'invalid', occurrence, occurrence.value, newUuid);
+          }
+
+          if (type === 'prefix' && fixPrefix) {
+            const collision = await strapi.db.query(componentUid).findOne({
+              where: { [componentField]: expected, id: { $ne: occurrence.componentId } },
+              select: ['id'],
             });
 
-            if (!dryRun) {
-              try {
-                await strapi.documents(uid).update({
-                  documentId: docId,
-                  data: { [field]: newUuid },
-                });
-                result.fixed.duplicates++;
-              } catch (err) {
-                result.errors.push(`Failed to fix duplicate UUID in ${uid}.${field} (${docId}): ${err.message}`);
-              }
-            } else {
-              result.fixed.duplicates++;
+            if (collision) {
+              result.errors.push(
+                `Cannot fix prefix in ${uid} (${occurrence.documentId} ${occurrence.path}): '${expected}' is already used`
+              );
+              continue;
             }
+
+            planChange('prefix_fix', 'prefix', occurrence, occurrence.value, expected);
           }
         }
+
+        if (occurrences.length > 0) {
+          lastDocumentId = occurrences[occurrences.length - 1].documentId;
+        }
+        await commit({ phase: 'scan', from: lastDocumentId });
       }
+
+      await commit({ phase: 'duplicates' });
     }
 
-    result.completedAt = new Date().toISOString();
-    result.totalFixed = result.fixed.empty + result.fixed.invalid + result.fixed.duplicates;
+    // Fix duplicates: keep the location chosen by the strategy, fix the rest
+    for (const group of duplicateGroups) {
+      addDuplicateGroup(result, uid, path, duplicateService.summarize(group));
 
-    if (!dryRun && result.totalFixed > 0) {
-      strapi.log.info(`[strapi-auto-uuid] Migration completed: ${result.totalFixed} entries fixed`);
+      for (const location of group.fix) {
+        planChange(
+          'duplicate_fix',
+          'duplicates',
+          location,
+          group.uuid,
+          await uuidService.generateForField(componentUid, componentField),
+          { keptDocumentId: group.keep.documentId, keptPath: group.keep.path }
+        );
+
+        if (batch.length >= batchSize) {
+          await commit({ phase: 'duplicates' });
+        }
+      }
     }
 
-    return result;
+    await this.commitBatch(batch, options, result);
   },
 
   /**
-   * Export UUID mappings for backup or migration to another system
-   * @returns {Promise<Object>} Export data with all UUID mappings
+   * Streams the UUID mappings as JSON text, one owner at a time,
+   * in the format returned by exportMappings()
+   * @param {Object} [filters] - Content types, fields and documents to export ({ contentTypes, fields, documentIds }),
+   *   all by default; nested fields are never exported
+   * @returns {AsyncGenerator<string>} JSON chunks
+   * @throws {ValidationError} For unknown content types or fields
    */
-  async exportMappings() {
-    const { contentTypes } = strapi;
-    const exportData = {
-      exportedAt: new Date().toISOString(),
-      version: '1.0.0',
-      mappings: {},
-    };
+  async *streamMappings(filters = {}) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const target = uuidService.getTargetModels(filters);
+    const models = Object.entries(target.models);
 
-    for (const [uid, contentType] of Object.entries(contentTypes)) {
-      if (!uid.startsWith('api::')) continue;
+    yield `{"exportedAt":${JSON.stringify(new Date().toISOString())},"version":"1.0.0","mappings":{`;
 
-      const attributes = contentType.attributes;
-      for (const [attrName, attr] of Object.entries(attributes)) {
-        if (attr.customField === 'plugin::field-uuid.uuid') {
-          const entries = await strapi.documents(uid).findMany({
-            fields: ['documentId', attrName],
-            limit: -1,
-          });
+    for (const [modelIndex, [uid, fields]] of models.entries()) {
+      yield `${modelIndex > 0 ? ',' : ''}${JSON.stringify(uid)}:{"fields":{`;
 
-          if (!exportData.mappings[uid]) {
-            exportData.mappings[uid] = { fields: {} };
-          }
+      for (const [fieldIndex, field] of fields.entries()) {
+        yield `${fieldIndex > 0 ? ',' : ''}${JSON.stringify(field)}:[`;
 
-          exportData.mappings[uid].fields[attrName] = entries.map(e => ({
-            documentId: e.documentId,
-            uuid: e[attrName],
-          }));
+        let first = true;
+        for await (const owner of uuidService.iterateFieldOwners(uid, field, { documentIds: target.documentIds })) {
+          yield `${first ? '' : ','}${JSON.stringify(toMapping(owner))}`;
+          first = false;
         }
+
+        yield ']';
       }
+
+      yield '}}';
     }
 
-    return exportData;
+    yield '}}';
+  },
+
+  /**
+   * Export UUID mappings for backup or migration to another system
+   * @param {Object} [filters] - Content types and fields to export, see streamMappings()
+   * @returns {Promise<Object>} Export data with all UUID mappings
+   */
+  async exportMappings(filters) {
+    let json = '';
+    for await (const chunk of this.streamMappings(filters)) {
+      json += chunk;
+    }
+    return JSON.parse(json);
   },
 
   /**
@@ -310,9 +1061,11 @@ const migrations = ({ strapi }) => ({
    * @param {Object} options - Import options
    * @param {boolean} options.dryRun - If true, only validates without importing
    * @param {boolean} options.overwrite - If true, overwrites existing UUIDs
-   * @returns {Promise<Object>} Import result
+   * @returns {Promise<Object>} Import result (`changes` lists at most 1000 entries)
+   * @throws {ValidationError} For malformed mappings and mappings of content types or fields that are not UUID fields
    */
   async importMappings(importData, { dryRun = true, overwrite = false } = {}) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
     const result = {
       dryRun,
       imported: 0,
@@ -326,7 +1079,37 @@ const migrations = ({ strapi }) => ({
       return result;
     }
 
-    for (const [uid, ctData] of Object.entries(importData.mappings)) {
+    // Nothing is read or written before every content type and field is known to be a UUID field
+    checkImportMappings(importData.mappings, uuidService.getUuidModels());
+
+    const runService = strapi.plugin('field-uuid').service('runs');
+    const run = dryRun ? null : await runService.create('import', { overwrite });
+    if (run) result.runId = run.documentId;
+
+    try {
+      await this.importEntries(importData.mappings, result, { run, dryRun, overwrite });
+    } catch (err) {
+      if (run) await runService.fail(run.documentId, err.message, result);
+      throw err;
+    }
+
+    if (run) await runService.complete(run.documentId, result);
+
+    return result;
+  },
+
+  /**
+   * Imports checked mappings entry by entry, see importMappings()
+   * @param {Object} mappings - Mappings checked by checkImportMappings()
+   * @param {Object} result - Import result to fill
+   * @param {Object} options - Options ({ run, dryRun, overwrite }), `run` being null for dry runs
+   * @returns {Promise<void>}
+   */
+  async importEntries(mappings, result, { run, dryRun, overwrite }) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const runService = strapi.plugin('field-uuid').service('runs');
+
+    for (const [uid, ctData] of Object.entries(mappings)) {
       for (const [field, entries] of Object.entries(ctData.fields)) {
         for (const entry of entries) {
           if (!entry.documentId || !entry.uuid) {
@@ -335,9 +1118,9 @@ const migrations = ({ strapi }) => ({
           }
 
           try {
-            const existing = await strapi.documents(uid).findFirst({
-              filters: { documentId: entry.documentId },
-              fields: ['documentId', field],
+            const existing = await strapi.db.query(uid).findOne({
+              where: uuidService.getOwnerScope(uid, field, entry),
+              select: ['documentId', field],
             });
 
             if (!existing) {
@@ -351,20 +1134,44 @@ const migrations = ({ strapi }) => ({
               continue;
             }
 
-            result.changes.push({
+            if (!uuidService.validateForField(uid, field, entry.uuid)) {
+              result.skipped++;
+              result.errors.push(`Invalid UUID for ${uid}.${field} (${entry.documentId}): '${entry.uuid}'`);
+              continue;
+            }
+
+            const conflict = await uuidService.findConflict(uid, field, entry.uuid, entry);
+            if (conflict) {
+              result.skipped++;
+              result.errors.push(
+                `UUID '${entry.uuid}' for ${uid}.${entry.documentId} is already used by ${conflict.documentId}`
+              );
+              continue;
+            }
+
+            const change = {
+              type: 'import',
               uid,
               field,
               documentId: entry.documentId,
+              locale: entry.locale,
               oldValue: existing[field],
               newValue: entry.uuid,
-            });
+            };
 
             if (!dryRun) {
-              await strapi.documents(uid).update({
-                documentId: entry.documentId,
-                data: { [field]: entry.uuid },
-              });
+              await runService.applyChanges(
+                run.documentId,
+                [
+                  {
+                    record: change,
+                    write: () => uuidService.updateUuid(uid, entry.documentId, field, entry.uuid, { locale: entry.locale }),
+                  },
+                ],
+                { source: 'import' }
+              );
             }
+            addChange(result, change);
             result.imported++;
           } catch (err) {
             result.errors.push(`Failed to import ${uid}.${entry.documentId}: ${err.message}`);
@@ -372,8 +1179,6 @@ const migrations = ({ strapi }) => ({
         }
       }
     }
-
-    return result;
   },
 });
 
@@ -1,5 +1,46 @@
 'use strict';
 
+import registerGraphQL from './graphql';
+import { findUuidModels } from './utils/models';
+
+const LOOKUP_ACTIONS = ['findOne', 'update', 'delete'];
+const LOOKUP_MIDDLEWARE = 'plugin::field-uuid.uuid-lookup';
+
+/**
+ * Adds the uuid-lookup middleware to the core findOne/update/delete routes
+ * of the content types selected by the `uuidLookup` option
+ * @param {Object} strapi - Strapi instance
+ * @param {boolean|string[]} uuidLookup - true for all UUID models, or a list of content type UIDs
+ * @returns {number} Number of routes extended
+ */
+const extendCoreRoutes = (strapi, uuidLookup) => {
+  const models = findUuidModels(strapi);
+  const contentTypes = Object.keys(models).filter(
+    (uid) => uuidLookup === true || uuidLookup.includes(uid)
+  );
+  const handlers = new Set(
+    contentTypes.flatMap((uid) => LOOKUP_ACTIONS.map((action) => `${uid}.${action}`))
+  );
+  let extended = 0;
+
+  for (const api of Object.values(strapi.apis || {})) {
+    for (const router of Object.values(api.routes || {})) {
+      for (const route of router.routes || []) {
+        if (!handlers.has(route.handler)) continue;
+
+        route.config = route.config || {};
+        const middlewares = route.config.middlewares || [];
+        if (!middlewares.includes(LOOKUP_MIDDLEWARE)) {
+          route.config.middlewares = [LOOKUP_MIDDLEWARE, ...middlewares];
+          extended++;
+        }
+      }
+    }
+  }
+
+  return extended;
+};
+
 /**
  * Register Custom Field for UUID
  * 
@@ -10,6 +51,10 @@
  * 
  * Uniqueness is enforced via lifecycle hooks in bootstrap.js.
  * 
+ * With the `uuidLookup` option, the core findOne/update/delete routes of
+ * UUID models also accept a UUID in place of the documentId.
+ * When the GraphQL plugin is installed, a UUID scalar and lookup queries are added.
+ * 
  * @see https://docs.strapi.io/cms/features/custom-fields
  */
 const register = ({ strapi }) => {
@@ -24,6 +69,18 @@ const register = ({ strapi }) => {
   });
   
   strapi.log.info('[strapi-auto-uuid] Custom field registered');
+  
+  const uuidLookup = strapi.config.get('plugin::field-uuid.uuidLookup', false);
+  if (uuidLookup) {
+    const extended = extendCoreRoutes(strapi, uuidLookup);
+    strapi.log.info(`[strapi-auto-uuid] UUID lookup enabled on ${extended} core route(s)`);
+  }
+  
+  // UUID scalar and lookup queries when @strapi/plugin-graphql is installed
+  if (strapi.plugin('graphql')) {
+    registerGraphQL({ strapi });
+    strapi.log.info('[strapi-auto-uuid] GraphQL extension registered');
+  }
 };
 
 export default register;
@@ -1,10 +1,13 @@
 'use strict';
 
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
 /**
  * Admin API Routes
  * 
  * Protected API routes for the UUID plugin admin panel.
- * These routes require admin authentication.
+ * These routes require admin authentication and, except for the routes used by the
+ * UUID input (config, generate, regenerations), the matching plugin permission action.
  */
 export default {
   type: 'admin',
@@ -14,7 +17,7 @@ export default {
       path: '/check-duplicate',
       handler: 'controller.checkDuplicate',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.read),
       },
     },
     {
@@ -22,7 +25,23 @@ export default {
       path: '/diagnose',
       handler: 'controller.diagnose',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'GET',
+      path: '/duplicates',
+      handler: 'controller.listDuplicates',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'POST',
+      path: '/duplicates/resolve',
+      handler: 'controller.resolveDuplicates',
+      config: {
+        policies: requirePermission(PERMISSIONS.fix),
       },
     },
     {
@@ -30,7 +49,7 @@ export default {
       path: '/autofix',
       handler: 'controller.autofix',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.fix),
       },
     },
     {
@@ -38,24 +57,48 @@ export default {
       path: '/generate-missing',
       handler: 'controller.generateMissing',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.fix),
       },
     },
     {
       method: 'GET',
       path: '/models',
       handler: 'controller.getModels',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'GET',
+      path: '/config',
+      handler: 'controller.getConfig',
       config: {
         policies: ['admin::isAuthenticatedAdmin'],
       },
     },
+    {
+      method: 'GET',
+      path: '/settings',
+      handler: 'controller.getSettings',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/settings',
+      handler: 'controller.updateSettings',
+      config: {
+        policies: requirePermission(PERMISSIONS.settings),
+      },
+    },
     // Migration endpoints
     {
       method: 'GET',
       path: '/migration/status',
       handler: 'controller.getMigrationStatus',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.read),
       },
     },
     {
@@ -63,7 +106,7 @@ export default {
       path: '/migration/run',
       handler: 'controller.runMigration',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.fix),
       },
     },
     {
@@ -71,13 +114,97 @@ export default {
       path: '/migration/export',
       handler: 'controller.exportMappings',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.importExport),
       },
     },
     {
       method: 'POST',
       path: '/migration/import',
       handler: 'controller.importMappings',
+      config: {
+        policies: requirePermission(PERMISSIONS.importExport),
+      },
+    },
+    // Background jobs
+    {
+      method: 'GET',
+      path: '/jobs',
+      handler: 'controller.listJobs',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'GET',
+      path: '/jobs/:id',
+      handler: 'controller.getJob',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'POST',
+      path: '/jobs/:id/cancel',
+      handler: 'controller.cancelJob',
+      config: {
+        policies: requirePermission(PERMISSIONS.fix),
+      },
+    },
+    // Runs (change sets) and rollback
+    {
+      method: 'GET',
+      path: '/runs',
+      handler: 'controller.listRuns',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'POST',
+      path: '/runs/:id/rollback',
+      handler: 'controller.rollbackRun',
+      config: {
+        policies: requirePermission(PERMISSIONS.fix),
+      },
+    },
+    // UUID history
+    {
+      method: 'GET',
+      path: '/history/:contentType/:documentId',
+      handler: 'controller.getHistory',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    // Audit log
+    {
+      method: 'GET',
+      path: '/audit',
+      handler: 'controller.listAudit',
+      config: {
+        policies: requirePermission(PERMISSIONS.read),
+      },
+    },
+    {
+      method: 'GET',
+      path: '/audit/export',
+      handler: 'controller.exportAudit',
+      config: {
+        policies: requirePermission(PERMISSIONS.importExport),
+      },
+    },
+    {
+      method: 'POST',
+      path: '/generate',
+      handler: 'controller.generate',
+      config: {
+        policies: ['admin::isAuthenticatedAdmin'],
+      },
+    },
+    {
+      method: 'POST',
+      path: '/audit/regenerations',
+      handler: 'controller.markRegenerated',
       config: {
         policies: ['admin::isAuthenticatedAdmin'],
       },
@@ -87,7 +214,7 @@ export default {
       path: '/stats',
       handler: 'controller.getStats',
       config: {
-        policies: ['admin::isAuthenticatedAdmin'],
+        policies: requirePermission(PERMISSIONS.read),
       },
     },
   ],
@@ -4,6 +4,8 @@
  * Content API Routes
  * 
  * Public API routes for the UUID plugin.
+ * The resolve route is controlled by the Users & Permissions roles
+ * (Field-uuid > resolve) like any other Content API action.
  */
 export default {
   type: 'content-api',
@@ -17,5 +19,13 @@ export default {
         auth: false,
       },
     },
+    {
+      method: 'GET',
+      path: '/resolve/:uuid',
+      handler: 'controller.resolve',
+      config: {
+        policies: [],
+      },
+    },
   ],
 };
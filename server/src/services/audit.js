@@ -0,0 +1,267 @@
+'use strict';
+
+import { getContextActor } from '../utils/context';
+
+const AUDIT_UID = 'plugin::field-uuid.audit-entry';
+
+const SOURCES = ['create', 'edit', 'regenerate', 'import', 'migration', 'autofix', 'generate-missing', 'rollback', 'recompute'];
+
+const CSV_COLUMNS = [
+  'occurredAt',
+  'source',
+  'contentType',
+  'field',
+  'entryDocumentId',
+  'entryLocale',
+  'path',
+  'oldValue',
+  'newValue',
+  'actorType',
+  'actorId',
+  'actorName',
+  'runId',
+];
+
+// Values generated with the refresh button of the admin input, kept until the entry is saved
+const REGENERATION_TTL = 60 * 60 * 1000;
+const MAX_REGENERATIONS = 10000;
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Audit Log Service
+ *
+ * Persists every UUID value that is set or changed in the
+ * `plugin::field-uuid.audit-entry` content type: creates and manual edits
+ * (from the lifecycle hooks), regenerations from the admin input, imports,
+ * migration fixes, auto-fixes, generated values and rollbacks (from the runs),
+ * with the actor (admin user, API token or Content API user) and a timestamp.
+ */
+const audit = ({ strapi }) => {
+  // Regenerated value -> { userId, expiresAt }
+  const regenerations = new Map();
+
+  return {
+    /**
+     * Checks whether the audit log is enabled (`auditLog` option)
+     * @returns {boolean} True if changes are recorded
+     */
+    isEnabled() {
+      return strapi.config.get('plugin::field-uuid.auditLog', true) !== false;
+    },
+
+    /**
+     * Resolves who performs the current operation: the actor of a background job,
+     * or the authenticated admin user, API token or Content API user of the request
+     * @returns {Object} Actor ({ type, id, name })
+     */
+    getActor() {
+      const contextActor = getContextActor();
+      if (contextActor) return contextActor;
+
+      const ctx = strapi.requestContext?.get?.();
+      const auth = ctx?.state?.auth;
+      const strategy = auth?.strategy?.name;
+
+      if (strategy === 'admin' && ctx.state.user) {
+        return this.toAdminActor(ctx.state.user);
+      }
+      if (strategy === 'api-token' && auth.credentials) {
+        return { type: 'api-token', id: String(auth.credentials.id), name: auth.credentials.name || null };
+      }
+      if (ctx?.state?.user) {
+        const { id, username, email } = ctx.state.user;
+        return { type: 'user', id: String(id), name: username || email || null };
+      }
+
+      return { type: 'system', id: null, name: null };
+    },
+
+    /**
+     * Describes an admin user as an actor
+     * @param {Object} user - Admin user
+     * @returns {Object} Actor
+     */
+    toAdminActor(user) {
+      const name = [user.firstname, user.lastname].filter(Boolean).join(' ') || user.username || user.email || null;
+      return { type: 'admin', id: String(user.id), name };
+    },
+
+    /**
+     * Resolves the actor of a background job from the id of the admin user who started it
+     * @param {number|null} userId - Admin user id
+     * @returns {Promise<Object>} Actor
+     */
+    async findAdminActor(userId) {
+      if (!userId) return { type: 'system', id: null, name: null };
+
+      const user = await strapi.db.query('admin::user').findOne({
+        where: { id: userId },
+        select: ['id', 'firstname', 'lastname', 'username', 'email'],
+      });
+      return user ? this.toAdminActor(user) : { type: 'admin', id: String(userId), name: null };
+    },
+
+    /**
+     * Remembers a value generated with the refresh button of the admin input,
+     * so saving it is recorded as a regeneration instead of a manual edit
+     * @param {string} value - Generated value
+     * @param {Object} [user] - Admin user who generated it
+     */
+    markRegenerated(value, user) {
+      if (!value) return;
+
+      const now = Date.now();
+      for (const [key, entry] of regenerations) {
+        if (entry.expiresAt > now && regenerations.size < MAX_REGENERATIONS) break;
+        regenerations.delete(key);
+      }
+
+      regenerations.set(value, { userId: user?.id ?? null, expiresAt: now + REGENERATION_TTL });
+    },
+
+    /**
+     * Checks (once) whether a value was generated with the refresh button by the given actor
+     * @param {string} value - Saved value
+     * @param {Object} actor - Actor saving the value
+     * @returns {boolean} True for a regenerated value
+     */
+    consumeRegenerated(value, actor) {
+      const entry = regenerations.get(value);
+      if (!entry) return false;
+
+      regenerations.delete(value);
+      return entry.expiresAt > Date.now() && actor.type === 'admin' && String(entry.userId) === actor.id;
+    },
+
+    /**
+     * Records audit entries. Inside a transaction, they are written with it.
+     * @param {Array} entries - Entries ({ source, uid, field, documentId, locale, path, oldValue, newValue, runId })
+     * @param {Object} [actor] - Actor, resolved from the current context by default
+     */
+    async record(entries, actor = this.getActor()) {
+      if (!this.isEnabled() || entries.length === 0) return;
+
+      const occurredAt = new Date();
+      await strapi.db.query(AUDIT_UID).createMany({
+        data: entries.map((entry) => ({
+          source: entry.source,
+          contentType: entry.uid,
+          field: entry.field,
+          entryDocumentId: entry.documentId || null,
+          entryLocale: entry.locale || null,
+          path: entry.path || null,
+          oldValue: entry.oldValue || null,
+          newValue: entry.newValue || null,
+          actorType: actor.type,
+          actorId: actor.id,
+          actorName: actor.name,
+          runId: entry.runId || null,
+          occurredAt,
+        })),
+      });
+    },
+
+    /**
+     * Builds the where clause of the audit filters
+     * @param {Object} [filters] - Filters
+     * @param {string} [filters.contentType] - Content type UID
+     * @param {string} [filters.field] - Field name or nested path
+     * @param {string} [filters.source] - Source (see SOURCES)
+     * @param {string} [filters.actorType] - 'admin', 'api-token', 'user' or 'system'
+     * @param {string} [filters.documentId] - Entry documentId
+     * @param {string} [filters.value] - Old or new value
+     * @param {string} [filters.q] - Entry documentId, old or new value
+     * @param {string} [filters.runId] - Run id
+     * @param {string} [filters.from] - Earliest date (ISO 8601)
+     * @param {string} [filters.to] - Latest date (ISO 8601)
+     * @returns {Object} Query Engine where clause
+     */
+    buildWhere({ contentType, field, source, actorType, documentId, value, q, runId, from, to } = {}) {
+      const conditions = [];
+
+      if (contentType) conditions.push({ contentType });
+      if (field) conditions.push({ field });
+      if (source && SOURCES.includes(source)) conditions.push({ source });
+      if (actorType) conditions.push({ actorType });
+      if (documentId) conditions.push({ entryDocumentId: documentId });
+      if (runId) conditions.push({ runId });
+      if (value) conditions.push({ $or: [{ oldValue: value }, { newValue: value }] });
+      if (q) conditions.push({ $or: [{ entryDocumentId: q }, { oldValue: q }, { newValue: q }] });
+      if (from) conditions.push({ occurredAt: { $gte: new Date(from) } });
+      if (to) conditions.push({ occurredAt: { $lte: new Date(to) } });
+
+      return conditions.length > 0 ? { $and: conditions } : {};
+    },
+
+    /**
+     * Lists audit entries, newest first
+     * @param {Object} [filters] - Filters, see buildWhere()
+     * @param {Object} [pagination] - Pagination
+     * @param {number} [pagination.page=1] - Page number
+     * @param {number} [pagination.pageSize=25] - Entries per page (at most 100)
+     * @returns {Promise<Object>} { results, pagination: { page, pageSize, total, pageCount } }
+     */
+    async findPage(filters = {}, { page = 1, pageSize = 25 } = {}) {
+      const where = this.buildWhere(filters);
+      const size = Math.min(Math.max(parseInt(pageSize, 10) || 25, 1), 100);
+      const current = Math.max(parseInt(page, 10) || 1, 1);
+
+      const [results, total] = await Promise.all([
+        strapi.db.query(AUDIT_UID).findMany({
+          where,
+          orderBy: [{ occurredAt: 'desc' }, { id: 'desc' }],
+          offset: (current - 1) * size,
+          limit: size,
+        }),
+        strapi.db.query(AUDIT_UID).count({ where }),
+      ]);
+
+      return {
+        results: results.map(({ id, documentId, createdAt, updatedAt, publishedAt, locale, ...entry }) => ({
+          id,
+          ...entry,
+        })),
+        pagination: { page: current, pageSize: size, total, pageCount: Math.ceil(total / size) },
+      };
+    },
+
+    /**
+     * Streams the matching audit entries as CSV, newest first, one batch at a time
+     * @param {Object} [filters] - Filters, see buildWhere()
+     * @returns {AsyncGenerator<string>} CSV chunks (header first)
+     */
+    async *streamCsv(filters = {}) {
+      const batchSize = strapi.plugin('field-uuid').service('service').getBatchSize();
+      const where = this.buildWhere(filters);
+      let lastId = null;
+
+      yield `${CSV_COLUMNS.join(',')}\n`;
+
+      while (true) {
+        const rows = await strapi.db.query(AUDIT_UID).findMany({
+          where: lastId === null ? where : { $and: [where, { id: { $lt: lastId } }] },
+          orderBy: { id: 'desc' },
+          limit: batchSize,
+        });
+
+        if (rows.length === 0) return;
+        yield rows.map((row) => `${CSV_COLUMNS.map((column) => toCsvCell(row[column])).join(',')}\n`).join('');
+
+        if (rows.length < batchSize) return;
+        lastId = rows[rows.length - 1].id;
+      }
+    },
+  };
+};
+
+export default audit;
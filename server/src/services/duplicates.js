@@ -0,0 +1,546 @@
+'use strict';
+
+import { errors } from '@strapi/utils';
+import { getOwnerKey, isLocalized } from '../utils/models';
+
+const { ValidationError } = errors;
+
+const DUPLICATE_STRATEGIES = ['first', 'oldest', 'published', 'most-referenced', 'manual'];
+
+// Strategies that pick a keeper on their own; reports show the choice of each of them
+const AUTOMATIC_STRATEGIES = DUPLICATE_STRATEGIES.filter((strategy) => strategy !== 'manual');
+
+// The resolution page lists at most this many duplicate groups
+const MAX_LISTED_GROUPS = 1000;
+
+// Attributes used as the title of an entry when the Content Manager has no main field for it
+const TITLE_FIELDS = ['title', 'name', 'label', 'slug'];
+
+/**
+ * Orders two candidates by creation date, unknown dates last
+ * @param {Object} a - Candidate
+ * @param {Object} b - Candidate
+ * @returns {number} Sort order
+ */
+const byCreatedAt = (a, b) => (a.createdAt ?? Infinity) - (b.createdAt ?? Infinity);
+
+// Ties fall back to the order of the duplicate group (lowest row id first)
+const COMPARATORS = {
+  first: () => 0,
+  oldest: byCreatedAt,
+  published: (a, b) => Number(b.published) - Number(a.published) || byCreatedAt(a, b),
+  'most-referenced': (a, b) => b.references - a.references || byCreatedAt(a, b),
+};
+
+/**
+ * Picks the candidate an automatic strategy keeps
+ * @param {Array} candidates - Candidates ({ index, createdAt, published, references })
+ * @param {string} strategy - Automatic strategy
+ * @returns {Object} Kept candidate
+ */
+const pickKeeper = (candidates, strategy) =>
+  [...candidates].sort((a, b) => COMPARATORS[strategy](a, b) || a.index - b.index)[0];
+
+/**
+ * Checks that a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for objects that are not arrays
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Duplicate Resolution Service
+ *
+ * Decides which owner of a duplicate group keeps its value when auto-fix or a
+ * migration regenerates the others, and backs the duplicate resolution page,
+ * where an admin picks the keeper of each group by hand. Strategies:
+ * - 'first': the owner with the lowest row id (the order rows were inserted)
+ * - 'oldest': the document created first
+ * - 'published': a published document, the oldest one if several are
+ * - 'most-referenced': the document with the most relation links pointing at it
+ * - 'manual': only groups with a selection are fixed, the others are skipped
+ *
+ * Selections ({ [uid]: { [field]: { [value]: key } } }, where `key` is the key of a
+ * candidate in the dry-run report) override the strategy of their groups.
+ */
+const duplicates = ({ strapi }) => ({
+  /**
+   * Validates the duplicate options of auto-fix and migration runs
+   * @param {Object} options - Options
+   * @param {string} [options.strategy='first'] - Duplicate strategy
+   * @param {Object} [options.selections] - Keeper per group, see the service description
+   * @throws {ValidationError} For unknown strategies and malformed selections
+   */
+  validateOptions({ strategy = 'first', selections } = {}) {
+    if (!DUPLICATE_STRATEGIES.includes(strategy)) {
+      throw new ValidationError(
+        `Unknown duplicate strategy '${strategy}', use one of: ${DUPLICATE_STRATEGIES.join(', ')}`
+      );
+    }
+
+    if (selections === undefined || selections === null) {
+      if (strategy === 'manual') {
+        throw new ValidationError("The 'manual' duplicate strategy needs selections");
+      }
+      return;
+    }
+
+    const valid =
+      isPlainObject(selections) &&
+      Object.values(selections).every(
+        (fields) =>
+          isPlainObject(fields) &&
+          Object.values(fields).every(
+            (groups) => isPlainObject(groups) && Object.values(groups).every((key) => typeof key === 'string')
+          )
+      );
+    if (!valid) {
+      throw new ValidationError('Selections must map content types to fields to duplicate values to the key to keep');
+    }
+  },
+
+  /**
+   * Lists the join table columns holding relation links to a content type (morph relations excluded)
+   * @param {string} uid - Content type UID
+   * @returns {Array} Columns ({ tableName, column })
+   */
+  getReferenceColumns(uid) {
+    const columns = new Map();
+
+    for (const meta of strapi.db.metadata.values()) {
+      for (const attribute of Object.values(meta.attributes)) {
+        const joinColumn = attribute.joinTable?.inverseJoinColumn;
+        if (attribute.type !== 'relation' || attribute.target !== uid || !joinColumn) continue;
+        if (attribute.relation?.startsWith('morph')) continue;
+
+        // Both sides of a relation share one join table
+        const { name: tableName } = attribute.joinTable;
+        columns.set(`${tableName}.${joinColumn.name}`, { tableName, column: joinColumn.name });
+      }
+    }
+
+    return [...columns.values()];
+  },
+
+  /**
+   * Counts the relation links pointing at rows of a content type
+   * @param {string} uid - Content type UID
+   * @param {number[]} rowIds - Row ids
+   * @returns {Promise<Map>} Link count per row id (rows without links are missing)
+   */
+  async countReferences(uid, rowIds) {
+    const knex = strapi.db.connection;
+    const batchSize = strapi.plugin('field-uuid').service('service').getBatchSize();
+    const counts = new Map();
+
+    for (const { tableName, column } of this.getReferenceColumns(uid)) {
+      for (let i = 0; i < rowIds.length; i += batchSize) {
+        const rows = await knex(tableName)
+          .select(column)
+          .count({ count: '*' })
+          .whereIn(column, rowIds.slice(i, i + batchSize))
+          .groupBy(column);
+
+        for (const row of rows) {
+          counts.set(row[column], (counts.get(row[column]) || 0) + Number(row.count));
+        }
+      }
+    }
+
+    return counts;
+  },
+
+  /**
+   * Returns the attribute shown as the title of an entry: the main field configured in the
+   * Content Manager, or a common title attribute
+   * @param {string} uid - Content type UID
+   * @returns {Promise<string|null>} Attribute name
+   */
+  async getTitleField(uid) {
+    const schema = strapi.contentTypes[uid];
+
+    try {
+      const configuration = await strapi.plugin('content-manager')?.service('content-types').findConfiguration(schema);
+      const mainField = configuration?.settings?.mainField;
+      if (mainField && mainField !== 'id' && schema.attributes[mainField]) return mainField;
+    } catch (err) {
+      strapi.log.debug(`[strapi-auto-uuid] No Content Manager configuration for ${uid}: ${err.message}`);
+    }
+
+    return TITLE_FIELDS.find((name) => schema.attributes[name]?.type === 'string') || null;
+  },
+
+  /**
+   * Loads what the strategies compare, and a preview, for the owners of duplicate groups
+   * @param {string} uid - Content type UID
+   * @param {Array} owners - Owners or locations ({ documentId, locale })
+   * @param {string} policy - Locale policy of the field
+   * @returns {Promise<Map>} Per owner key: { title, locales, status, createdAt, updatedAt, published, references }
+   *   where `title` comes from its first row, `createdAt` is the earliest creation time of its rows (ms),
+   *   `updatedAt` the latest update (ms), `published` whether one of them is published (always true without
+   *   draft & publish), `status` 'draft', 'published' or 'modified' (null without draft & publish) and
+   *   `references` the relation links to its rows
+   */
+  async describeOwners(uid, owners, policy) {
+    const contentType = strapi.contentTypes[uid];
+    const draftAndPublish = contentType?.options?.draftAndPublish === true;
+    const batchSize = strapi.plugin('field-uuid').service('service').getBatchSize();
+    const titleField = await this.getTitleField(uid);
+    const select = ['id', 'documentId', 'createdAt', 'updatedAt'];
+    if (isLocalized(contentType)) select.push('locale');
+    if (draftAndPublish) select.push('publishedAt');
+    if (titleField) select.push(titleField);
+
+    const documentIds = [...new Set(owners.map((owner) => owner.documentId))];
+    const info = new Map();
+    const rowOwners = new Map();
+    // Update times of the draft and published row of each locale, to tell modified entries apart
+    const versions = new Map();
+
+    for (let i = 0; i < documentIds.length; i += batchSize) {
+      const rows = await strapi.db.query(uid).findMany({
+        select,
+        where: { documentId: { $in: documentIds.slice(i, i + batchSize) } },
+        orderBy: { id: 'asc' },
+      });
+
+      for (const row of rows) {
+        const key = getOwnerKey(row, policy);
+        const entry = info.get(key) || {
+          title: titleField ? row[titleField] ?? null : null,
+          locales: [],
+          createdAt: null,
+          updatedAt: null,
+          published: !draftAndPublish,
+          references: 0,
+        };
+        const createdAt = row.createdAt ? new Date(row.createdAt).getTime() : null;
+        const updatedAt = row.updatedAt ? new Date(row.updatedAt).getTime() : null;
+
+        if (createdAt !== null && (entry.createdAt === null || createdAt < entry.createdAt)) {
+          entry.createdAt = createdAt;
+        }
+        if (updatedAt !== null && (entry.updatedAt === null || updatedAt > entry.updatedAt)) {
+          entry.updatedAt = updatedAt;
+        }
+        if (row.publishedAt) entry.published = true;
+        if (row.locale && !entry.locales.includes(row.locale)) entry.locales.push(row.locale);
+
+        const versionKey = `${key}|${row.locale || ''}`;
+        versions.set(versionKey, { ...versions.get(versionKey), [row.publishedAt ? 'published' : 'draft']: updatedAt });
+
+        info.set(key, entry);
+        rowOwners.set(row.id, key);
+      }
+    }
+
+    for (const [key, entry] of info) {
+      if (!draftAndPublish) {
+        entry.status = null;
+      } else if (!entry.published) {
+        entry.status = 'draft';
+      } else {
+        const modified = [...versions]
+          .filter(([versionKey]) => versionKey.startsWith(`${key}|`))
+          .some(([, { draft, published }]) => draft !== undefined && published !== undefined && draft > published);
+        entry.status = modified ? 'modified' : 'published';
+      }
+    }
+
+    for (const [rowId, count] of await this.countReferences(uid, [...rowOwners.keys()])) {
+      info.get(rowOwners.get(rowId)).references += count;
+    }
+
+    return info;
+  },
+
+  /**
+   * Decides the keeper of each duplicate group
+   * @param {string} uid - Content type UID
+   * @param {string} fieldKey - Field name, or the path of a nested field
+   * @param {Array} groups - Duplicate groups
+   * @param {Object} resolver - How to read the groups
+   * @param {string} resolver.policy - Locale policy of the field
+   * @param {Function} resolver.getMembers - (group) => owners or locations, in group order
+   * @param {Function} resolver.getKey - (member) => key identifying it in the group
+   * @param {Object} [options] - Duplicate options, see validateOptions()
+   * @returns {Promise<Array>} Groups with `keep` (null if skipped), `fix` (members to regenerate),
+   *   `selected` (whether a selection decided), `keepers` (key kept per automatic strategy) and `candidates`
+   */
+  async resolve(uid, fieldKey, groups, { policy, getMembers, getKey }, { strategy = 'first', selections } = {}) {
+    const members = groups.flatMap(getMembers);
+    const info = members.length > 0 ? await this.describeOwners(uid, members, policy) : new Map();
+    const fieldSelections = selections?.[uid]?.[fieldKey] || {};
+
+    return groups.map((group) => {
+      const candidates = getMembers(group).map((member, index) => ({
+        ...member,
+        ...(info.get(getOwnerKey(member, policy)) || { createdAt: null, published: false, references: 0 }),
+        key: getKey(member),
+        index,
+      }));
+      const keepers = Object.fromEntries(
+        AUTOMATIC_STRATEGIES.map((name) => [name, pickKeeper(candidates, name).key])
+      );
+
+      // Selections naming a key that is no longer part of the group are ignored
+      const selection = candidates.find((candidate) => candidate.key === fieldSelections[group.uuid]);
+      const keep =
+        selection || (strategy === 'manual' ? null : candidates.find((candidate) => candidate.key === keepers[strategy]));
+
+      return {
+        ...group,
+        keep,
+        fix: keep ? candidates.filter((candidate) => candidate !== keep) : [],
+        selected: Boolean(selection),
+        keepers,
+        candidates,
+      };
+    });
+  },
+
+  /**
+   * Decides the keeper of each duplicate group of a top-level field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Array} groups - Groups from findDuplicatesForField()
+   * @param {Object} [options] - Duplicate options, see validateOptions()
+   * @returns {Promise<Array>} Resolved groups, see resolve(); candidate keys are owner keys (`documentId`
+   *   or `documentId:locale`)
+   */
+  async resolveGroups(uid, field, groups, options) {
+    const policy = strapi.plugin('field-uuid').service('service').getFieldLocalePolicy(uid, field);
+
+    return this.resolve(
+      uid,
+      field,
+      groups,
+      { policy, getMembers: (group) => group.owners, getKey: (owner) => getOwnerKey(owner, policy) },
+      options
+    );
+  },
+
+  /**
+   * Decides the keeper of each duplicate group of a nested field; documents are compared
+   * as for top-level fields, locations of the same document keep their order
+   * @param {string} uid - Content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @param {Array} groups - Groups from findDuplicatesForNestedField()
+   * @param {Object} [options] - Duplicate options, see validateOptions()
+   * @returns {Promise<Array>} Resolved groups, see resolve(); candidate keys are `ownerKey:path`
+   */
+  async resolveNestedGroups(uid, nestedField, groups, options) {
+    const policy = strapi.plugin('field-uuid').service('service').getNestedLocalePolicy(uid, nestedField);
+
+    return this.resolve(
+      uid,
+      nestedField.path,
+      groups,
+      {
+        policy,
+        getMembers: (group) => group.locations,
+        getKey: (location) => `${getOwnerKey(location, policy)}:${location.path}`,
+      },
+      options
+    );
+  },
+
+  /**
+   * Describes a resolved group for reports
+   * @param {Object} group - Group from resolve()
+   * @returns {Object} { uuid, kept, selected, keepers, candidates } where `kept` is the key of the kept
+   *   candidate (null if the group is skipped) and `candidates` preview the entries, see describeOwners()
+   */
+  summarize(group) {
+    const toDate = (time) => (time === null || time === undefined ? null : new Date(time).toISOString());
+
+    return {
+      uuid: group.uuid,
+      kept: group.keep?.key ?? null,
+      selected: group.selected,
+      keepers: group.keepers,
+      candidates: group.candidates.map((candidate) => ({
+        key: candidate.key,
+        documentId: candidate.documentId,
+        locale: candidate.locale,
+        locales: candidate.locales || [],
+        path: candidate.path,
+        title: candidate.title ?? null,
+        status: candidate.status ?? null,
+        createdAt: toDate(candidate.createdAt),
+        updatedAt: toDate(candidate.updatedAt),
+        published: candidate.published,
+        references: candidate.references,
+      })),
+    };
+  },
+
+  /**
+   * Lists the duplicate groups of all top-level UUID fields with a preview of the entries,
+   * for resolving them one by one in the admin panel
+   * @returns {Promise<Object>} { groups, truncated } where each group has its `contentType`, `field`,
+   *   content type `kind` and the summary of summarize() (`kept` is the choice of the 'first' strategy);
+   *   at most 1000 groups are listed
+   */
+  async listGroups() {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const groups = [];
+    let truncated = false;
+
+    for (const [uid, fields] of Object.entries(uuidService.getUuidModels())) {
+      for (const field of fields) {
+        const found = await uuidService.findDuplicatesForField(uid, field);
+        if (found.length === 0) continue;
+
+        if (groups.length + found.length > MAX_LISTED_GROUPS) {
+          found.length = MAX_LISTED_GROUPS - groups.length;
+          truncated = true;
+        }
+
+        for (const group of await this.resolveGroups(uid, field, found)) {
+          groups.push({ contentType: uid, field, kind: strapi.contentTypes[uid].kind, ...this.summarize(group) });
+        }
+        if (truncated) return { groups, truncated };
+      }
+    }
+
+    return { groups, truncated };
+  },
+
+  /**
+   * Resolves duplicate groups of top-level fields as chosen by an admin, in one transaction:
+   * the kept entry holds on to the value, every other entry of the group gets its assigned
+   * value or a generated one. Recorded as an auto-fix run, so it can be rolled back.
+   * Nothing is written if any resolution is invalid.
+   * @param {Array} resolutions - Resolutions ({ contentType, field, uuid, keep, values }) where `keep` is
+   *   the key of the entry keeping the value (see listGroups()) and `values` optionally maps keys of
+   *   other entries to their new value; groups without a resolution are left alone
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun=false] - If true, only reports what would be changed
+   * @returns {Promise<Object>} Report ({ dryRun, resolved, totalFixed, changes, runId })
+   * @throws {ValidationError} For invalid resolutions, listed in the error details (`problems`)
+   */
+  async applyResolutions(resolutions, { dryRun = false } = {}) {
+    if (!Array.isArray(resolutions) || resolutions.length === 0) {
+      throw new ValidationError('resolutions must be a non-empty array');
+    }
+
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const models = uuidService.getUuidModels();
+    // Current duplicate groups per field, and the values planned per uniqueness scope
+    const fieldGroups = new Map();
+    const plannedValues = new Map();
+    const resolvedGroups = new Set();
+    const problems = [];
+    const writes = [];
+    const report = { dryRun, resolved: 0, totalFixed: 0, changes: [] };
+
+    for (const resolution of resolutions) {
+      const { contentType: uid, field, uuid, keep, values = {} } = resolution || {};
+      const label = `${uid}.${field} '${uuid}'`;
+      const fieldKey = `${uid}.${field}`;
+
+      if (!models[uid]?.includes(field)) {
+        problems.push(`${label}: not a UUID field`);
+        continue;
+      }
+      if (resolvedGroups.has(`${fieldKey}|${uuid}`)) {
+        problems.push(`${label}: resolved twice`);
+        continue;
+      }
+      resolvedGroups.add(`${fieldKey}|${uuid}`);
+
+      if (!fieldGroups.has(fieldKey)) {
+        const found = await uuidService.findDuplicatesForField(uid, field);
+        fieldGroups.set(fieldKey, new Map(found.map((group) => [group.uuid, group])));
+      }
+      const scope = uuidService.getFieldUniqueScope(uid, field);
+      if (!plannedValues.has(scope)) plannedValues.set(scope, new Set());
+
+      const group = fieldGroups.get(fieldKey).get(uuid);
+      if (!group) {
+        problems.push(`${label}: no longer a duplicate`);
+        continue;
+      }
+
+      const policy = uuidService.getFieldLocalePolicy(uid, field);
+      const owners = group.owners.map((owner) => ({ ...owner, key: getOwnerKey(owner, policy) }));
+      const kept = owners.find((owner) => owner.key === keep);
+      if (!kept) {
+        problems.push(`${label}: '${keep}' is not an entry of the group`);
+        continue;
+      }
+      if (!isPlainObject(values)) {
+        problems.push(`${label}: values must map entry keys to new values`);
+        continue;
+      }
+      for (const key of Object.keys(values)) {
+        if (key === keep || !owners.some((owner) => owner.key === key)) {
+          problems.push(`${label}: no value can be assigned to '${key}'`);
+        }
+      }
+
+      const planned = plannedValues.get(scope);
+      for (const owner of owners) {
+        if (owner === kept) continue;
+
+        const assigned = typeof values[owner.key] === 'string' ? values[owner.key].trim() : '';
+        let newValue = assigned;
+
+        if (assigned) {
+          if (!uuidService.validateForField(uid, field, assigned)) {
+            problems.push(`${label}: '${assigned}' is not a valid value for ${fieldKey}`);
+            continue;
+          }
+          if (assigned === uuid || planned.has(assigned) || (await uuidService.findConflict(uid, field, assigned, owner))) {
+            problems.push(`${label}: '${assigned}' is already used`);
+            continue;
+          }
+        } else {
+          newValue = await uuidService.generateUniqueForField(uid, field, owner);
+        }
+        planned.add(newValue);
+
+        const record = {
+          type: 'duplicate_fix',
+          uid,
+          field,
+          documentId: owner.documentId,
+          locale: owner.locale,
+          oldValue: uuid,
+          newValue,
+          keptDocumentId: kept.documentId,
+        };
+        writes.push({
+          record,
+          write: () => uuidService.updateUuid(uid, owner.documentId, field, newValue, { locale: owner.locale }),
+        });
+        report.changes.push({
+          contentType: uid,
+          field,
+          documentId: owner.documentId,
+          locale: owner.locale,
+          oldUuid: uuid,
+          newUuid: newValue,
+          kept: kept.documentId,
+          assigned: Boolean(assigned),
+        });
+      }
+      report.resolved++;
+    }
+
+    if (problems.length > 0) {
+      throw new ValidationError(`Cannot resolve duplicates: ${problems.join('; ')}`, { problems });
+    }
+    report.totalFixed = writes.length;
+
+    return uuidService.recordRun('autofix', { dryRun, duplicateStrategy: 'manual' }, report, async (runId) => {
+      if (dryRun) return;
+
+      await strapi.plugin('field-uuid').service('runs').applyChanges(runId, writes, { source: 'autofix' });
+      strapi.log.info(`[strapi-auto-uuid] Resolved ${report.resolved} duplicate group(s), ${writes.length} value(s) replaced`);
+    });
+  },
+});
+
+export default duplicates;
@@ -0,0 +1,110 @@
+'use strict';
+
+import { errors } from '@strapi/utils';
+import {
+  BUILT_IN_FORMATS,
+  CUSTOM_FORMAT,
+  FORMAT_NAME_PATTERN,
+  getFormat,
+  hasFormat,
+  listFormats,
+  registerFormat,
+} from '../utils/formats';
+import { generateValue } from '../utils/uuid';
+
+const { ApplicationError } = errors;
+
+/**
+ * Generators Service
+ *
+ * Registers identifier formats of the application next to the built-in ones.
+ * A registered generator can be selected per field in the Content-Type Builder
+ * ("Custom generator" with its name) or as the global defaultVersion, and is
+ * used wherever values are generated and validated: lifecycle hooks, auto-fix,
+ * generate missing, migrations, imports, the Content API and the admin input
+ * (which asks the server for new values).
+ *
+ * Register generators in the `register` phase of the application, so they are
+ * known before the lifecycle hooks and the GraphQL schema are set up:
+ *
+ * @example
+ * // src/index.js
+ * register({ strapi }) {
+ *   strapi.plugin('field-uuid').service('generators').register('tenant-id', {
+ *     generate: async (options, { uid, field, data }) => `t42-${crypto.randomUUID()}`,
+ *     validate: (id) => /^t\d+-[0-9a-f-]{36}$/.test(id),
+ *   });
+ * }
+ */
+const generators = ({ strapi }) => ({
+  /**
+   * Registers a custom generator
+   * @param {string} name - Generator name (letters, digits, '_' and '-', not a built-in format)
+   * @param {Object} definition - Generator definition
+   * @param {Function} definition.generate - (options, context) => identifier or Promise of one; `options` are
+   *   the field's format options, `context` is { uid, field, data } (data only in lifecycle hooks)
+   * @param {Function} definition.validate - (identifier, options) => boolean, checks identifiers without prefix
+   * @param {string} [definition.label] - Name used in validation messages, defaults to the name
+   * @param {number|Function} [definition.length] - Fixed length of the identifiers (or (options) => length);
+   *   needed to tell a stale prefix from the identifier in migrations
+   * @throws {ApplicationError} For invalid names or definitions
+   */
+  register(name, definition = {}) {
+    if (typeof name !== 'string' || !FORMAT_NAME_PATTERN.test(name) || name === CUSTOM_FORMAT) {
+      throw new ApplicationError(
+        `Invalid generator name '${name}': use up to 64 letters, digits, '_' and '-', starting with a letter`
+      );
+    }
+    if (BUILT_IN_FORMATS.includes(name)) {
+      throw new ApplicationError(`Generator '${name}' would replace a built-in format`);
+    }
+    if (typeof definition.generate !== 'function' || typeof definition.validate !== 'function') {
+      throw new ApplicationError(`Generator '${name}' needs generate() and validate() functions`);
+    }
+
+    if (hasFormat(name)) {
+      strapi.log.warn(`[strapi-auto-uuid] Generator '${name}' registered again, replacing the previous one`);
+    }
+    registerFormat(name, definition);
+    strapi.log.info(`[strapi-auto-uuid] Generator '${name}' registered`);
+  },
+
+  /**
+   * Checks whether a generator or built-in format exists
+   * @param {string} name - Format name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return hasFormat(name);
+  },
+
+  /**
+   * Returns a generator or built-in format
+   * @param {string} name - Format name
+   * @returns {Object|undefined} Format definition ({ label, length, generate, validate })
+   */
+  get(name) {
+    return getFormat(name);
+  },
+
+  /**
+   * Lists the built-in formats and registered generators
+   * @returns {Array<{name: string, label: string, custom: boolean}>} Formats
+   */
+  list() {
+    return listFormats();
+  },
+
+  /**
+   * Generates a value for a set of field options, e.g. for the admin input of a custom format
+   * @param {Object} [fieldOptions] - Field options from the content type schema
+   * @param {Object} [context] - Passed to custom generators ({ uid, field })
+   * @returns {Promise<string>} Generated value (with the field's prefix)
+   */
+  async generate(fieldOptions = {}, context = {}) {
+    const defaultVersion = strapi.plugin('field-uuid').service('service').getDefaultVersion();
+    return generateValue({ options: fieldOptions }, defaultVersion, context);
+  },
+});
+
+export default generators;
@@ -0,0 +1,96 @@
+'use strict';
+
+import { randomUUID } from 'crypto';
+
+// Owners refresh the heartbeat of their running jobs and runs at this interval
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+// Running jobs and runs whose heartbeat is older than this belong to an instance that is gone
+const STALE_AFTER = 60 * 1000;
+
+/**
+ * Heartbeat Service
+ *
+ * Identifies this Strapi process among the instances of a cluster. Running jobs and
+ * runs store the instance executing them (`owner`) and a `heartbeatAt` timestamp the
+ * owner refreshes while it is alive. Jobs and runs whose heartbeat stopped were left
+ * behind by an instance that is gone and are failed by the others; queued jobs are
+ * picked up by whichever instance claims them first.
+ */
+const heartbeat = ({ strapi }) => {
+  const instanceId = randomUUID();
+  let timer = null;
+  let beating = false;
+
+  return {
+    /**
+     * Returns the id of this Strapi process, stored as the owner of the jobs and runs it executes
+     * @returns {string} Instance id
+     */
+    getInstanceId() {
+      return instanceId;
+    },
+
+    /**
+     * Builds the filter of running records whose owner stopped refreshing them
+     * (records written before heartbeats existed have none)
+     * @returns {Object} Query filter
+     */
+    getStaleFilter() {
+      return {
+        status: 'running',
+        $or: [{ heartbeatAt: { $null: true } }, { heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER) } }],
+      };
+    },
+
+    /**
+     * Starts refreshing the heartbeat of the records owned by this process
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.recover=true] - Also fail the jobs and runs of instances that are gone
+     *   and pick up queued jobs (false in the CLI, which leaves jobs to the server)
+     */
+    start({ recover = true } = {}) {
+      if (timer) return;
+
+      timer = setInterval(() => this.beat({ recover }), HEARTBEAT_INTERVAL);
+      // Never keeps the process alive on its own
+      timer.unref();
+    },
+
+    /**
+     * Stops the heartbeat, see start()
+     */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Refreshes the heartbeat once; skipped while the previous one is still running
+     * @param {Object} [options] - Options, see start()
+     * @returns {Promise<void>}
+     */
+    async beat({ recover = true } = {}) {
+      if (beating) return;
+      beating = true;
+
+      try {
+        const runService = strapi.plugin('field-uuid').service('runs');
+        const jobService = strapi.plugin('field-uuid').service('jobs');
+        await runService.touch(instanceId);
+        await jobService.touch(instanceId);
+
+        if (recover) {
+          await runService.recover();
+          await jobService.recover();
+        }
+      } catch (err) {
+        strapi.log.error('[strapi-auto-uuid] Heartbeat failed:', err.message);
+      } finally {
+        beating = false;
+      }
+    },
+  };
+};
+
+export default heartbeat;
@@ -0,0 +1,163 @@
+'use strict';
+
+import { normalizeValue } from '../utils/uuid';
+
+const ALIAS_UID = 'plugin::field-uuid.alias';
+
+/**
+ * UUID History Service
+ *
+ * Keeps the values a document's top-level UUID fields had before they were
+ * replaced (duplicate and invalid fixes, import overwrites, manual edits,
+ * regenerations, rollbacks) as aliases in the `plugin::field-uuid.alias`
+ * content type. The resolver maps a retired value to the document's current one,
+ * so systems that stored the old value keep working.
+ *
+ * Aliases follow the owner of a value: the document under the 'shared' policy,
+ * the document locale under the 'per-locale' policy.
+ */
+const history = ({ strapi }) => ({
+  /**
+   * Checks whether retired values are kept (`uuidHistory` option)
+   * @returns {boolean} True if aliases are recorded
+   */
+  isEnabled() {
+    return strapi.config.get('plugin::field-uuid.uuidHistory', true) !== false;
+  },
+
+  /**
+   * Records the replaced values of top-level UUID fields as aliases of their document.
+   * A value that becomes current again stops being an alias of the document.
+   * Inside a transaction, the aliases are written with it.
+   * @param {Array} changes - Changes ({ uid, field, documentId, locale, oldValue, newValue, source, runId,
+   *   componentUid }); nested values and changes without an old value are ignored
+   */
+  async retire(changes) {
+    if (!this.isEnabled()) return;
+
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const retiredAt = new Date();
+
+    for (const change of changes) {
+      const { uid, field, documentId, oldValue, newValue } = change;
+      if (change.componentUid || change.path || !documentId || !oldValue || oldValue === newValue) continue;
+
+      const entryLocale =
+        uuidService.getFieldLocalePolicy(uid, field) === 'per-locale' ? change.locale || null : null;
+      const owner = { contentType: uid, field, entryDocumentId: documentId, entryLocale };
+
+      await strapi.db.query(ALIAS_UID).deleteMany({
+        where: { ...owner, value: { $in: newValue ? [oldValue, newValue] : [oldValue] } },
+      });
+      await strapi.db.query(ALIAS_UID).create({
+        data: {
+          ...owner,
+          value: oldValue,
+          replacedBy: newValue || null,
+          source: change.source || null,
+          runId: change.runId || null,
+          retiredAt,
+        },
+      });
+    }
+  },
+
+  /**
+   * Resolves a retired UUID to the document that held it and the document's current value
+   * @param {string} uuid - Retired UUID value (the field prefix may be omitted)
+   * @param {Object} [options] - Options
+   * @param {string} [options.contentType] - Only search this content type
+   * @param {string} [options.field] - Only search this field
+   * @returns {Promise<Object|null>} { contentType, field, documentId, locale, retiredUuid, uuid, retiredAt } or null
+   */
+  async findAlias(uuid, { contentType, field } = {}) {
+    if (!this.isEnabled()) return null;
+
+    const uuidService = strapi.plugin('field-uuid').service('service');
+
+    for (const [uid, fields] of Object.entries(uuidService.getUuidModels())) {
+      if (contentType && uid !== contentType) continue;
+
+      for (const fieldName of fields) {
+        if (field && fieldName !== field) continue;
+
+        const value = normalizeValue(
+          uuid,
+          uuidService.getFieldPrefix(uid, fieldName),
+          uuidService.getFieldFormat(uid, fieldName)
+        );
+        if (!value) continue;
+
+        const alias = await strapi.db.query(ALIAS_UID).findOne({
+          where: { contentType: uid, field: fieldName, value },
+          orderBy: { retiredAt: 'desc' },
+        });
+        if (!alias) continue;
+
+        // The document may have been deleted since
+        const current = await strapi.db.query(uid).findOne({
+          where: uuidService.getOwnerScope(uid, fieldName, {
+            documentId: alias.entryDocumentId,
+            locale: alias.entryLocale,
+          }),
+          select: [fieldName],
+          orderBy: { updatedAt: 'desc' },
+        });
+        if (!current) continue;
+
+        return {
+          contentType: uid,
+          field: fieldName,
+          documentId: alias.entryDocumentId,
+          locale: alias.entryLocale || null,
+          retiredUuid: value,
+          uuid: current[fieldName] || null,
+          retiredAt: alias.retiredAt,
+        };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Returns the current and retired values of each UUID field of a document
+   * @param {string} uid - Content type UID
+   * @param {string} documentId - Document id
+   * @param {Object} [options] - Options
+   * @param {string} [options.locale] - Locale (for fields using the 'per-locale' policy)
+   * @returns {Promise<Object>} { contentType, documentId, fields: { [field]: { current, aliases } } }
+   */
+  async getDocumentHistory(uid, documentId, { locale } = {}) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const fields = {};
+
+    for (const field of uuidService.getUuidModels()[uid] || []) {
+      const perLocale = uuidService.getFieldLocalePolicy(uid, field) === 'per-locale';
+      const current = await strapi.db.query(uid).findOne({
+        where: uuidService.getOwnerScope(uid, field, { documentId, locale }),
+        select: [field],
+        orderBy: { updatedAt: 'desc' },
+      });
+      const aliases = await strapi.db.query(ALIAS_UID).findMany({
+        where: {
+          contentType: uid,
+          field,
+          entryDocumentId: documentId,
+          ...(perLocale ? { entryLocale: locale || null } : {}),
+        },
+        select: ['value', 'replacedBy', 'source', 'runId', 'retiredAt', 'entryLocale'],
+        orderBy: { retiredAt: 'desc' },
+      });
+
+      fields[field] = {
+        current: current?.[field] || null,
+        aliases: aliases.map(({ entryLocale, ...alias }) => ({ ...alias, locale: entryLocale || null })),
+      };
+    }
+
+    return { contentType: uid, documentId, fields };
+  },
+});
+
+export default history;
@@ -1,7 +1,25 @@
 import service from './service';
+import audit from './audit';
+import duplicates from './duplicates';
+import generators from './generators';
+import heartbeat from './heartbeat';
+import history from './history';
+import indexes from './indexes';
+import jobs from './jobs';
+import runs from './runs';
+import settings from './settings';
 import migrations from '../migrations';
 
 export default {
   service,
+  audit,
+  duplicates,
+  generators,
+  heartbeat,
+  history,
+  indexes,
+  jobs,
+  runs,
+  settings,
   migrations,
 };
@@ -0,0 +1,209 @@
+'use strict';
+
+import { createHash } from 'crypto';
+import { errors } from '@strapi/utils';
+import { findUuidModels } from '../utils/models';
+
+const { ValidationError } = errors;
+
+const MAX_IDENTIFIER_LENGTH = 60;
+
+/**
+ * Unique Index Service
+ *
+ * Maintains a database unique index on every top-level UUID column, so that
+ * concurrent writes and raw Query Engine writes cannot store duplicates.
+ *
+ * Rows of one document legitimately share a value (draft and published version,
+ * and all locales under the 'shared' policy), so the index covers
+ * `(uuid, locale, published_at IS NULL)`: a value may appear once per locale
+ * and publication state. Cross-locale and cross-document rules are still
+ * enforced by the lifecycle hooks.
+ *
+ * Fields inside components are not indexed, as Strapi copies component rows
+ * between the draft and published versions of a document.
+ */
+const indexes = ({ strapi }) => ({
+  /**
+   * Describes the unique index of a UUID field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {Object} Index definition ({ uid, field, tableName, indexName, columnName, localeColumn, publishedColumn })
+   */
+  getDefinition(uid, field) {
+    const { tableName, column: columnName, localeColumn, publishedColumn } = strapi
+      .plugin('field-uuid')
+      .service('service')
+      .getColumns(uid, field);
+
+    let indexName = `${tableName}_${columnName}_uuid_uq`;
+    if (indexName.length > MAX_IDENTIFIER_LENGTH) {
+      const hash = createHash('md5').update(indexName).digest('hex').slice(0, 8);
+      indexName = `${indexName.slice(0, MAX_IDENTIFIER_LENGTH - 9)}_${hash}`;
+    }
+
+    return { uid, field, tableName, indexName, columnName, localeColumn, publishedColumn };
+  },
+
+  /**
+   * Describes the unique indexes of all top-level UUID fields
+   * @returns {Array} Index definitions
+   */
+  getDefinitions() {
+    return Object.entries(findUuidModels(strapi)).flatMap(([uid, fields]) =>
+      fields.map((field) => this.getDefinition(uid, field))
+    );
+  },
+
+  /**
+   * Checks whether the index exists in the database
+   * @param {Object} definition - Index definition
+   * @returns {Promise<boolean>} True if present
+   */
+  async exists({ tableName, indexName }) {
+    const knex = strapi.db.connection;
+    const { client } = strapi.db.dialect;
+
+    if (client === 'postgres') {
+      const rows = await knex('pg_indexes').select('indexname').where({ tablename: tableName, indexname: indexName });
+      return rows.length > 0;
+    }
+
+    if (client === 'sqlite') {
+      const rows = await knex('sqlite_master').select('name').where({ type: 'index', tbl_name: tableName, name: indexName });
+      return rows.length > 0;
+    }
+
+    const rows = await knex('information_schema.statistics')
+      .select('index_name')
+      .whereRaw('table_schema = database()')
+      .where({ table_name: tableName, index_name: indexName });
+    return rows.length > 0;
+  },
+
+  /**
+   * Finds one group of rows that would violate the index
+   * @param {Object} definition - Index definition
+   * @returns {Promise<string|null>} A conflicting value or null
+   */
+  async findConflict({ tableName, columnName, localeColumn, publishedColumn }) {
+    const knex = strapi.db.connection;
+    const groupBy = [knex.ref(columnName)];
+
+    if (localeColumn) groupBy.push(knex.ref(localeColumn));
+    if (publishedColumn) groupBy.push(knex.raw('(?? IS NULL)', [publishedColumn]));
+
+    const rows = await knex(tableName)
+      .select(columnName)
+      .whereNotNull(columnName)
+      .groupBy(groupBy)
+      .havingRaw('COUNT(*) > 1')
+      .limit(1);
+
+    return rows.length > 0 ? rows[0][columnName] : null;
+  },
+
+  /**
+   * Reports the state of every index
+   * @returns {Promise<Array>} Index status ({ uid, field, indexName, status, conflict?, error? }) where status is
+   *   'present', 'missing', 'conflicting' (existing duplicates prevent its creation) or 'error'
+   */
+  async getStatus() {
+    const report = [];
+
+    for (const definition of this.getDefinitions()) {
+      const { uid, field, indexName } = definition;
+
+      try {
+        if (await this.exists(definition)) {
+          report.push({ uid, field, indexName, status: 'present' });
+          continue;
+        }
+
+        const conflict = await this.findConflict(definition);
+        report.push(
+          conflict
+            ? { uid, field, indexName, status: 'conflicting', conflict }
+            : { uid, field, indexName, status: 'missing' }
+        );
+      } catch (err) {
+        report.push({ uid, field, indexName, status: 'error', error: err.message });
+      }
+    }
+
+    return report;
+  },
+
+  /**
+   * Creates the missing indexes. Indexes blocked by existing duplicates are skipped
+   * until the duplicates are fixed (auto-fix or migration).
+   * @returns {Promise<{created: string[], skipped: Array}>} Created index names and skipped indexes with the reason
+   */
+  async ensureIndexes() {
+    const knex = strapi.db.connection;
+    const result = { created: [], skipped: [] };
+
+    for (const definition of this.getDefinitions()) {
+      const { uid, field, tableName, indexName, columnName, localeColumn, publishedColumn } = definition;
+
+      try {
+        if (await this.exists(definition)) continue;
+
+        const conflict = await this.findConflict(definition);
+        if (conflict) {
+          result.skipped.push({ uid, field, indexName, reason: `duplicate value '${conflict}'` });
+          continue;
+        }
+
+        const columns = ['??'];
+        const bindings = [indexName, tableName, columnName];
+        if (localeColumn) {
+          columns.push('??');
+          bindings.push(localeColumn);
+        }
+        if (publishedColumn) {
+          columns.push('(?? IS NULL)');
+          bindings.push(publishedColumn);
+        }
+
+        await knex.raw(`CREATE UNIQUE INDEX ?? ON ?? (${columns.join(', ')})`, bindings);
+        result.created.push(indexName);
+      } catch (err) {
+        result.skipped.push({ uid, field, indexName, reason: err.message });
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Translates a unique constraint violation on one of the plugin indexes
+   * into the ValidationError thrown by the lifecycle hooks
+   * @param {string} uid - Content type UID
+   * @param {Error} error - Database error
+   * @param {Object} [data] - Submitted data
+   * @returns {ValidationError|null} The validation error, or null for unrelated errors
+   */
+  translateError(uid, error, data = {}) {
+    const message = `${error?.message || ''} ${error?.cause?.message || ''}`;
+    if (!/unique|duplicate/i.test(message)) return null;
+
+    const definition = this.getDefinitions().find(
+      (candidate) =>
+        candidate.uid === uid &&
+        // SQLite names the columns (`table.column`), PostgreSQL and MySQL the index
+        (message.includes(candidate.indexName) || message.includes(`${candidate.tableName}.${candidate.columnName}`))
+    );
+    if (!definition) return null;
+
+    const { field } = definition;
+    const value = data[field] ?? null;
+
+    return new ValidationError(
+      `UUID '${value}' already exists for field '${field}'. Please use a unique value.`,
+      { field, uuid: value }
+    );
+  },
+});
+
+export default indexes;
@@ -0,0 +1,410 @@
+'use strict';
+
+import { errors } from '@strapi/utils';
+import { runAs } from '../utils/context';
+
+const { ValidationError } = errors;
+
+const JOB_UID = 'plugin::field-uuid.job';
+
+const JOB_TYPES = ['migration', 'autofix', 'generate-missing', 'rollback'];
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Progress is written to the database at most once per interval
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Background Job Service
+ *
+ * Runs migration, auto-fix, generate-missing and rollbacks outside of the HTTP request.
+ * Jobs are stored in the `plugin::field-uuid.job` content type, so their
+ * progress and result can be polled (and survive page reloads). Each Strapi
+ * instance runs one job at a time; a queued job is claimed atomically, so only
+ * one instance of a cluster runs it (see the heartbeat service).
+ *
+ * Progress is reported per UUID field: `processed`/`total` rows of the current
+ * field, `fieldsDone`/`fieldsTotal`, and an overall `percent`.
+ */
+const jobs = ({ strapi }) => {
+  // Abort controller of the job running in this process
+  const controllers = new Map();
+  let processing = false;
+
+  return {
+    /**
+     * Formats a job record for the admin API
+     * @param {Object} job - Job document
+     * @returns {Object} Job ({ id, type, status, params, progress, result, error, ... })
+     */
+    format(job) {
+      return {
+        id: job.documentId,
+        type: job.type,
+        status: job.status,
+        params: job.params || {},
+        progress: job.progress || null,
+        result: job.result || null,
+        error: job.errorMessage || null,
+        cancelRequested: job.cancelRequested === true,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt || null,
+        completedAt: job.completedAt || null,
+      };
+    },
+
+    /**
+     * Enqueues a job
+     * @param {string} type - 'migration', 'autofix', 'generate-missing' or 'rollback'
+     * @param {Object} params - Options passed to the operation (e.g. { dryRun }, or { runId } for rollbacks)
+     * @param {Object} [context] - Request context
+     * @param {Object} [context.user] - Admin user who started the job
+     * @returns {Promise<Object>} The queued job
+     */
+    async enqueue(type, params = {}, { user } = {}) {
+      if (!JOB_TYPES.includes(type)) {
+        throw new ValidationError(`Unknown job type '${type}'`);
+      }
+
+      const job = await strapi.documents(JOB_UID).create({
+        data: {
+          type,
+          status: 'queued',
+          params,
+          progress: {
+            processed: 0,
+            total: 0,
+            fieldsDone: 0,
+            fieldsTotal: await this.countFields(type, params),
+            percent: 0,
+            errors: 0,
+          },
+          createdById: user?.id ?? null,
+        },
+      });
+
+      setImmediate(() => this.processQueue());
+
+      return this.format(job);
+    },
+
+    /**
+     * Finds a job
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} Job or null
+     */
+    async findOne(id) {
+      const job = await strapi.documents(JOB_UID).findOne({ documentId: id });
+      return job ? this.format(job) : null;
+    },
+
+    /**
+     * Lists the most recent jobs
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.active] - Only queued and running jobs
+     * @param {number} [options.limit=20] - Maximum number of jobs
+     * @returns {Promise<Array>} Jobs, newest first
+     */
+    async findMany({ active = false, limit = 20 } = {}) {
+      const results = await strapi.documents(JOB_UID).findMany({
+        filters: active ? { status: { $in: ACTIVE_STATUSES } } : {},
+        sort: ['createdAt:desc'],
+        limit,
+      });
+      return results.map((job) => this.format(job));
+    },
+
+    /**
+     * Cancels a queued or running job. A running job stops after its current batch;
+     * the changes written until then are kept.
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} Updated job or null if not found
+     */
+    async cancel(id) {
+      const job = await strapi.documents(JOB_UID).findOne({ documentId: id });
+      if (!job) return null;
+
+      if (!ACTIVE_STATUSES.includes(job.status)) {
+        throw new ValidationError(`Job is already ${job.status}`);
+      }
+
+      if (job.status === 'queued') {
+        const { count } = await strapi.db.query(JOB_UID).updateMany({
+          where: { documentId: id, status: 'queued' },
+          data: { status: 'cancelled', completedAt: new Date() },
+        });
+        if (count === 1) return this.findOne(id);
+        // Claimed by an instance in the meantime: cancelled like a running job
+      }
+
+      // The owner aborts it on its next heartbeat when it runs on another instance
+      controllers.get(id)?.abort();
+      return this.format(await this.update(id, { cancelRequested: true }));
+    },
+
+    /**
+     * Picks up the jobs left behind by instances that are gone: jobs they were running
+     * (heartbeat stopped, see the heartbeat service) are marked as failed, queued jobs are run
+     */
+    async recover() {
+      const staleFilter = strapi.plugin('field-uuid').service('heartbeat').getStaleFilter();
+      const interrupted = await strapi.db.query(JOB_UID).findMany({
+        where: staleFilter,
+        select: ['documentId', 'type'],
+      });
+
+      for (const job of interrupted) {
+        // The filter is applied again, so a job whose owner just refreshed it is left alone
+        const { count } = await strapi.db.query(JOB_UID).updateMany({
+          where: { ...staleFilter, documentId: job.documentId },
+          data: { status: 'failed', errorMessage: 'Interrupted: the instance running it stopped', completedAt: new Date() },
+        });
+        if (count === 1) {
+          strapi.log.warn(`[strapi-auto-uuid] Job ${job.documentId} (${job.type}) was interrupted, the instance running it stopped`);
+        }
+      }
+
+      setImmediate(() => this.processQueue());
+    },
+
+    /**
+     * Refreshes the heartbeat of the jobs running in this process and aborts those
+     * cancelled through another instance
+     * @param {string} instanceId - Id of this process, see the heartbeat service
+     * @returns {Promise<void>}
+     */
+    async touch(instanceId) {
+      await strapi.db.query(JOB_UID).updateMany({
+        where: { owner: instanceId, status: 'running' },
+        data: { heartbeatAt: new Date() },
+      });
+
+      if (controllers.size === 0) return;
+
+      const cancelled = await strapi.db.query(JOB_UID).findMany({
+        where: { documentId: { $in: [...controllers.keys()] }, cancelRequested: true },
+        select: ['documentId'],
+      });
+      for (const { documentId } of cancelled) {
+        controllers.get(documentId)?.abort();
+      }
+    },
+
+    /**
+     * Claims a queued job for this process. The status is switched in a single update,
+     * so when several instances try, exactly one of them gets the job.
+     * @param {string} id - Job id
+     * @returns {Promise<boolean>} Whether this process got the job
+     */
+    async claim(id) {
+      const now = new Date();
+      const { count } = await strapi.db.query(JOB_UID).updateMany({
+        where: { documentId: id, status: 'queued' },
+        data: {
+          status: 'running',
+          owner: strapi.plugin('field-uuid').service('heartbeat').getInstanceId(),
+          heartbeatAt: now,
+          startedAt: now,
+        },
+      });
+      return count === 1;
+    },
+
+    /**
+     * Claims the oldest queued job
+     * @returns {Promise<Object|null>} Claimed job document, or null when no job is waiting
+     *   (or the waiting ones went to other instances; the next heartbeat looks again)
+     */
+    async claimNext() {
+      const queued = await strapi.db.query(JOB_UID).findMany({
+        where: { status: 'queued' },
+        orderBy: { createdAt: 'asc' },
+        select: ['documentId'],
+        limit: 10,
+      });
+
+      for (const { documentId } of queued) {
+        if (await this.claim(documentId)) {
+          return strapi.documents(JOB_UID).findOne({ documentId });
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Runs the queued jobs one after the other
+     */
+    async processQueue() {
+      if (processing) return;
+      processing = true;
+
+      try {
+        let job;
+        while ((job = await this.claimNext())) {
+          await this.run(job);
+        }
+      } catch (err) {
+        strapi.log.error('[strapi-auto-uuid] Failed to process the job queue:', err.message);
+      } finally {
+        processing = false;
+      }
+    },
+
+    /**
+     * Counts the UUID fields a job walks through (top-level and nested), limited by the
+     * `contentTypes` and `fields` of its params; a resumed migration keeps those of its run.
+     * Rollbacks have two phases instead: checking and restoring.
+     * @param {string} type - Job type
+     * @param {Object} [params] - Job params
+     * @returns {Promise<number>} Field count
+     */
+    async countFields(type, params = {}) {
+      if (type === 'rollback') return 2;
+
+      const uuidService = strapi.plugin('field-uuid').service('service');
+      const filters =
+        type === 'migration' && params.resume
+          ? (await strapi.plugin('field-uuid').service('runs').findOne(params.resume))?.params || {}
+          : params;
+
+      let target;
+      try {
+        target = uuidService.getTargetModels(filters);
+      } catch {
+        // Unknown content types or fields fail the job itself
+        target = uuidService.getTargetModels();
+      }
+
+      return [...Object.values(target.models), ...Object.values(target.nestedModels)]
+        .reduce((sum, fields) => sum + fields.length, 0);
+    },
+
+    /**
+     * Runs the operation of a job type
+     * @param {string} type - Job type
+     * @param {Object} params - Operation options
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Operation report
+     */
+    execute(type, params, onProgress) {
+      const plugin = strapi.plugin('field-uuid');
+
+      if (type === 'migration') {
+        return plugin.service('migrations').runMigration({ ...params, onProgress });
+      }
+      if (type === 'autofix') {
+        return plugin.service('service').autofix({ ...params, onProgress });
+      }
+      if (type === 'rollback') {
+        return plugin.service('runs').rollback(params.runId, { onProgress });
+      }
+      return plugin.service('service').generateMissing({ ...params, onProgress });
+    },
+
+    /**
+     * Runs a job claimed by this process and records its progress and outcome
+     * @param {Object} job - Job document, see claim()
+     */
+    async run(job) {
+      const id = job.documentId;
+      const controller = new AbortController();
+      controllers.set(id, controller);
+      // Cancelled between the claim and the start
+      if (job.cancelRequested) controller.abort();
+
+      const progress = {
+        processed: 0,
+        total: 0,
+        fieldsDone: 0,
+        fieldsTotal: await this.countFields(job.type, job.params || {}),
+        percent: 0,
+        errors: 0,
+      };
+      let currentField = null;
+      let lastSavedAt = 0;
+      let saving = Promise.resolve();
+
+      // Writes are chained so a late progress update never overwrites the final state
+      const save = (data) => {
+        saving = saving
+          .then(() => this.update(id, data))
+          .catch((err) => strapi.log.error(`[strapi-auto-uuid] Failed to save job ${id}:`, err));
+        return saving;
+      };
+
+      const onProgress = ({ uid, field, scanned, total, errors = 0 }) => {
+        controller.signal.throwIfAborted();
+
+        const fieldKey = `${uid}.${field}`;
+        if (currentField && currentField !== fieldKey) {
+          progress.fieldsDone = Math.min(progress.fieldsDone + 1, progress.fieldsTotal);
+        }
+        currentField = fieldKey;
+
+        const fieldShare = total > 0 ? Math.min(scanned / total, 1) : 1;
+        Object.assign(progress, {
+          uid,
+          field,
+          processed: scanned,
+          total: total ?? 0,
+          errors,
+          percent: progress.fieldsTotal > 0
+            ? Math.floor(((progress.fieldsDone + fieldShare) / progress.fieldsTotal) * 100)
+            : 100,
+        });
+
+        if (Date.now() - lastSavedAt >= PROGRESS_INTERVAL) {
+          lastSavedAt = Date.now();
+          save({ progress: { ...progress } });
+        }
+      };
+
+      await save({ progress: { ...progress } });
+      strapi.log.info(`[strapi-auto-uuid] Job ${id} (${job.type}) started`);
+
+      try {
+        controller.signal.throwIfAborted();
+
+        // Changes are audited on behalf of the admin user who started the job
+        const actor = await strapi.plugin('field-uuid').service('audit').findAdminActor(job.createdById);
+        const result = await runAs(actor, () => this.execute(job.type, job.params || {}, onProgress));
+
+        progress.fieldsDone = progress.fieldsTotal;
+        progress.percent = 100;
+        progress.errors = result.errors?.length ?? progress.errors;
+        await save({ status: 'completed', result, progress: { ...progress }, completedAt: new Date() });
+        strapi.log.info(`[strapi-auto-uuid] Job ${id} (${job.type}) completed`);
+      } catch (err) {
+        if (controller.signal.aborted) {
+          await save({ status: 'cancelled', progress: { ...progress }, completedAt: new Date() });
+          strapi.log.info(`[strapi-auto-uuid] Job ${id} (${job.type}) cancelled`);
+        } else {
+          // Error details (e.g. the id of a resumable migration run) are kept as the result
+          const details = err.details && Object.keys(err.details).length > 0 ? err.details : null;
+          await save({
+            status: 'failed',
+            errorMessage: err.message,
+            result: details,
+            progress: { ...progress },
+            completedAt: new Date(),
+          });
+          strapi.log.error(`[strapi-auto-uuid] Job ${id} (${job.type}) failed:`, err);
+        }
+      } finally {
+        controllers.delete(id);
+      }
+    },
+
+    /**
+     * Updates a job record
+     * @param {string} id - Job id
+     * @param {Object} data - Fields to update
+     * @returns {Promise<Object>} Updated job
+     */
+    update(id, data) {
+      return strapi.documents(JOB_UID).update({ documentId: id, data });
+    },
+  };
+};
+
+export default jobs;
@@ -0,0 +1,453 @@
+'use strict';
+
+import { errors } from '@strapi/utils';
+
+const { ApplicationError, ValidationError } = errors;
+
+const RUN_UID = 'plugin::field-uuid.run';
+const CHANGE_UID = 'plugin::field-uuid.change';
+
+// Rollback refusals list at most this many conflicts
+const MAX_REPORTED_CONFLICTS = 1000;
+
+/**
+ * Run Service
+ *
+ * Every operation that writes UUID values outside of the lifecycle hooks
+ * (migration, auto-fix, generate missing, import) is recorded as a run, together
+ * with its change set: one `plugin::field-uuid.change` row per written value,
+ * holding the old and the new value. A run can be rolled back from its change set.
+ */
+const runs = ({ strapi }) => ({
+  /**
+   * Formats a run record for the admin API
+   * @param {Object} run - Run document
+   * @param {number} [changeCount] - Number of recorded changes
+   * @returns {Object} Run ({ id, type, status, params, result, error, changeCount, ... })
+   */
+  format(run, changeCount) {
+    return {
+      id: run.documentId,
+      type: run.type,
+      status: run.status,
+      params: run.params || {},
+      result: run.result || null,
+      error: run.errorMessage || null,
+      changeCount,
+      startedAt: run.startedAt || null,
+      completedAt: run.completedAt || null,
+      rolledBackAt: run.rolledBackAt || null,
+    };
+  },
+
+  /**
+   * Starts a run
+   * @param {string} type - 'migration', 'autofix', 'generate-missing' or 'import'
+   * @param {Object} params - Options of the operation
+   * @param {Object} [result] - Initial result
+   * @returns {Promise<Object>} Run document
+   */
+  create(type, params, result = null) {
+    const now = new Date();
+    return strapi.documents(RUN_UID).create({
+      data: {
+        type,
+        status: 'running',
+        params,
+        result,
+        startedAt: now,
+        owner: strapi.plugin('field-uuid').service('heartbeat').getInstanceId(),
+        heartbeatAt: now,
+      },
+    });
+  },
+
+  /**
+   * Takes over a run in the given status (e.g. a failed migration run to resume) for this process.
+   * The status is switched in a single update, so when several instances try, exactly one succeeds.
+   * @param {string} id - Run id
+   * @param {string} status - Status the run must be in
+   * @returns {Promise<boolean>} Whether this process got the run
+   */
+  async claim(id, status) {
+    const { count } = await strapi.db.query(RUN_UID).updateMany({
+      where: { documentId: id, status },
+      data: {
+        status: 'running',
+        errorMessage: null,
+        owner: strapi.plugin('field-uuid').service('heartbeat').getInstanceId(),
+        heartbeatAt: new Date(),
+      },
+    });
+    return count === 1;
+  },
+
+  /**
+   * Updates a run
+   * @param {string} id - Run id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated run
+   */
+  update(id, data) {
+    return strapi.documents(RUN_UID).update({ documentId: id, data });
+  },
+
+  /**
+   * Marks a run as completed
+   * @param {string} id - Run id
+   * @param {Object} result - Operation report
+   * @returns {Promise<Object>} Updated run
+   */
+  complete(id, result) {
+    return this.update(id, { status: 'completed', result, completedAt: new Date() });
+  },
+
+  /**
+   * Marks a run as failed; the changes recorded until then can still be rolled back
+   * @param {string} id - Run id
+   * @param {string} reason - Error message
+   * @param {Object} [result] - Partial report
+   * @returns {Promise<Object>} Updated run
+   */
+  fail(id, reason, result) {
+    return this.update(id, { status: 'failed', errorMessage: reason, ...(result ? { result } : {}) });
+  },
+
+  /**
+   * Finds a run document
+   * @param {string} id - Run id
+   * @returns {Promise<Object|null>} Run document or null
+   */
+  findOne(id) {
+    return strapi.documents(RUN_UID).findOne({ documentId: id });
+  },
+
+  /**
+   * Lists the most recent runs with the size of their change set
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=20] - Maximum number of runs
+   * @returns {Promise<Array>} Runs, newest first
+   */
+  async findMany({ limit = 20 } = {}) {
+    const results = await strapi.documents(RUN_UID).findMany({
+      sort: ['startedAt:desc'],
+      limit,
+    });
+
+    return Promise.all(
+      results.map(async (run) => this.format(run, await this.countChanges(run.documentId)))
+    );
+  },
+
+  /**
+   * Marks the runs left running by instances that are gone (heartbeat stopped, see the
+   * heartbeat service) as failed. Failed migrations can be resumed, all failed runs rolled back.
+   */
+  async recover() {
+    const staleFilter = strapi.plugin('field-uuid').service('heartbeat').getStaleFilter();
+    const interrupted = await strapi.db.query(RUN_UID).findMany({
+      where: staleFilter,
+      select: ['documentId', 'type'],
+    });
+
+    for (const run of interrupted) {
+      // The filter is applied again, so a run whose owner just refreshed it is left alone
+      const { count } = await strapi.db.query(RUN_UID).updateMany({
+        where: { ...staleFilter, documentId: run.documentId },
+        data: { status: 'failed', errorMessage: 'Interrupted: the instance running it stopped' },
+      });
+      if (count === 1) {
+        strapi.log.warn(`[strapi-auto-uuid] Run ${run.documentId} (${run.type}) was interrupted, the instance running it stopped`);
+      }
+    }
+  },
+
+  /**
+   * Refreshes the heartbeat of the runs this process is writing
+   * @param {string} instanceId - Id of this process, see the heartbeat service
+   * @returns {Promise<void>}
+   */
+  async touch(instanceId) {
+    await strapi.db.query(RUN_UID).updateMany({
+      where: { owner: instanceId, status: 'running' },
+      data: { heartbeatAt: new Date() },
+    });
+  },
+
+  /**
+   * Writes a batch of changes in one transaction and records them in the run's change set,
+   * the audit log and the UUID history. If a write fails, the whole batch is rolled back
+   * and the error is thrown.
+   * @param {string|null} runId - Run to record the changes in (null records nothing)
+   * @param {Array} changes - Changes ({ record, write }) where `record` describes the change
+   *   ({ type, uid, field, documentId, locale, path, componentUid, componentField, componentIds,
+   *   oldValue, newValue, keptDocumentId }) or is null for writes that are not recorded
+   * @param {Object} [options] - Options
+   * @param {string} [options.source] - Audit source ('migration', 'autofix', 'generate-missing' or 'import')
+   */
+  async applyChanges(runId, changes, { source } = {}) {
+    if (changes.length === 0) return;
+
+    await strapi.db.transaction(async () => {
+      for (const { record, write } of changes) {
+        try {
+          await write();
+        } catch (err) {
+          const location = record?.path ? `${record.documentId} ${record.path}` : record?.documentId;
+          throw new ApplicationError(`Failed to update ${record?.uid}.${record?.field} (${location}): ${err.message}`);
+        }
+      }
+
+      const records = changes.filter((change) => change.record).map((change) => change.record);
+      if (!runId || records.length === 0) return;
+
+      await strapi.db.query(CHANGE_UID).createMany({ data: records.map((record) => this.toRow(runId, record)) });
+      if (source) {
+        const entries = records.map((record) => ({ ...record, source, runId }));
+        await strapi.plugin('field-uuid').service('audit').record(entries);
+        await strapi.plugin('field-uuid').service('history').retire(entries);
+      }
+    });
+  },
+
+  /**
+   * Converts a change description into a change set row
+   * @param {string} runId - Run id
+   * @param {Object} record - Change description
+   * @returns {Object} Row data for plugin::field-uuid.change
+   */
+  toRow(runId, record) {
+    return {
+      runId,
+      type: record.type || null,
+      contentType: record.uid,
+      field: record.field,
+      entryDocumentId: record.documentId || null,
+      entryLocale: record.locale || null,
+      path: record.path || null,
+      componentUid: record.componentUid || null,
+      componentField: record.componentField || null,
+      componentIds: record.componentIds || null,
+      oldValue: record.oldValue || null,
+      newValue: record.newValue || null,
+      keptDocumentId: record.keptDocumentId || null,
+    };
+  },
+
+  /**
+   * Counts the changes recorded for a run
+   * @param {string} runId - Run id
+   * @returns {Promise<number>} Change count
+   */
+  countChanges(runId) {
+    return strapi.db.query(CHANGE_UID).count({ where: { runId } });
+  },
+
+  /**
+   * Pages through the change set of a run, newest change first
+   * @param {string} runId - Run id
+   * @returns {AsyncGenerator<Array>} Batches of change rows
+   */
+  async *iterateChanges(runId) {
+    const batchSize = strapi.plugin('field-uuid').service('service').getBatchSize();
+    let lastId = null;
+
+    while (true) {
+      const rows = await strapi.db.query(CHANGE_UID).findMany({
+        where: lastId === null ? { runId } : { runId, id: { $lt: lastId } },
+        orderBy: { id: 'desc' },
+        limit: batchSize,
+      });
+
+      if (rows.length === 0) return;
+      yield rows;
+
+      if (rows.length < batchSize) return;
+      lastId = rows[rows.length - 1].id;
+    }
+  },
+
+  /**
+   * Checks whether a change can be undone
+   * @param {Object} change - Change row
+   * @param {Function} hasUniqueIndex - Resolves whether a top-level field has a database unique index
+   * @returns {Promise<Object|null>} Conflict ({ contentType, field, documentId, path, reason, ... }) or null
+   */
+  async findRollbackConflict(change, hasUniqueIndex) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+    const { contentType, field, entryDocumentId, entryLocale, path, oldValue, newValue } = change;
+    const conflict = { contentType, field, documentId: entryDocumentId, path: path || undefined };
+
+    // Nested field: the component rows must still hold the written value (or the old one,
+    // when an interrupted rollback already restored it)
+    if (change.componentUid) {
+      const { componentUid, componentField, componentIds } = change;
+      const rows = await strapi.db.query(componentUid).findMany({
+        where: { id: { $in: componentIds || [] } },
+        select: ['id', componentField],
+      });
+
+      const changed = rows.find((row) => ![newValue, oldValue].includes(row[componentField]));
+      if (changed) {
+        return { ...conflict, reason: 'changed', currentValue: changed[componentField] };
+      }
+
+      // Restoring a duplicate fix brings back the duplicate it removed
+      if (oldValue && change.type !== 'duplicate_fix') {
+        const holder = await strapi.db.query(componentUid).findOne({
+          where: { [componentField]: oldValue, id: { $notIn: componentIds || [] } },
+          select: ['id'],
+        });
+        if (holder) return { ...conflict, reason: 'collision', value: oldValue };
+      }
+
+      return null;
+    }
+
+    const ownerScope = uuidService.getOwnerScope(contentType, field, {
+      documentId: entryDocumentId,
+      locale: entryLocale,
+    });
+    const current = await strapi.db.query(contentType).findOne({
+      where: ownerScope,
+      select: [field],
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    // Deleted entries have nothing to restore, restored ones nothing left to do
+    if (!current || current[field] === oldValue) return null;
+
+    if (current[field] !== newValue) {
+      return { ...conflict, reason: 'changed', currentValue: current[field] };
+    }
+
+    if (!oldValue) return null;
+
+    const holders = await strapi.db.query(contentType).findMany({
+      where: { [field]: oldValue, $not: ownerScope },
+      select: ['documentId'],
+    });
+
+    // The owner that kept a duplicate value is expected to hold it, unless a unique index forbids duplicates
+    const collision = holders.find((holder) => holder.documentId !== change.keptDocumentId);
+    if (collision) {
+      return { ...conflict, reason: 'collision', value: oldValue, heldBy: collision.documentId };
+    }
+    if (holders.length > 0 && (await hasUniqueIndex(contentType, field))) {
+      return { ...conflict, reason: 'unique-index', value: oldValue, heldBy: holders[0].documentId };
+    }
+
+    return null;
+  },
+
+  /**
+   * Restores the old value of a change
+   * @param {Object} change - Change row
+   */
+  async restore(change) {
+    const uuidService = strapi.plugin('field-uuid').service('service');
+
+    if (change.componentUid) {
+      for (const componentId of change.componentIds || []) {
+        await uuidService.updateComponentUuid(change.componentUid, componentId, change.componentField, change.oldValue);
+      }
+      return;
+    }
+
+    await uuidService.updateUuid(change.contentType, change.entryDocumentId, change.field, change.oldValue, {
+      locale: change.entryLocale,
+    });
+  },
+
+  /**
+   * Rolls a run back by restoring the old value of every recorded change, newest first.
+   * Nothing is restored if a value was changed since the run or would now collide with another entry.
+   * @param {string} id - Run id
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onProgress] - Called after each batch with ({ uid, field, scanned, total })
+   * @returns {Promise<Object>} Rollback report ({ runId, restored })
+   */
+  async rollback(id, { onProgress } = {}) {
+    const run = await this.findOne(id);
+
+    if (!run) {
+      throw new ValidationError(`Run '${id}' not found`);
+    }
+    if (!['completed', 'failed'].includes(run.status)) {
+      throw new ValidationError(`Run '${id}' is ${run.status} and cannot be rolled back`);
+    }
+
+    const indexService = strapi.plugin('field-uuid').service('indexes');
+    const indexCache = new Map();
+    const hasUniqueIndex = async (uid, field) => {
+      const key = `${uid}.${field}`;
+      if (!indexCache.has(key)) {
+        indexCache.set(key, await indexService.exists(indexService.getDefinition(uid, field)));
+      }
+      return indexCache.get(key);
+    };
+
+    const total = await this.countChanges(id);
+
+    // First pass: refuse the whole rollback if any change cannot be undone
+    const conflicts = [];
+    let conflictCount = 0;
+    let scanned = 0;
+    for await (const changes of this.iterateChanges(id)) {
+      for (const change of changes) {
+        const conflict = await this.findRollbackConflict(change, hasUniqueIndex);
+        if (!conflict) continue;
+
+        conflictCount++;
+        if (conflicts.length < MAX_REPORTED_CONFLICTS) conflicts.push(conflict);
+      }
+
+      scanned += changes.length;
+      if (onProgress) onProgress({ uid: run.type, field: 'check', scanned, total });
+    }
+
+    if (conflictCount > 0) {
+      throw new ApplicationError(
+        `Rollback refused: ${conflictCount} value(s) were changed since the run or would collide with another entry`,
+        { runId: id, conflicts }
+      );
+    }
+
+    // Second pass: restore, one transaction per batch
+    const auditService = strapi.plugin('field-uuid').service('audit');
+    const historyService = strapi.plugin('field-uuid').service('history');
+    let restored = 0;
+    for await (const changes of this.iterateChanges(id)) {
+      await strapi.db.transaction(async () => {
+        for (const change of changes) {
+          await this.restore(change);
+        }
+
+        const entries = changes.map((change) => ({
+          source: 'rollback',
+          uid: change.contentType,
+          field: change.field,
+          documentId: change.entryDocumentId,
+          locale: change.entryLocale,
+          path: change.path,
+          componentUid: change.componentUid,
+          oldValue: change.newValue,
+          newValue: change.oldValue,
+          runId: id,
+        }));
+        await auditService.record(entries);
+        await historyService.retire(entries);
+      });
+
+      restored += changes.length;
+      if (onProgress) onProgress({ uid: run.type, field: 'restore', scanned: restored, total });
+    }
+
+    await this.update(id, { status: 'rolled-back', rolledBackAt: new Date() });
+    strapi.log.info(`[strapi-auto-uuid] Run ${id} (${run.type}) rolled back: ${restored} value(s) restored`);
+
+    return { runId: id, restored };
+  },
+});
+
+export default runs;
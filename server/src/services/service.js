@@ -1,72 +1,621 @@
 'use strict';
 
-import { v4 as uuidv4, validate as validateUuid } from 'uuid';
+import { errors } from '@strapi/utils';
+import { runInternal } from '../utils/context';
+import {
+  buildNestedPopulate,
+  collectNestedValues,
+  filterGroupsByDocuments,
+  findNestedUuidFields,
+  findUuidModels,
+  getOwnerKey,
+  getOwnerScope,
+  isLocalized,
+  toFilterList,
+  toFilters,
+} from '../utils/models';
+import {
+  deriveValue,
+  generateUuid,
+  generateValue,
+  getDerivation,
+  getFormatSpec,
+  getPrefix,
+  isValidId,
+  isValidValue,
+  normalizeValue,
+  resolveLocalePolicy,
+  resolveUniqueScope,
+  resolveVersion,
+} from '../utils/uuid';
+
+const { ApplicationError, ValidationError } = errors;
+
+// Reports list at most this many changes per field; counts always cover everything
+const MAX_REPORTED_CHANGES = 1000;
 
 /**
  * UUID Plugin Service
  * 
  * Provides utility methods for UUID generation, validation, duplicate checking,
  * and auto-fix functionality for duplicate UUIDs.
- * Uses Document Service API (strapi.documents) as per Strapi v5 best practices.
+ * Uses Document Service API (strapi.documents) as per Strapi v5 best practices,
+ * and the Query Engine where every draft, published and localized row must be seen.
+ *
+ * A value is owned by a whole document ('shared' locale policy) or by one locale
+ * of a document ('per-locale'); rows of the same owner share the value, so duplicates
+ * are only counted between different owners.
+ *
+ * A value must also not be held by another field sharing the field's uniqueness
+ * scope (content type, whole project or a named group, see utils/uuid UNIQUE_SCOPES).
  */
 const service = ({ strapi }) => ({
   /**
-   * Generates a new UUID v4
-   * @returns {string} A new UUID v4
+   * Generates a new identifier
+   * @param {string} [version] - Format ('v1', 'v4', 'v5', 'v6', 'v7', 'ulid', 'nanoid', 'ksuid'),
+   *   defaults to the global defaultVersion
+   * @param {Object} [options] - Format options ({ alphabet, length, namespace })
+   * @returns {Promise<string>} A new identifier
+   */
+  async generate(version, options) {
+    return generateUuid(version || this.getDefaultVersion(), options);
+  },
+
+  /**
+   * Returns the globally configured default format
+   * @returns {string} Format name, e.g. 'v4'
+   */
+  getDefaultVersion() {
+    return strapi.config.get('plugin::field-uuid.defaultVersion') || 'v4';
+  },
+
+  /**
+   * Returns the globally configured default locale policy
+   * @returns {string} 'shared' or 'per-locale'
+   */
+  getDefaultLocalePolicy() {
+    return strapi.config.get('plugin::field-uuid.localePolicy') || 'shared';
+  },
+
+  /**
+   * Resolves the locale policy of a field ('shared' for content types without i18n)
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {string} 'shared' or 'per-locale'
+   */
+  getFieldLocalePolicy(uid, field) {
+    if (!isLocalized(strapi.contentTypes[uid])) return 'shared';
+    return resolveLocalePolicy(this.getAttribute(uid, field), this.getDefaultLocalePolicy());
+  },
+
+  /**
+   * Resolves the locale policy of a nested field from its component attribute and parent content type
+   * @param {string} uid - Parent content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @returns {string} 'shared' or 'per-locale'
+   */
+  getNestedLocalePolicy(uid, nestedField) {
+    if (!isLocalized(strapi.contentTypes[uid])) return 'shared';
+    return resolveLocalePolicy(
+      this.getAttribute(nestedField.componentUid, nestedField.field),
+      this.getDefaultLocalePolicy()
+    );
+  },
+
+  /**
+   * Returns the globally configured default uniqueness scope
+   * @returns {string} 'field', 'content-type' or 'global'
+   */
+  getDefaultUniqueScope() {
+    return strapi.config.get('plugin::field-uuid.uniquenessScope') || 'field';
+  },
+
+  /**
+   * Resolves the uniqueness scope of a top-level field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {string} Scope key shared by the fields checked against each other, e.g. 'global'
+   */
+  getFieldUniqueScope(uid, field) {
+    return resolveUniqueScope(uid, field, this.getAttribute(uid, field), this.getDefaultUniqueScope());
+  },
+
+  /**
+   * Groups the top-level UUID fields by uniqueness scope
+   * @returns {Map<string, Array>} Fields ({ uid, field }) per scope key
+   */
+  getUniqueScopes() {
+    const scopes = new Map();
+
+    for (const [uid, fields] of Object.entries(this.getUuidModels())) {
+      for (const field of fields) {
+        const scope = this.getFieldUniqueScope(uid, field);
+        if (!scopes.has(scope)) scopes.set(scope, []);
+        scopes.get(scope).push({ uid, field });
+      }
+    }
+
+    return scopes;
+  },
+
+  /**
+   * Lists the fields sharing the uniqueness scope of a field, the field itself first
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {Array} Fields ({ uid, field })
+   */
+  getScopeFields(uid, field) {
+    const others = (this.getUniqueScopes().get(this.getFieldUniqueScope(uid, field)) || []).filter(
+      (scopeField) => scopeField.uid !== uid || scopeField.field !== field
+    );
+    return [{ uid, field }, ...others];
+  },
+
+  /**
+   * Returns the owner rows of a value for a document (and locale)
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} owner - { documentId, locale }
+   * @returns {Object} Where clause matching the owner rows
+   */
+  getOwnerScope(uid, field, owner) {
+    return getOwnerScope(owner, this.getFieldLocalePolicy(uid, field));
+  },
+
+  /**
+   * Returns the schema attribute of a UUID field
+   * @param {string} uid - Content type or component UID
+   * @param {string} field - Field name
+   * @returns {Object|undefined} Attribute definition
+   */
+  getAttribute(uid, field) {
+    return (strapi.contentTypes[uid] || strapi.components?.[uid])?.attributes?.[field];
+  },
+
+  /**
+   * Resolves the format of a field from its options, falling back to the global default
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {string} Format name, e.g. 'v4' or 'ulid'
+   */
+  getFieldVersion(uid, field) {
+    return resolveVersion(this.getAttribute(uid, field), this.getDefaultVersion());
+  },
+
+  /**
+   * Resolves the format of a field with its options
+   * @param {string} uid - Content type or component UID
+   * @param {string} field - Field name
+   * @returns {Object} Format spec ({ version, alphabet, length, namespace })
+   */
+  getFieldFormat(uid, field) {
+    return getFormatSpec(this.getAttribute(uid, field), this.getDefaultVersion());
+  },
+
+  /**
+   * Resolves the derivation of a top-level UUID v5 field with a template
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {Object|null} { template, fields, recompute, namespace } or null for other fields
+   */
+  getFieldDerivation(uid, field) {
+    if (!strapi.contentTypes[uid]) return null;
+    return getDerivation(this.getAttribute(uid, field), this.getDefaultVersion());
+  },
+
+  /**
+   * Derives the value of a field from the values of an entry
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} data - Entry values (template attributes, locale)
+   * @returns {Object|null} { value, name, missing } (see utils/uuid deriveValue()) or null if the
+   *   field is not derived
    */
-  generate() {
-    return uuidv4();
+  deriveForField(uid, field, data) {
+    const derivation = this.getFieldDerivation(uid, field);
+    return derivation ? deriveValue(this.getAttribute(uid, field), derivation, data) : null;
+  },
+
+  /**
+   * Returns the prefix configured for a field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {string} Prefix or empty string
+   */
+  getFieldPrefix(uid, field) {
+    return getPrefix(this.getAttribute(uid, field));
+  },
+
+  /**
+   * Generates a new value using the format and prefix configured for a field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {Promise<string>} A new (possibly prefixed) identifier
+   */
+  async generateForField(uid, field) {
+    return generateValue(this.getAttribute(uid, field), this.getDefaultVersion(), { uid, field });
+  },
+
+  /**
+   * Generates a value for a top-level field that no other owner in the field's uniqueness scope holds
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} [owner] - Owner receiving the value ({ documentId, locale })
+   * @returns {Promise<string>} A new unique value
+   * @throws {ApplicationError} If every attempt (maxRetryAttempts) collided
+   */
+  async generateUniqueForField(uid, field, owner) {
+    if (strapi.config.get('plugin::field-uuid.validateUniqueness') === false) {
+      return this.generateForField(uid, field);
+    }
+
+    const attempts = strapi.config.get('plugin::field-uuid.maxRetryAttempts') || 3;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const value = await this.generateForField(uid, field);
+      if (!(await this.findConflict(uid, field, value, owner))) return value;
+
+      strapi.log.warn(
+        `[strapi-auto-uuid] UUID collision detected for ${uid}.${field}, retrying (attempt ${attempt + 1}/${attempts})`
+      );
+    }
+
+    throw new ApplicationError(`Failed to generate unique UUID for ${uid}.${field} after ${attempts} attempts`);
+  },
+
+  /**
+   * Validates a value against a field's format (prefix followed by a valid identifier)
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {string} value - Value to validate
+   * @returns {boolean} True if valid
+   */
+  validateForField(uid, field, value) {
+    return isValidValue(value, this.getFieldPrefix(uid, field), this.getFieldFormat(uid, field));
   },
   
   /**
-   * Validates if a string is a valid UUID
+   * Validates an identifier against a format
    * @param {string} uuid - The string to validate
-   * @returns {boolean} True if valid UUID
+   * @param {string} [version] - Format name; any UUID by default
+   * @returns {boolean} True if valid
    */
-  validate(uuid) {
-    return validateUuid(uuid);
+  validate(uuid, version) {
+    return isValidId(uuid, version ? getFormatSpec(null, version) : undefined);
   },
   
   /**
-   * Generates a UUID if the value is empty or invalid
+   * Generates an identifier if the value is empty or invalid
    * @param {string} value - Current value
-   * @returns {string} Valid UUID
+   * @param {string} [version] - Format to generate and validate, defaults to the global defaultVersion
+   * @returns {Promise<string>} Valid identifier
    */
-  ensureUuid(value) {
-    if (!value || !validateUuid(value)) {
-      return uuidv4();
+  async ensureUuid(value, version) {
+    if (!value || !this.validate(value, version || this.getDefaultVersion())) {
+      return this.generate(version);
     }
     return value;
   },
 
   /**
-   * Checks if a UUID already exists in a content type
+   * Writes a UUID value as a plugin maintenance operation.
+   * Updates every row of the owner (draft, published and, under the 'shared'
+   * policy, all locales) so the versions of a document keep one value.
+   * Callers are responsible for passing valid, unique values.
+   * @param {string} uid - Content type UID
+   * @param {string} documentId - Document to update
+   * @param {string} field - Field name
+   * @param {string} value - New value
+   * @param {Object} [options] - Options
+   * @param {string} [options.locale] - Locale to update under the 'per-locale' policy
+   * @returns {Promise<{count: number}>} Number of updated rows
+   */
+  async updateUuid(uid, documentId, field, value, { locale } = {}) {
+    return runInternal(() =>
+      strapi.db.query(uid).updateMany({
+        where: this.getOwnerScope(uid, field, { documentId, locale }),
+        data: { [field]: value },
+      })
+    );
+  },
+
+  /**
+   * Writes a UUID value into a single component row (nested field) as a plugin maintenance operation
+   * @param {string} componentUid - Component UID
+   * @param {number} componentId - Component row id
+   * @param {string} field - Field name
+   * @param {string} value - New value
+   * @returns {Promise<Object>} Updated component row
+   */
+  async updateComponentUuid(componentUid, componentId, field, value) {
+    return runInternal(() =>
+      strapi.db.query(componentUid).update({
+        where: { id: componentId },
+        data: { [field]: value },
+      })
+    );
+  },
+
+  /**
+   * Finds a row of another owner that holds a value, in the field itself or in another
+   * field of its uniqueness scope
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {string} value - Value to look up
+   * @param {Object} [owner] - Owner to ignore in the field itself ({ documentId, locale })
+   * @returns {Promise<Object|null>} Conflicting row ({ documentId, contentType, field }) or null
+   */
+  async findConflict(uid, field, value, owner) {
+    for (const scopeField of this.getScopeFields(uid, field)) {
+      const where = { [scopeField.field]: value };
+
+      // Only the rows of the owner in the field itself legitimately share the value
+      if (owner?.documentId && scopeField.uid === uid && scopeField.field === field) {
+        where.$not = this.getOwnerScope(uid, field, owner);
+      }
+
+      const conflict = await strapi.db.query(scopeField.uid).findOne({
+        where,
+        select: ['documentId'],
+      });
+      if (conflict) {
+        return { documentId: conflict.documentId, contentType: scopeField.uid, field: scopeField.field };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Checks if a UUID already exists in a content type or another field of its uniqueness scope
    * @param {Object} params - Check parameters
    * @param {string} params.contentType - Content type UID (e.g., 'api::article.article')
    * @param {string} params.field - Field name containing the UUID
    * @param {string} params.uuid - UUID value to check
    * @param {string} [params.excludeDocumentId] - Optional documentId to exclude from check (for updates)
-   * @returns {Promise<{exists: boolean, valid: boolean}>} Check result
+   * @param {string} [params.locale] - Locale of the excluded document under the 'per-locale' policy
+   * @returns {Promise<{exists: boolean, valid: boolean, conflict: Object|null}>} Check result, `conflict`
+   *   naming the field holding the value ({ contentType, field }), which may be another field of its uniqueness scope
    */
-  async checkDuplicate({ contentType, field, uuid, excludeDocumentId }) {
-    const isValid = validateUuid(uuid);
+  async checkDuplicate({ contentType, field, uuid, excludeDocumentId, locale }) {
+    const isValid = this.validateForField(contentType, field, uuid);
     
     if (!isValid) {
-      return { exists: false, valid: false };
+      return { exists: false, valid: false, conflict: null };
     }
 
-    const filters = { [field]: uuid };
-    
-    if (excludeDocumentId) {
-      filters.documentId = { $ne: excludeDocumentId };
+    const existing = await this.findConflict(contentType, field, uuid, {
+      documentId: excludeDocumentId,
+      locale,
+    });
+
+    return {
+      exists: !!existing,
+      valid: true,
+      conflict: existing ? { contentType: existing.contentType, field: existing.field } : null,
+    };
+  },
+
+  /**
+   * Looks a UUID up across all content types with UUID fields.
+   * Bare UUIDs also match values of prefixed fields.
+   * @param {string} uuid - Value to look up
+   * @param {Object} [scope] - Optional lookup scope
+   * @param {string} [scope.contentType] - Only search this content type
+   * @param {string} [scope.field] - Only search this field
+   * @returns {Promise<Object|null>} Match ({ contentType, field, documentId, locale }) or null,
+   *   `locale` being set for fields using the 'per-locale' policy
+   */
+  async findByUuid(uuid, { contentType, field } = {}) {
+    const models = this.getUuidModels();
+
+    for (const [uid, fields] of Object.entries(models)) {
+      if (contentType && uid !== contentType) continue;
+
+      for (const fieldName of fields) {
+        if (field && fieldName !== field) continue;
+
+        const value = normalizeValue(uuid, this.getFieldPrefix(uid, fieldName), this.getFieldFormat(uid, fieldName));
+        if (!value) continue;
+
+        const localized = isLocalized(strapi.contentTypes[uid]);
+        const entry = await strapi.db.query(uid).findOne({
+          where: { [fieldName]: value },
+          select: localized ? ['documentId', 'locale'] : ['documentId'],
+        });
+
+        if (entry) {
+          return {
+            contentType: uid,
+            field: fieldName,
+            documentId: entry.documentId,
+            locale:
+              this.getFieldLocalePolicy(uid, fieldName) === 'per-locale' ? entry.locale : null,
+          };
+        }
+      }
     }
 
-    const existing = await strapi.documents(contentType).findFirst({
-      filters,
-      fields: ['documentId'],
-    });
+    return null;
+  },
+
+  /**
+   * Returns the number of rows loaded per query when scanning content types
+   * @returns {number} Batch size
+   */
+  getBatchSize() {
+    return strapi.config.get('plugin::field-uuid.batchSize') || 1000;
+  },
+
+  /**
+   * Returns the database table and column names of a UUID field
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @returns {Object} { tableName, column, documentIdColumn, localeColumn, publishedColumn }
+   *   (`localeColumn` only for localized, `publishedColumn` only for draft & publish content types)
+   */
+  getColumns(uid, field) {
+    const meta = strapi.db.metadata.get(uid);
+    const contentType = strapi.contentTypes[uid];
+
+    return {
+      tableName: meta.tableName,
+      column: meta.attributes[field]?.columnName || field,
+      documentIdColumn: meta.attributes.documentId?.columnName || 'document_id',
+      localeColumn: isLocalized(contentType) ? meta.attributes.locale?.columnName || 'locale' : null,
+      publishedColumn: contentType?.options?.draftAndPublish
+        ? meta.attributes.publishedAt?.columnName || 'published_at'
+        : null,
+    };
+  },
 
-    return { exists: !!existing, valid: true };
+  /**
+   * Pages through the rows of a content type in (documentId, id) order with keyset pagination,
+   * so the rows of a document come one after the other and rows written between batches are
+   * neither skipped nor repeated
+   * @param {string} uid - Content type UID
+   * @param {Object} options - Scan options
+   * @param {string[]} options.select - Columns to load (id and documentId are always included)
+   * @param {Object} [options.where] - Filter
+   * @returns {AsyncGenerator<Array>} Batches of rows
+   */
+  async *iterateDocumentRows(uid, { select, where = {} }) {
+    const batchSize = this.getBatchSize();
+    let cursor = null;
+
+    while (true) {
+      const rows = await strapi.db.query(uid).findMany({
+        select: [...new Set(['id', 'documentId', ...select])],
+        where: {
+          $and: [
+            where,
+            cursor
+              ? {
+                  $or: [
+                    { documentId: { $gt: cursor.documentId } },
+                    { documentId: cursor.documentId, id: { $gt: cursor.id } },
+                  ],
+                }
+              : {},
+          ],
+        },
+        orderBy: [{ documentId: 'asc' }, { id: 'asc' }],
+        limit: batchSize,
+      });
+
+      if (rows.length === 0) return;
+      yield rows;
+
+      if (rows.length < batchSize) return;
+      const last = rows[rows.length - 1];
+      cursor = { documentId: last.documentId, id: last.id };
+    }
+  },
+
+  /**
+   * Pages through the rows of a field grouped by owner, keeping at most one batch
+   * (plus the rows of one document) in memory
+   * @param {string} uid - Content type UID
+   * @param {string} field - Field name
+   * @param {Object} [options] - Scan options
+   * @param {Function} [options.onProgress] - Called after each batch with ({ uid, field, scanned, total })
+   * @param {string} [options.after] - Only documents whose documentId sorts after this one (resume point)
+   * @param {string[]} [options.documentIds] - Only these documents
+   * @param {string[]} [options.sources] - Other attributes to load, returned as the owner's `sources`
+   * @returns {AsyncGenerator<Object>} Owners ({ documentId, locale, value, values, hasEmptyRows, sources }) where
+   *   `value` is the most recently updated non-empty value, `values` all distinct non-empty values of its rows
+   *   and `sources` the requested attributes (with documentId and locale) of its most recently updated row
+   */
+  async *iterateFieldOwners(uid, field, { onProgress, after, documentIds, sources = [] } = {}) {
+    const policy = this.getFieldLocalePolicy(uid, field);
+    const batchSize = this.getBatchSize();
+    const select = ['id', 'documentId', 'updatedAt', field];
+    if (isLocalized(strapi.contentTypes[uid])) {
+      select.push('locale');
+    }
+    for (const source of sources) {
+      if (!select.includes(source)) select.push(source);
+    }
+
+    const documentWhere = documentIds ? { documentId: { $in: documentIds } } : {};
+    const total = onProgress ? await strapi.db.query(uid).count({ where: documentWhere }) : null;
+    let scanned = 0;
+    let cursor = null;
+    let currentDocumentId = null;
+    let owners = new Map();
+
+    while (true) {
+      // Keyset pagination on (documentId, id) so all rows of a document are read consecutively
+      const rows = await strapi.db.query(uid).findMany({
+        select,
+        where: {
+          $and: [
+            documentWhere,
+            cursor
+              ? {
+                  $or: [
+                    { documentId: { $gt: cursor.documentId } },
+                    { documentId: cursor.documentId, id: { $gt: cursor.id } },
+                  ],
+                }
+              : after
+                ? { documentId: { $gt: after } }
+                : {},
+          ],
+        },
+        orderBy: [{ documentId: 'asc' }, { id: 'asc' }],
+        limit: batchSize,
+      });
+
+      for (const row of rows) {
+        if (row.documentId !== currentDocumentId) {
+          yield* owners.values();
+          owners = new Map();
+          currentDocumentId = row.documentId;
+        }
+
+        const key = getOwnerKey(row, policy);
+        if (!owners.has(key)) {
+          owners.set(key, {
+            ...getOwnerScope(row, policy),
+            value: null,
+            values: [],
+            hasEmptyRows: false,
+            updatedAt: null,
+            sources: null,
+            sourcesUpdatedAt: null,
+          });
+        }
+
+        const owner = owners.get(key);
+        if (sources.length > 0 && (!owner.sourcesUpdatedAt || new Date(row.updatedAt) > new Date(owner.sourcesUpdatedAt))) {
+          owner.sources = Object.fromEntries(['documentId', 'locale', ...sources].map((source) => [source, row[source]]));
+          owner.sourcesUpdatedAt = row.updatedAt;
+        }
+
+        const rowValue = row[field];
+        if (!rowValue) {
+          owner.hasEmptyRows = true;
+          continue;
+        }
+
+        if (!owner.updatedAt || new Date(row.updatedAt) > new Date(owner.updatedAt)) {
+          owner.value = rowValue;
+          owner.updatedAt = row.updatedAt;
+        }
+        if (!owner.values.includes(rowValue)) {
+          owner.values.push(rowValue);
+        }
+      }
+
+      scanned += rows.length;
+      if (onProgress) onProgress({ uid, field, scanned, total });
+
+      if (rows.length < batchSize) break;
+      const last = rows[rows.length - 1];
+      cursor = { documentId: last.documentId, id: last.id };
+    }
+
+    yield* owners.values();
   },
 
   /**
@@ -74,44 +623,267 @@ const service = ({ strapi }) => ({
    * @returns {Object} Map of content type UIDs to their UUID field names
    */
   getUuidModels() {
-    const { contentTypes } = strapi;
-    
-    return Object.keys(contentTypes).reduce((acc, key) => {
-      const contentType = contentTypes[key];
-      
-      if (!key.startsWith('api')) return acc;
-      
-      const uuidAttributes = Object.keys(contentType.attributes).filter((attrKey) => {
-        const attribute = contentType.attributes[attrKey];
-        return attribute.customField === 'plugin::field-uuid.uuid';
+    return findUuidModels(strapi);
+  },
+
+  /**
+   * Finds UUID fields nested in components and dynamic zones
+   * @returns {Object} Map of content type UIDs to nested field descriptors ({ path, segments, componentUid, field })
+   */
+  getNestedUuidFields() {
+    return findNestedUuidFields(strapi);
+  },
+
+  /**
+   * Returns the schema paths of nested UUID fields (e.g. `sections.itemId`) per content type
+   * @returns {Object} Map of content type UIDs to nested field paths
+   */
+  getNestedUuidPaths() {
+    return Object.fromEntries(
+      Object.entries(this.getNestedUuidFields()).map(([uid, nestedFields]) => [
+        uid,
+        nestedFields.map((nestedField) => nestedField.path),
+      ])
+    );
+  },
+
+  /**
+   * Selects the UUID fields and documents an operation works on
+   * @param {Object} [filters] - Filters, all fields and documents by default
+   * @param {string|string[]} [filters.contentTypes] - Content type UIDs
+   * @param {string|string[]} [filters.fields] - Field names or schema paths of nested fields (`sections.itemId`),
+   *   optionally qualified by their content type (`api::article.article.uuid`)
+   * @param {string|string[]} [filters.documentIds] - Document ids
+   * @returns {Object} { models, nestedModels, documentIds } with the fields in the shape of getUuidModels() and
+   *   getNestedUuidFields(), and the documents as a list (null for all documents)
+   * @throws {ValidationError} For content types without UUID fields and fields matching none of them
+   */
+  getTargetModels({ contentTypes, fields, documentIds } = {}) {
+    const models = this.getUuidModels();
+    const nestedModels = this.getNestedUuidFields();
+    const uidFilter = toFilterList(contentTypes);
+    const fieldFilter = toFilterList(fields);
+
+    if (uidFilter) {
+      const unknown = uidFilter.filter((uid) => !models[uid] && !nestedModels[uid]);
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown content type(s) or without UUID fields: ${unknown.join(', ')}`);
+      }
+    }
+
+    const matched = new Set();
+    const selects = (uid, name) => {
+      if (uidFilter && !uidFilter.includes(uid)) return false;
+      if (!fieldFilter) return true;
+
+      const entries = fieldFilter.filter((entry) => entry === name || entry === `${uid}.${name}`);
+      entries.forEach((entry) => matched.add(entry));
+      return entries.length > 0;
+    };
+
+    const target = { models: {}, nestedModels: {}, documentIds: toFilterList(documentIds) };
+    for (const [uid, names] of Object.entries(models)) {
+      const selected = names.filter((name) => selects(uid, name));
+      if (selected.length > 0) target.models[uid] = selected;
+    }
+    for (const [uid, nestedFields] of Object.entries(nestedModels)) {
+      const selected = nestedFields.filter((nestedField) => selects(uid, nestedField.path));
+      if (selected.length > 0) target.nestedModels[uid] = selected;
+    }
+
+    const unmatched = (fieldFilter || []).filter((entry) => !matched.has(entry));
+    if (unmatched.length > 0) {
+      throw new ValidationError(`Unknown UUID field(s): ${unmatched.join(', ')}`);
+    }
+
+    return target;
+  },
+
+  /**
+   * Pages through the values of a nested UUID field, one batch of documents at a time.
+   * All rows are read (the draft and the published version of every locale), with keyset
+   * pagination on (documentId, id) so values written between batches neither skip nor repeat
+   * rows; the rows of a document are never split between two batches.
+   * @param {string} uid - Content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @param {Object} [options] - Scan options
+   * @param {Function} [options.onProgress] - Called after each batch with ({ uid, field, scanned, total })
+   * @param {string} [options.from] - Only documents whose documentId sorts at or after this one (resume point)
+   * @param {string[]} [options.documentIds] - Only these documents
+   * @returns {AsyncGenerator<Array>} Batches of occurrences ({ documentId, locale, path, componentId, value })
+   */
+  async *iterateNestedOccurrences(uid, nestedField, { onProgress, from, documentIds } = {}) {
+    const batchSize = this.getBatchSize();
+    const select = isLocalized(strapi.contentTypes[uid]) ? ['id', 'documentId', 'locale'] : ['id', 'documentId'];
+    const populate = buildNestedPopulate(nestedField.segments, nestedField.field);
+    const documentFilter = {
+      ...(from ? { $gte: from } : {}),
+      ...(documentIds ? { $in: documentIds } : {}),
+    };
+    const documentWhere = from || documentIds ? { documentId: documentFilter } : {};
+    const total = onProgress ? await strapi.db.query(uid).count({ where: documentWhere }) : null;
+    const toOccurrences = (rows) =>
+      rows.flatMap((row) =>
+        collectNestedValues(row, nestedField.segments, nestedField.field).map((occurrence) => ({
+          documentId: row.documentId,
+          locale: row.locale || null,
+          ...occurrence,
+        }))
+      );
+    let scanned = 0;
+    let cursor = null;
+    // Rows of the last document of a page, which may continue on the next one
+    let pending = [];
+
+    while (true) {
+      const rows = await strapi.db.query(uid).findMany({
+        select,
+        populate,
+        where: {
+          $and: [
+            documentWhere,
+            cursor
+              ? {
+                  $or: [
+                    { documentId: { $gt: cursor.documentId } },
+                    { documentId: cursor.documentId, id: { $gt: cursor.id } },
+                  ],
+                }
+              : {},
+          ],
+        },
+        orderBy: [{ documentId: 'asc' }, { id: 'asc' }],
+        limit: batchSize,
       });
-      
-      if (uuidAttributes.length > 0) {
-        return { ...acc, [key]: uuidAttributes };
+
+      let batch = [...pending, ...rows];
+      pending = [];
+      if (rows.length === batchSize) {
+        const last = rows[rows.length - 1];
+        const split = batch.findIndex((row) => row.documentId === last.documentId);
+        pending = batch.slice(split);
+        batch = batch.slice(0, split);
+        cursor = { documentId: last.documentId, id: last.id };
       }
-      
-      return acc;
-    }, {});
+
+      if (batch.length > 0) yield toOccurrences(batch);
+
+      scanned += rows.length;
+      if (onProgress) onProgress({ uid, field: nestedField.path, scanned, total });
+      if (rows.length < batchSize) return;
+    }
   },
 
   /**
-   * Diagnoses all UUID fields for duplicates across all content types
-   * @returns {Promise<Object>} Diagnosis report with duplicates per content type
+   * Groups nested occurrences sharing a value into duplicate groups.
+   * Under the 'shared' policy the copies of a component in the locales of a document
+   * (same path) count as one location.
+   * @param {string} uid - Content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @param {Array} occurrences - Occurrences from iterateNestedOccurrences()
+   * @returns {Array} Duplicate groups ({ uuid, count, documentIds, locations })
    */
-  async diagnose() {
-    const models = this.getUuidModels();
+  groupNestedDuplicates(uid, nestedField, occurrences) {
+    const policy = this.getNestedLocalePolicy(uid, nestedField);
+    const uuidGroups = new Map();
+
+    for (const occurrence of occurrences) {
+      if (!occurrence.value) continue;
+
+      if (!uuidGroups.has(occurrence.value)) {
+        uuidGroups.set(occurrence.value, new Map());
+      }
+
+      const locations = uuidGroups.get(occurrence.value);
+      const key = `${getOwnerKey(occurrence, policy)}:${occurrence.path}`;
+
+      if (locations.has(key)) {
+        locations.get(key).componentIds.push(occurrence.componentId);
+      } else {
+        const { documentId, locale, path, componentId } = occurrence;
+        locations.set(key, { documentId, locale, path, componentId, componentIds: [componentId] });
+      }
+    }
+
+    const duplicates = [];
+    for (const [uuid, locationMap] of uuidGroups) {
+      const locations = [...locationMap.values()];
+
+      if (locations.length > 1) {
+        duplicates.push({
+          uuid,
+          count: locations.length,
+          documentIds: locations.map((location) => location.documentId),
+          locations,
+        });
+      }
+    }
+
+    return duplicates;
+  },
+
+  /**
+   * Finds duplicate values of a nested UUID field, e.g. two line items sharing an id
+   * @param {string} uid - Content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @param {Object} [options] - Scan options
+   * @param {Function} [options.onProgress] - Progress callback, see iterateNestedOccurrences()
+   * @returns {Promise<Array>} Duplicate groups with their locations (path like `sections[2].itemId`)
+   */
+  async findDuplicatesForNestedField(uid, nestedField, { onProgress } = {}) {
+    // First pass counts the values, the second one only keeps the locations of repeated values
+    const counts = new Map();
+    for await (const occurrences of this.iterateNestedOccurrences(uid, nestedField, { onProgress })) {
+      for (const { value } of occurrences) {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+
+    const candidates = [];
+    for await (const occurrences of this.iterateNestedOccurrences(uid, nestedField)) {
+      candidates.push(...occurrences.filter(({ value }) => counts.get(value) > 1));
+    }
+
+    return this.groupNestedDuplicates(uid, nestedField, candidates);
+  },
+
+  /**
+   * Diagnoses all UUID fields for duplicates across all content types, and for values
+   * shared by different fields of a uniqueness scope
+   * @param {Object} [options] - Options
+   * @param {string|string[]} [options.contentTypes] - Only these content types, see getTargetModels()
+   * @param {string|string[]} [options.fields] - Only these fields, see getTargetModels()
+   * @param {string|string[]} [options.documentIds] - Only the duplicates and collisions involving these documents
+   * @param {Function} [options.onProgress] - Called while scanning with ({ uid, field, scanned, total })
+   * @returns {Promise<Object>} Diagnosis report with duplicates and scanned row counts per content type,
+   *   and the collisions of each scope spanning several fields (`scopes`, `totalCollisions`)
+   * @throws {ValidationError} For unknown content types or fields
+   */
+  async diagnose({ contentTypes, fields: fieldFilter, documentIds: documentFilter, onProgress } = {}) {
+    const { models, nestedModels, documentIds } = this.getTargetModels({
+      contentTypes,
+      fields: fieldFilter,
+      documentIds: documentFilter,
+    });
     const report = {
       scannedModels: 0,
+      scannedRows: 0,
       totalDuplicates: 0,
+      totalCollisions: 0,
       details: {},
+      scopes: [],
     };
 
-    for (const [uid, fields] of Object.entries(models)) {
+    for (const uid of new Set([...Object.keys(models), ...Object.keys(nestedModels)])) {
+      const fields = models[uid] || [];
+      const rowCount = await this.countRows(uid);
       report.scannedModels++;
-      report.details[uid] = { fields: {} };
+      report.scannedRows += rowCount;
+      report.details[uid] = { rows: rowCount, fields: {} };
 
       for (const field of fields) {
-        const duplicates = await this.findDuplicatesForField(uid, field);
+        const duplicates = filterGroupsByDocuments(await this.findDuplicatesForField(uid, field), documentIds);
+        if (onProgress) onProgress({ uid, field, scanned: rowCount, total: rowCount });
         report.details[uid].fields[field] = {
           duplicateGroups: duplicates.length,
           affectedEntries: duplicates.reduce((sum, group) => sum + group.count, 0),
@@ -119,44 +891,170 @@ const service = ({ strapi }) => ({
         };
         report.totalDuplicates += duplicates.reduce((sum, group) => sum + group.count - 1, 0);
       }
+
+      // Fields inside components and dynamic zones, keyed by schema path
+      for (const nestedField of nestedModels[uid] || []) {
+        const duplicates = filterGroupsByDocuments(
+          await this.findDuplicatesForNestedField(uid, nestedField, { onProgress }),
+          documentIds
+        );
+        report.details[uid].fields[nestedField.path] = {
+          nested: true,
+          duplicateGroups: duplicates.length,
+          affectedEntries: duplicates.reduce((sum, group) => sum + group.count, 0),
+          duplicates,
+        };
+        report.totalDuplicates += duplicates.reduce((sum, group) => sum + group.count - 1, 0);
+      }
+    }
+
+    // Values shared by different fields of a scope (content type, global or named group),
+    // for the scopes of the diagnosed fields
+    for (const [scope, scopeFields] of this.getUniqueScopes()) {
+      if (scopeFields.length < 2) continue;
+      if (!scopeFields.some(({ uid, field }) => models[uid]?.includes(field))) continue;
+
+      const collisions = (await this.findScopeCollisions(scopeFields)).filter(
+        (collision) => !documentIds || collision.occurrences.some((occurrence) => documentIds.includes(occurrence.documentId))
+      );
+      report.scopes.push({
+        scope,
+        fields: scopeFields.map(({ uid, field }) => `${uid}.${field}`),
+        collisions,
+      });
+      report.totalCollisions += collisions.length;
+
+      for (const { uid, field } of scopeFields) {
+        if (!models[uid]?.includes(field)) continue;
+        report.details[uid].fields[field].collisions = collisions.filter((collision) =>
+          collision.occurrences.some((occurrence) => occurrence.contentType === uid && occurrence.field === field)
+        ).length;
+      }
     }
 
     return report;
   },
 
+  /**
+   * Finds values held by more than one field of a uniqueness scope. Owners sharing a value
+   * within one field are duplicates, reported by findDuplicatesForField().
+   * @param {Array} scopeFields - Fields of the scope ({ uid, field })
+   * @returns {Promise<Array>} Collisions ({ uuid, count, occurrences }) where `occurrences` lists the owners
+   *   holding the value ({ contentType, field, documentId, locale }) and `count` their number
+   */
+  async findScopeCollisions(scopeFields) {
+    const knex = strapi.db.connection;
+
+    // Values found in more than one field, computed by the database:
+    // SELECT value FROM (SELECT DISTINCT value FROM a UNION ALL SELECT DISTINCT value FROM b ...)
+    // GROUP BY value HAVING COUNT(*) > 1
+    const [first, ...rest] = scopeFields.map(({ uid, field }) => {
+      const { tableName, column } = this.getColumns(uid, field);
+      return knex(tableName).distinct(`${column} as value`).whereNotNull(column).whereNot(column, '');
+    });
+    const collisionRows = await knex
+      .from(first.unionAll(rest).as('scope_values'))
+      .select('value')
+      .groupBy('value')
+      .havingRaw('COUNT(*) > 1');
+
+    // Load the owners of the colliding values, one batch of values at a time
+    const collidingValues = collisionRows.map((row) => row.value);
+    const batchSize = this.getBatchSize();
+    const collisions = [];
+
+    for (let i = 0; i < collidingValues.length; i += batchSize) {
+      const values = collidingValues.slice(i, i + batchSize);
+      const occurrences = new Map(values.map((value) => [value, new Map()]));
+
+      for (const { uid, field } of scopeFields) {
+        const policy = this.getFieldLocalePolicy(uid, field);
+        const select = isLocalized(strapi.contentTypes[uid]) ? ['documentId', 'locale', field] : ['documentId', field];
+        const rows = await strapi.db.query(uid).findMany({
+          select,
+          where: { [field]: { $in: values } },
+          orderBy: { id: 'asc' },
+        });
+
+        for (const row of rows) {
+          const owners = occurrences.get(row[field]);
+          const key = `${uid}.${field}:${getOwnerKey(row, policy)}`;
+          if (!owners.has(key)) {
+            const { documentId, locale } = getOwnerScope(row, policy);
+            owners.set(key, { contentType: uid, field, documentId, locale });
+          }
+        }
+      }
+
+      for (const [uuid, owners] of occurrences) {
+        collisions.push({ uuid, count: owners.size, occurrences: [...owners.values()] });
+      }
+    }
+
+    return collisions;
+  },
+
   /**
    * Finds duplicate UUIDs for a specific content type and field
    * @param {string} uid - Content type UID
    * @param {string} field - Field name
-   * @returns {Promise<Array>} Array of duplicate groups with their documentIds
+   * @returns {Promise<Array>} Array of duplicate groups with their documentIds and owners ({ documentId, locale }),
+   *   oldest owner first
    */
   async findDuplicatesForField(uid, field) {
-    // Get all entries with their UUID values
-    const entries = await strapi.documents(uid).findMany({
-      fields: ['documentId', field],
-      limit: -1, // Get all entries
-    });
+    const knex = strapi.db.connection;
+    const policy = this.getFieldLocalePolicy(uid, field);
+    const { tableName, column, documentIdColumn, localeColumn } = this.getColumns(uid, field);
+    const ownerColumns = policy === 'per-locale' && localeColumn ? [documentIdColumn, localeColumn] : [documentIdColumn];
 
-    // Group by UUID value
-    const uuidGroups = {};
-    for (const entry of entries) {
-      const uuidValue = entry[field];
-      if (!uuidValue) continue;
-      
-      if (!uuidGroups[uuidValue]) {
-        uuidGroups[uuidValue] = [];
-      }
-      uuidGroups[uuidValue].push(entry.documentId);
+    // Values held by more than one owner, computed by the database:
+    // SELECT value FROM (SELECT DISTINCT value, owner...) GROUP BY value HAVING COUNT(*) > 1
+    const ownerValues = knex(tableName)
+      .distinct(column, ...ownerColumns)
+      .whereNotNull(column)
+      .whereNot(column, '')
+      .as('owner_values');
+    const duplicateRows = await knex
+      .from(ownerValues)
+      .select(column)
+      .groupBy(column)
+      .havingRaw('COUNT(*) > 1');
+
+    // Load the owners of the duplicate values, one batch of values at a time
+    const duplicateValues = duplicateRows.map((row) => row[column]);
+    const batchSize = this.getBatchSize();
+    const select = ['id', 'documentId', field];
+    if (localeColumn) {
+      select.push('locale');
     }
 
-    // Filter to only duplicates (more than 1 entry with same UUID)
     const duplicates = [];
-    for (const [uuid, documentIds] of Object.entries(uuidGroups)) {
-      if (documentIds.length > 1) {
+    for (let i = 0; i < duplicateValues.length; i += batchSize) {
+      const values = duplicateValues.slice(i, i + batchSize);
+      const rows = await strapi.db.query(uid).findMany({
+        select,
+        where: { [field]: { $in: values } },
+        orderBy: { id: 'asc' },
+      });
+
+      for (const uuid of values) {
+        const groupOwners = new Map();
+        for (const row of rows) {
+          if (row[field] !== uuid) continue;
+
+          const key = getOwnerKey(row, policy);
+          if (!groupOwners.has(key)) {
+            const { documentId, locale } = getOwnerScope(row, policy);
+            groupOwners.set(key, { documentId, locale });
+          }
+        }
+
+        const owners = [...groupOwners.values()];
         duplicates.push({
           uuid,
-          count: documentIds.length,
-          documentIds,
+          count: owners.length,
+          documentIds: owners.map((owner) => owner.documentId),
+          owners,
         });
       }
     }
@@ -165,28 +1063,131 @@ const service = ({ strapi }) => ({
   },
 
   /**
-   * Auto-fixes all duplicate UUIDs by generating new unique UUIDs
-   * Keeps the first occurrence, replaces all others
+   * Counts the rows of a content type (all locales, drafts and published versions)
+   * @param {string} uid - Content type UID
+   * @returns {Promise<number>} Row count
+   */
+  async countRows(uid) {
+    return strapi.db.query(uid).count();
+  },
+
+  /**
+   * Auto-fixes all duplicate UUIDs by generating new unique UUIDs.
+   * One owner of each group keeps its value, chosen by the duplicate strategy (see the duplicates service).
    * @param {Object} options - Fix options
    * @param {boolean} [options.dryRun=false] - If true, only reports what would be changed
-   * @returns {Promise<Object>} Fix report with changes made
+   * @param {string} [options.duplicateStrategy='first'] - 'first', 'oldest', 'published', 'most-referenced'
+   *   or 'manual'
+   * @param {Object} [options.selections] - Keeper per group ({ [uid]: { [field]: { [value]: key } } })
+   * @param {string|string[]} [options.contentTypes] - Only these content types, see getTargetModels()
+   * @param {string|string[]} [options.fields] - Only these fields, see getTargetModels()
+   * @param {string|string[]} [options.documentIds] - Only give new values to these documents
+   * @param {Function} [options.onProgress] - Called while scanning with ({ uid, field, scanned, total })
+   * @returns {Promise<Object>} Fix report with changes made (`changes` lists at most 1000 entries per field,
+   *   `groups` the keeper of each group and the one every strategy would keep) and the id of the run
+   *   recording them (`runId`, unless dry run)
+   * @throws {ValidationError} For unknown strategies, malformed selections, unknown content types or fields
    */
-  async autofix({ dryRun = false } = {}) {
-    const models = this.getUuidModels();
+  async autofix({
+    dryRun = false,
+    duplicateStrategy = 'first',
+    selections,
+    contentTypes,
+    fields,
+    documentIds,
+    onProgress,
+  } = {}) {
+    strapi.plugin('field-uuid').service('duplicates').validateOptions({ strategy: duplicateStrategy, selections });
+    const target = this.getTargetModels({ contentTypes, fields, documentIds });
+    const filters = toFilters({ contentTypes, fields, documentIds });
+
     const report = {
       dryRun,
+      duplicateStrategy,
       fixedModels: 0,
       totalFixed: 0,
+      totalSkipped: 0,
       details: {},
     };
 
-    for (const [uid, fields] of Object.entries(models)) {
+    return this.recordRun('autofix', { dryRun, duplicateStrategy, ...filters }, report, (runId) =>
+      this.fixAllDuplicates(report, { dryRun, runId, duplicateStrategy, selections, target, onProgress })
+    );
+  },
+
+  /**
+   * Runs an operation that writes UUID values as a run, so its changes can be rolled back.
+   * Dry runs are not recorded.
+   * @param {string} type - Run type ('autofix' or 'generate-missing')
+   * @param {Object} params - Options of the operation
+   * @param {Object} report - Report of the operation, stored as the run result
+   * @param {Function} operation - Called with the run id (null for dry runs), fills the report
+   * @returns {Promise<Object>} The report
+   */
+  async recordRun(type, params, report, operation) {
+    if (params.dryRun) {
+      await operation(null);
+      return report;
+    }
+
+    const runService = strapi.plugin('field-uuid').service('runs');
+    const run = await runService.create(type, params);
+    report.runId = run.documentId;
+
+    try {
+      await operation(run.documentId);
+    } catch (err) {
+      await runService.fail(run.documentId, err.name === 'AbortError' ? 'Cancelled' : err.message, report);
+      throw err;
+    }
+
+    await runService.complete(run.documentId, report);
+    return report;
+  },
+
+  /**
+   * Fixes the duplicates of every UUID field, see autofix()
+   * @param {Object} report - Fix report to fill
+   * @param {Object} options - Options ({ dryRun, runId, duplicateStrategy, selections, target, onProgress }),
+   *   `target` being the fields and documents to fix (see getTargetModels(), all by default)
+   */
+  async fixAllDuplicates(report, { dryRun, runId, duplicateStrategy, selections, target, onProgress }) {
+    const { models, nestedModels, documentIds } = target || this.getTargetModels();
+
+    for (const uid of new Set([...Object.keys(models), ...Object.keys(nestedModels)])) {
       report.details[uid] = { fields: {} };
       let modelFixed = false;
 
-      for (const field of fields) {
-        const fixes = await this.fixDuplicatesForField(uid, field, dryRun);
+      for (const field of models[uid] || []) {
+        const fixes = await this.fixDuplicatesForField(uid, field, dryRun, {
+          runId,
+          duplicateStrategy,
+          selections,
+          documentIds,
+        });
+        if (onProgress) {
+          const rowCount = await this.countRows(uid);
+          onProgress({ uid, field, scanned: rowCount, total: rowCount });
+        }
         report.details[uid].fields[field] = fixes;
+        report.totalSkipped += fixes.skipped;
+        
+        if (fixes.fixed > 0) {
+          modelFixed = true;
+          report.totalFixed += fixes.fixed;
+        }
+      }
+
+      for (const nestedField of nestedModels[uid] || []) {
+        const fixes = await this.fixDuplicatesForNestedField(uid, nestedField, dryRun, {
+          runId,
+          duplicateStrategy,
+          selections,
+          documentIds,
+          onProgress,
+        });
+        report.details[uid].fields[nestedField.path] = fixes;
+        report.totalSkipped += fixes.skipped;
         
         if (fixes.fixed > 0) {
           modelFixed = true;
@@ -198,8 +1199,6 @@ const service = ({ strapi }) => ({
         report.fixedModels++;
       }
     }
-
-    return report;
   },
 
   /**
@@ -207,102 +1206,372 @@ const service = ({ strapi }) => ({
    * @param {string} uid - Content type UID
    * @param {string} field - Field name
    * @param {boolean} dryRun - If true, only reports what would be changed
-   * @returns {Promise<Object>} Fix details
+   * @param {Object} [options] - Options
+   * @param {string} [options.runId] - Run recording the changes
+   * @param {string} [options.duplicateStrategy] - Strategy choosing the owner that keeps the value
+   * @param {Object} [options.selections] - Keeper per group, see autofix()
+   * @param {string[]} [options.documentIds] - Only fix the groups involving these documents, and only their entries
+   * @returns {Promise<Object>} Fix details (`skipped` counts the groups left alone by the 'manual' strategy)
    */
-  async fixDuplicatesForField(uid, field, dryRun) {
-    const duplicates = await this.findDuplicatesForField(uid, field);
+  async fixDuplicatesForField(uid, field, dryRun, { runId = null, duplicateStrategy, selections, documentIds } = {}) {
+    const runService = strapi.plugin('field-uuid').service('runs');
+    const duplicateService = strapi.plugin('field-uuid').service('duplicates');
+    const found = filterGroupsByDocuments(await this.findDuplicatesForField(uid, field), documentIds);
+    const duplicates = filterGroupsByDocuments(
+      await duplicateService.resolveGroups(uid, field, found, { strategy: duplicateStrategy, selections }),
+      documentIds
+    );
     const fixes = {
       found: duplicates.length,
       fixed: 0,
+      skipped: 0,
       changes: [],
+      groups: [],
     };
 
     for (const group of duplicates) {
-      // Keep the first documentId, fix the rest
-      const [keepDocumentId, ...duplicateDocumentIds] = group.documentIds;
+      this.reportGroup(fixes, duplicateService.summarize(group));
+      if (!group.keep) {
+        fixes.skipped++;
+        continue;
+      }
 
-      for (const documentId of duplicateDocumentIds) {
-        const newUuid = uuidv4();
+      const { keep } = group;
+      const writes = [];
+
+      for (const { documentId, locale } of group.fix) {
+        const newUuid = await this.generateUniqueForField(uid, field, { documentId, locale });
         
-        fixes.changes.push({
-          documentId,
-          oldUuid: group.uuid,
-          newUuid,
-          kept: keepDocumentId,
-        });
+        if (fixes.changes.length < MAX_REPORTED_CHANGES) {
+          fixes.changes.push({
+            documentId,
+            locale,
+            oldUuid: group.uuid,
+            newUuid,
+            kept: keep.documentId,
+          });
+        } else {
+          fixes.changesTruncated = true;
+        }
 
-        if (!dryRun) {
-          await strapi.documents(uid).update({
+        writes.push({
+          record: {
+            type: 'duplicate_fix',
+            uid,
+            field,
             documentId,
-            data: { [field]: newUuid },
+            locale,
+            oldValue: group.uuid,
+            newValue: newUuid,
+            keptDocumentId: keep.documentId,
+          },
+          write: () => this.updateUuid(uid, documentId, field, newUuid, { locale }),
+        });
+        fixes.fixed++;
+      }
+
+      if (!dryRun) {
+        await runService.applyChanges(runId, writes, { source: 'autofix' });
+        for (const { record } of writes) {
+          strapi.log.info(`[strapi-auto-uuid] Fixed duplicate UUID in ${uid}: ${record.documentId} -> ${record.newValue}`);
+        }
+      }
+    }
+
+    return fixes;
+  },
+
+  /**
+   * Fixes duplicate values of a nested UUID field, keeping one location of each group
+   * @param {string} uid - Content type UID
+   * @param {Object} nestedField - Nested field descriptor from getNestedUuidFields()
+   * @param {boolean} dryRun - If true, only reports what would be changed
+   * @param {Object} [options] - Options
+   * @param {string} [options.runId] - Run recording the changes
+   * @param {string} [options.duplicateStrategy] - Strategy choosing the location that keeps the value
+   * @param {Object} [options.selections] - Keeper per group, keyed by the path of the nested field
+   * @param {string[]} [options.documentIds] - Only fix the groups involving these documents, and only their locations
+   * @param {Function} [options.onProgress] - Progress callback, see iterateNestedOccurrences()
+   * @returns {Promise<Object>} Fix details
+   */
+  async fixDuplicatesForNestedField(
+    uid,
+    nestedField,
+    dryRun,
+    { runId = null, duplicateStrategy, selections, documentIds, onProgress } = {}
+  ) {
+    const { componentUid, field } = nestedField;
+    const runService = strapi.plugin('field-uuid').service('runs');
+    const duplicateService = strapi.plugin('field-uuid').service('duplicates');
+    const found = filterGroupsByDocuments(
+      await this.findDuplicatesForNestedField(uid, nestedField, { onProgress }),
+      documentIds
+    );
+    const duplicates = filterGroupsByDocuments(
+      await duplicateService.resolveNestedGroups(uid, nestedField, found, { strategy: duplicateStrategy, selections }),
+      documentIds
+    );
+    const fixes = {
+      nested: true,
+      found: duplicates.length,
+      fixed: 0,
+      skipped: 0,
+      changes: [],
+      groups: [],
+    };
+
+    for (const group of duplicates) {
+      this.reportGroup(fixes, duplicateService.summarize(group));
+      if (!group.keep) {
+        fixes.skipped++;
+        continue;
+      }
+
+      const { keep } = group;
+      const writes = [];
+
+      for (const location of group.fix) {
+        const newUuid = await this.generateForField(componentUid, field);
+
+        if (fixes.changes.length < MAX_REPORTED_CHANGES) {
+          fixes.changes.push({
+            documentId: location.documentId,
+            path: location.path,
+            oldUuid: group.uuid,
+            newUuid,
+            kept: keep.documentId,
+            keptPath: keep.path,
           });
-          strapi.log.info(`[strapi-auto-uuid] Fixed duplicate UUID in ${uid}: ${documentId} -> ${newUuid}`);
+        } else {
+          fixes.changesTruncated = true;
         }
 
+        writes.push({
+          record: {
+            type: 'duplicate_fix',
+            uid,
+            field: nestedField.path,
+            documentId: location.documentId,
+            locale: location.locale,
+            path: location.path,
+            componentUid,
+            componentField: field,
+            componentIds: location.componentIds,
+            oldValue: group.uuid,
+            newValue: newUuid,
+            keptDocumentId: keep.documentId,
+          },
+          write: async () => {
+            for (const componentId of location.componentIds) {
+              await this.updateComponentUuid(componentUid, componentId, field, newUuid);
+            }
+          },
+        });
         fixes.fixed++;
       }
+
+      if (!dryRun) {
+        await runService.applyChanges(runId, writes, { source: 'autofix' });
+        for (const { record } of writes) {
+          strapi.log.info(
+            `[strapi-auto-uuid] Fixed duplicate UUID in ${uid}: ${record.documentId} ${record.path} -> ${record.newValue}`
+          );
+        }
+      }
     }
 
     return fixes;
   },
 
   /**
-   * Generates missing UUIDs for entries that have empty UUID fields
+   * Adds a resolved duplicate group to the fix details of a field, up to the report limit
+   * @param {Object} fixes - Fix details
+   * @param {Object} summary - Group summary from the duplicates service
+   */
+  reportGroup(fixes, summary) {
+    if (fixes.groups.length < MAX_REPORTED_CHANGES) {
+      fixes.groups.push(summary);
+    } else {
+      fixes.groupsTruncated = true;
+    }
+  },
+
+  /**
+   * Generates missing UUIDs for entries that have empty UUID fields.
+   * Only empty rows are read, one batch at a time.
    * @param {Object} options - Options
    * @param {boolean} [options.dryRun=false] - If true, only reports what would be changed
-   * @returns {Promise<Object>} Report of generated UUIDs
+   * @param {string|string[]} [options.contentTypes] - Only these content types, see getTargetModels()
+   * @param {string|string[]} [options.fields] - Only these fields, see getTargetModels()
+   * @param {string|string[]} [options.documentIds] - Only these documents
+   * @param {Function} [options.onProgress] - Called after each batch with ({ uid, field, scanned, total })
+   * @returns {Promise<Object>} Report of generated UUIDs (`changes` lists at most 1000 entries per field)
+   *   and the id of the run recording them (`runId`, unless dry run)
+   * @throws {ValidationError} For unknown content types or fields
    */
-  async generateMissing({ dryRun = false } = {}) {
-    const models = this.getUuidModels();
+  async generateMissing({ dryRun = false, contentTypes, fields, documentIds, onProgress } = {}) {
+    const target = this.getTargetModels({ contentTypes, fields, documentIds });
+    const filters = toFilters({ contentTypes, fields, documentIds });
     const report = {
       dryRun,
       totalGenerated: 0,
       details: {},
     };
 
-    for (const [uid, fields] of Object.entries(models)) {
+    return this.recordRun('generate-missing', { dryRun, ...filters }, report, (runId) =>
+      this.generateAllMissing(report, { dryRun, runId, target, onProgress })
+    );
+  },
+
+  /**
+   * Fills the empty values of every UUID field, see generateMissing().
+   * The values of each batch are written in one transaction.
+   * @param {Object} report - Report to fill
+   * @param {Object} options - Options ({ dryRun, runId, target, onProgress }), `target` being the fields
+   *   and documents to fill (see getTargetModels(), all by default)
+   */
+  async generateAllMissing(report, { dryRun, runId, target, onProgress }) {
+    const runService = strapi.plugin('field-uuid').service('runs');
+    const { models, nestedModels, documentIds } = target || this.getTargetModels();
+
+    for (const uid of new Set([...Object.keys(models), ...Object.keys(nestedModels)])) {
       report.details[uid] = { fields: {} };
 
-      for (const field of fields) {
-        // Find entries with empty or invalid UUID
-        const entries = await strapi.documents(uid).findMany({
-          filters: {
-            $or: [
-              { [field]: { $null: true } },
-              { [field]: '' },
-            ],
-          },
-          fields: ['documentId', field],
-          limit: -1,
-        });
+      for (const field of models[uid] || []) {
+        const emptyWhere = {
+          $or: [{ [field]: { $null: true } }, { [field]: '' }],
+          ...(documentIds ? { documentId: { $in: documentIds } } : {}),
+        };
+        const total = await strapi.db.query(uid).count({ where: emptyWhere });
+        const select = isLocalized(strapi.contentTypes[uid]) ? ['documentId', 'locale'] : ['documentId'];
+        const fieldReport = { found: 0, emptyRows: total, generated: 0, copied: 0, changes: [] };
+        // The rows of a document are read one after the other, so only the owners of the current
+        // document are remembered (a dry run leaves the other rows of an owner empty)
+        let currentDocumentId = null;
+        let processedOwners = new Set();
+        let scanned = 0;
+        if (onProgress) onProgress({ uid, field, scanned, total });
 
-        const generated = [];
-        for (const entry of entries) {
-          const newUuid = uuidv4();
-          generated.push({
-            documentId: entry.documentId,
-            newUuid,
-          });
+        for await (const rows of this.iterateDocumentRows(uid, { select, where: emptyWhere })) {
+          const writes = [];
+
+          for (const row of rows) {
+            if (row.documentId !== currentDocumentId) {
+              currentDocumentId = row.documentId;
+              processedOwners = new Set();
+            }
+
+            const owner = { documentId: row.documentId, locale: row.locale };
+            const ownerScope = this.getOwnerScope(uid, field, owner);
+            const ownerKey = getOwnerKey(owner, this.getFieldLocalePolicy(uid, field));
+            if (processedOwners.has(ownerKey)) continue;
+            processedOwners.add(ownerKey);
+            fieldReport.found++;
+
+            // Reuse the owner's value if another of its rows has one (e.g. the published version)
+            const ownerRow = await strapi.db.query(uid).findOne({
+              where: { ...ownerScope, [field]: { $notNull: true, $ne: '' } },
+              select: [field],
+              orderBy: { updatedAt: 'desc' },
+            });
+
+            // Copied values replace no identifier, so they are not recorded for rollback
+            if (ownerRow) {
+              fieldReport.copied++;
+              writes.push({
+                record: null,
+                write: () => this.updateUuid(uid, owner.documentId, field, ownerRow[field], { locale: ownerScope.locale }),
+              });
+              continue;
+            }
+
+            const newUuid = await this.generateUniqueForField(uid, field, owner);
+            fieldReport.generated++;
+            if (fieldReport.changes.length < MAX_REPORTED_CHANGES) {
+              fieldReport.changes.push({ documentId: owner.documentId, locale: ownerScope.locale, newUuid });
+            } else {
+              fieldReport.changesTruncated = true;
+            }
+
+            writes.push({
+              record: {
+                type: 'empty_fix',
+                uid,
+                field,
+                documentId: owner.documentId,
+                locale: ownerScope.locale,
+                oldValue: null,
+                newValue: newUuid,
+              },
+              write: () => this.updateUuid(uid, owner.documentId, field, newUuid, { locale: ownerScope.locale }),
+            });
+          }
 
           if (!dryRun) {
-            await strapi.documents(uid).update({
-              documentId: entry.documentId,
-              data: { [field]: newUuid },
+            await runService.applyChanges(runId, writes, { source: 'generate-missing' });
+            for (const { record } of writes.filter((item) => item.record)) {
+              strapi.log.info(`[strapi-auto-uuid] Generated missing UUID for ${uid}: ${record.documentId} -> ${record.newValue}`);
+            }
+          }
+
+          scanned += rows.length;
+          if (onProgress) onProgress({ uid, field, scanned, total });
+        }
+
+        report.details[uid].fields[field] = fieldReport;
+        report.totalGenerated += fieldReport.generated;
+      }
+
+      for (const nestedField of nestedModels[uid] || []) {
+        const { componentUid, field } = nestedField;
+        const fieldReport = { nested: true, found: 0, generated: 0, changes: [] };
+
+        for await (const occurrences of this.iterateNestedOccurrences(uid, nestedField, { onProgress, documentIds })) {
+          const writes = [];
+
+          for (const occurrence of occurrences.filter((item) => !item.value)) {
+            const newUuid = await this.generateForField(componentUid, field);
+            fieldReport.found++;
+            fieldReport.generated++;
+            if (fieldReport.changes.length < MAX_REPORTED_CHANGES) {
+              fieldReport.changes.push({ documentId: occurrence.documentId, path: occurrence.path, newUuid });
+            } else {
+              fieldReport.changesTruncated = true;
+            }
+
+            writes.push({
+              record: {
+                type: 'empty_fix',
+                uid,
+                field: nestedField.path,
+                documentId: occurrence.documentId,
+                locale: occurrence.locale,
+                path: occurrence.path,
+                componentUid,
+                componentField: field,
+                componentIds: [occurrence.componentId],
+                oldValue: null,
+                newValue: newUuid,
+              },
+              write: () => this.updateComponentUuid(componentUid, occurrence.componentId, field, newUuid),
             });
-            strapi.log.info(`[strapi-auto-uuid] Generated missing UUID for ${uid}: ${entry.documentId} -> ${newUuid}`);
+          }
+
+          if (!dryRun) {
+            await runService.applyChanges(runId, writes, { source: 'generate-missing' });
+            for (const { record } of writes) {
+              strapi.log.info(
+                `[strapi-auto-uuid] Generated missing UUID for ${uid}: ${record.documentId} ${record.path} -> ${record.newValue}`
+              );
+            }
           }
         }
 
-        report.details[uid].fields[field] = {
-          found: entries.length,
-          generated: generated.length,
-          changes: generated,
-        };
-        report.totalGenerated += generated.length;
+        report.details[uid].fields[nestedField.path] = fieldReport;
+        report.totalGenerated += fieldReport.generated;
       }
     }
 
-    return report;
   },
 });
 
@@ -0,0 +1,214 @@
+'use strict';
+
+import { errors } from '@strapi/utils';
+import pluginConfig from '../config';
+import { hasFormat } from '../utils/formats';
+
+const { ValidationError } = errors;
+
+const CONFIG_KEY = 'plugin::field-uuid';
+
+// Each instance checks the plugin store for settings saved by another instance at this interval
+const REFRESH_INTERVAL = 10 * 1000;
+
+// Options that can be changed in the admin panel. uniqueIndexes and uuidLookup
+// shape the database and the routes at startup and stay in config/plugins.js.
+const EDITABLE_OPTIONS = [
+  'defaultVersion',
+  'autoGenerate',
+  'validateUniqueness',
+  'uniquenessScope',
+  'allowManualEdit',
+  'localePolicy',
+  'maxRetryAttempts',
+  'batchSize',
+  'auditLog',
+  'uuidHistory',
+  'autoMigrate',
+  'logLevel',
+];
+
+/**
+ * Picks the editable options of a configuration
+ * @param {Object} config - Plugin configuration
+ * @returns {Object} Editable options
+ */
+const pickEditable = (config) =>
+  Object.fromEntries(EDITABLE_OPTIONS.filter((key) => config[key] !== undefined).map((key) => [key, config[key]]));
+
+/**
+ * Settings Service
+ *
+ * Stores the options changed in the admin panel in the plugin store and applies
+ * them on top of config/plugins.js. The stored values are merged into the plugin
+ * config (`strapi.config`), so services read them like file options, and the
+ * listeners registered with onChange() (the lifecycle hooks) reload them without
+ * a restart. Every instance of a cluster watches the store, so settings saved
+ * through one instance reach the others within REFRESH_INTERVAL.
+ */
+const settings = ({ strapi }) => {
+  // Options from config/plugins.js (with defaults), captured before the stored values are applied
+  let fileConfig = null;
+  const listeners = new Set();
+  // Stored settings last applied (as JSON), and the timer of watch()
+  let appliedSnapshot = null;
+  let timer = null;
+
+  return {
+    /**
+     * Returns the plugin store entry holding the settings
+     * @returns {Object} Plugin store
+     */
+    getStore() {
+      return strapi.store({ type: 'plugin', name: 'field-uuid', key: 'settings' });
+    },
+
+    /**
+     * Returns the options from config/plugins.js
+     * @returns {Object} File configuration
+     */
+    getFileConfig() {
+      if (!fileConfig) fileConfig = { ...strapi.config.get(CONFIG_KEY, {}) };
+      return fileConfig;
+    },
+
+    /**
+     * Applies the stored settings to the plugin config. Called once at bootstrap.
+     * Invalid stored values (e.g. after a downgrade) are ignored with a warning.
+     * @returns {Promise<Object>} Effective configuration
+     */
+    async load() {
+      const stored = pickEditable((await this.getStore().get()) || {});
+      appliedSnapshot = JSON.stringify(stored);
+
+      try {
+        pluginConfig.validator({ ...this.getFileConfig(), ...stored });
+      } catch (error) {
+        strapi.log.warn(`[strapi-auto-uuid] Ignoring stored settings: ${error.message}`);
+        return this.apply({});
+      }
+
+      return this.apply(stored);
+    },
+
+    /**
+     * Reloads the stored settings when they differ from the ones applied last,
+     * i.e. when they were saved through another instance
+     * @returns {Promise<boolean>} Whether the settings were reloaded
+     */
+    async refresh() {
+      const stored = pickEditable((await this.getStore().get()) || {});
+      if (JSON.stringify(stored) === appliedSnapshot) return false;
+
+      await this.load();
+      strapi.log.info('[strapi-auto-uuid] Reloaded the settings saved by another instance');
+      return true;
+    },
+
+    /**
+     * Starts checking the plugin store for settings saved by other instances, see refresh()
+     */
+    watch() {
+      if (timer) return;
+
+      timer = setInterval(() => {
+        this.refresh().catch((err) => strapi.log.error('[strapi-auto-uuid] Failed to reload settings:', err.message));
+      }, REFRESH_INTERVAL);
+      // Never keeps the process alive on its own
+      timer.unref();
+    },
+
+    /**
+     * Stops watching the plugin store, see watch()
+     */
+    unwatch() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Merges stored settings into the plugin config and notifies the listeners
+     * @param {Object} stored - Stored settings
+     * @returns {Object} Effective configuration
+     */
+    apply(stored) {
+      const config = { ...this.getFileConfig(), ...stored };
+      strapi.config.set(CONFIG_KEY, config);
+
+      for (const listener of listeners) {
+        listener(config);
+      }
+      return config;
+    },
+
+    /**
+     * Registers a function called with the effective configuration after each change
+     * @param {Function} listener - Listener
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Describes the editable settings
+     * @returns {Promise<Object>} { settings, defaults, overridden, formats } - effective values,
+     *   values from config/plugins.js, the names of the options changed in the admin panel and
+     *   the formats available as defaultVersion (built-in and registered generators)
+     */
+    async find() {
+      const stored = pickEditable((await this.getStore().get()) || {});
+
+      return {
+        settings: pickEditable(strapi.config.get(CONFIG_KEY, {})),
+        defaults: pickEditable(this.getFileConfig()),
+        overridden: Object.keys(stored),
+        formats: strapi.plugin('field-uuid').service('generators').list(),
+      };
+    },
+
+    /**
+     * Validates, stores and applies settings. An option set to null goes back
+     * to its value from config/plugins.js.
+     * @param {Object} values - Options to change
+     * @returns {Promise<Object>} Updated settings, see find()
+     * @throws {ValidationError} For unknown options or invalid values
+     */
+    async update(values) {
+      if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new ValidationError('Settings must be an object');
+      }
+
+      const unknown = Object.keys(values).filter((key) => !EDITABLE_OPTIONS.includes(key));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown or read-only setting(s): ${unknown.join(', ')}`);
+      }
+
+      const stored = pickEditable((await this.getStore().get()) || {});
+      for (const [key, value] of Object.entries(values)) {
+        if (value === null) delete stored[key];
+        else stored[key] = value;
+      }
+
+      try {
+        pluginConfig.validator({ ...this.getFileConfig(), ...stored });
+      } catch (error) {
+        throw new ValidationError(error.message.replace('[strapi-auto-uuid] ', ''));
+      }
+      // Generators are known by now, the validator only checks the shape of their names
+      if (stored.defaultVersion && !hasFormat(stored.defaultVersion)) {
+        throw new ValidationError(`Invalid defaultVersion: "${stored.defaultVersion}" is not a registered format`);
+      }
+
+      await this.getStore().set({ value: stored });
+      appliedSnapshot = JSON.stringify(stored);
+      this.apply(stored);
+      strapi.log.info(`[strapi-auto-uuid] Settings updated: ${Object.keys(values).join(', ')}`);
+
+      return this.find();
+    },
+  };
+};
+
+export default settings;
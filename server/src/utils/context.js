@@ -0,0 +1,42 @@
+'use strict';
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Internal operation context
+ *
+ * Writes issued by the plugin itself (auto-fix, generate missing, migrations,
+ * imports) run inside this context so the lifecycle hooks can tell them apart
+ * from manual edits coming from the admin panel or the Content API.
+ *
+ * Background jobs also record the admin user who started them here, as they
+ * run outside of the request that queued them.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function as an internal plugin operation
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export const runInternal = (fn) => storage.run({ ...storage.getStore(), internal: true }, fn);
+
+/**
+ * Checks whether the current async execution is an internal plugin operation
+ * @returns {boolean} True if called from within runInternal
+ */
+export const isInternalOperation = () => storage.getStore()?.internal === true;
+
+/**
+ * Runs a function on behalf of an actor (e.g. the admin user who started a job)
+ * @param {Object} actor - Actor ({ type, id, name })
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export const runAs = (actor, fn) => storage.run({ ...storage.getStore(), actor }, fn);
+
+/**
+ * Returns the actor set by runAs
+ * @returns {Object|null} Actor or null
+ */
+export const getContextActor = () => storage.getStore()?.actor || null;
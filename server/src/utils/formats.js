@@ -0,0 +1,212 @@
+'use strict';
+
+import { randomBytes } from 'crypto';
+import {
+  v1 as uuidv1,
+  v4 as uuidv4,
+  v5 as uuidv5,
+  v6 as uuidv6,
+  v7 as uuidv7,
+  validate as validateUuid,
+} from 'uuid';
+
+/**
+ * Identifier format registry
+ *
+ * Each format generates and validates the identifier body of a field (without
+ * the prefix). Formats receive the resolved field options ({ alphabet, length,
+ * namespace }) and declare the length of their identifiers, which is used to
+ * separate a body from a missing or stale prefix.
+ *
+ * The UUID formats validate any UUID version, so changing the version of a
+ * field keeps its existing values valid.
+ *
+ * Applications add their own formats through the generators service, which
+ * registers them here (see registerFormat()). Custom formats may generate
+ * asynchronously and may omit the length, in which case a stored value is
+ * never split into prefix and identifier.
+ */
+
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+export const NANOID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_-';
+export const NANOID_LENGTH = 21;
+export const NANOID_MIN_LENGTH = 6;
+export const NANOID_MAX_LENGTH = 128;
+
+// UUID v5 names are hashed into this namespace unless the field sets its own
+export const DEFAULT_NAMESPACE = uuidv5.URL;
+
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+const KSUID_PATTERN = /^[0-9A-Za-z]{27}$/;
+// Largest 160-bit value, base62-encoded
+const KSUID_MAX = 'aWgEPTl1tmebfsQzFP4bxwgy80V';
+const KSUID_EPOCH = 1400000000;
+
+/**
+ * Creates a ULID: 48-bit millisecond timestamp and 80 random bits, Crockford base32
+ * @returns {string} 26-character ULID
+ */
+const generateUlid = () => {
+  let time = Date.now();
+  let timePart = '';
+  for (let i = 0; i < 10; i++) {
+    timePart = CROCKFORD_BASE32[time % 32] + timePart;
+    time = Math.floor(time / 32);
+  }
+
+  const bytes = randomBytes(16);
+  let randomPart = '';
+  for (const byte of bytes) {
+    randomPart += CROCKFORD_BASE32[byte & 31];
+  }
+
+  return timePart + randomPart;
+};
+
+/**
+ * Creates a KSUID: 32-bit timestamp (seconds since the KSUID epoch) and 128 random bits, base62
+ * @returns {string} 27-character KSUID
+ */
+const generateKsuid = () => {
+  const bytes = Buffer.alloc(20);
+  bytes.writeUInt32BE(Math.floor(Date.now() / 1000) - KSUID_EPOCH, 0);
+  randomBytes(16).copy(bytes, 4);
+
+  let number = BigInt(`0x${bytes.toString('hex')}`);
+  let encoded = '';
+  while (number > 0n) {
+    encoded = BASE62[Number(number % 62n)] + encoded;
+    number /= 62n;
+  }
+
+  return encoded.padStart(27, '0');
+};
+
+/**
+ * Creates a NanoID with an unbiased pick of characters from the alphabet
+ * @param {string} alphabet - Characters to use (2-256 unique characters)
+ * @param {number} length - Number of characters
+ * @returns {string} NanoID
+ */
+const generateNanoid = (alphabet, length) => {
+  const mask = (2 << (31 - Math.clz32((alphabet.length - 1) | 1))) - 1;
+  const step = Math.ceil((1.6 * mask * length) / alphabet.length);
+  let id = '';
+
+  while (true) {
+    for (const byte of randomBytes(step)) {
+      const char = alphabet[byte & mask];
+      if (char === undefined) continue;
+      id += char;
+      if (id.length === length) return id;
+    }
+  }
+};
+
+/**
+ * Defines a UUID format
+ * @param {Function} generate - Generator ({ namespace }) => UUID
+ * @returns {Object} Format definition
+ */
+const uuidFormat = (generate) => ({
+  label: 'UUID',
+  length: () => 36,
+  generate,
+  validate: (id) => validateUuid(id),
+});
+
+const formats = new Map(
+  Object.entries({
+    v1: uuidFormat(() => uuidv1()),
+    v4: uuidFormat(() => uuidv4()),
+    v5: uuidFormat(({ namespace }) => uuidv5(uuidv4(), namespace)),
+    v6: uuidFormat(() => uuidv6()),
+    v7: uuidFormat(() => uuidv7()),
+    ulid: {
+      label: 'ULID',
+      length: () => 26,
+      generate: () => generateUlid(),
+      validate: (id) => ULID_PATTERN.test(id),
+    },
+    nanoid: {
+      label: 'NanoID',
+      length: ({ length }) => length,
+      generate: ({ alphabet, length }) => generateNanoid(alphabet, length),
+      validate: (id, { alphabet, length }) => id.length === length && [...id].every((char) => alphabet.includes(char)),
+    },
+    ksuid: {
+      label: 'KSUID',
+      length: () => 27,
+      generate: () => generateKsuid(),
+      validate: (id) => KSUID_PATTERN.test(id) && id <= KSUID_MAX,
+    },
+  })
+);
+
+export const BUILT_IN_FORMATS = [...formats.keys()];
+
+// Names of custom formats; 'custom' is the Content-Type Builder choice that points to one
+export const FORMAT_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,63}$/i;
+export const CUSTOM_FORMAT = 'custom';
+
+/**
+ * Adds a custom format to the registry, replacing a custom format of the same name
+ * @param {string} name - Format name (not a built-in format)
+ * @param {Object} definition - Format definition
+ * @param {string} [definition.label] - Name used in validation messages, defaults to the format name
+ * @param {number|Function} [definition.length] - Length of the identifiers, or ({ ...options }) => length
+ * @param {Function} definition.generate - (options, context) => identifier (or a Promise of one)
+ * @param {Function} definition.validate - (identifier, options) => boolean
+ */
+export const registerFormat = (name, { label, length, generate, validate }) => {
+  formats.set(name, {
+    label: label || name,
+    length: typeof length === 'function' ? length : Number.isInteger(length) ? () => length : null,
+    generate,
+    validate,
+    custom: true,
+  });
+};
+
+/**
+ * Returns a registered format
+ * @param {string} name - Format name
+ * @returns {Object|undefined} Format definition ({ label, length, generate, validate })
+ */
+export const getFormat = (name) => formats.get(name);
+
+/**
+ * Checks whether a format is registered
+ * @param {string} name - Format name
+ * @returns {boolean} True if registered
+ */
+export const hasFormat = (name) => formats.has(name);
+
+/**
+ * Lists the registered formats
+ * @returns {Array<{name: string, label: string, custom: boolean}>} Formats in registration order
+ */
+export const listFormats = () =>
+  [...formats].map(([name, format]) => ({ name, label: format.label, custom: format.custom === true }));
+
+/**
+ * Resolves the NanoID and UUID v5 options of a field, falling back to the defaults
+ * @param {Object} [fieldOptions] - Field options ('uuid-nanoid-alphabet', 'uuid-nanoid-length', 'uuid-namespace')
+ * @returns {Object} { alphabet, length, namespace }
+ */
+export const resolveFormatOptions = (fieldOptions = {}) => {
+  const alphabet = fieldOptions['uuid-nanoid-alphabet'];
+  const length = Number(fieldOptions['uuid-nanoid-length']);
+  const namespace = fieldOptions['uuid-namespace'];
+
+  return {
+    alphabet:
+      typeof alphabet === 'string' && alphabet.length >= 2 && alphabet.length <= 256 && new Set(alphabet).size === alphabet.length
+        ? alphabet
+        : NANOID_ALPHABET,
+    length: Number.isInteger(length) && length >= NANOID_MIN_LENGTH && length <= NANOID_MAX_LENGTH ? length : NANOID_LENGTH,
+    namespace: typeof namespace === 'string' && validateUuid(namespace.trim()) ? namespace.trim() : DEFAULT_NAMESPACE,
+  };
+};
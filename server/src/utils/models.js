@@ -0,0 +1,299 @@
+'use strict';
+
+/**
+ * Schema helpers for locating uuid custom fields
+ *
+ * UUID fields can live directly on a content type or inside components and
+ * dynamic zones (at any depth). Nested fields are described by the chain of
+ * attributes leading to them, so the same description can be used to build
+ * a populate query and to walk the returned document.
+ */
+
+export const FIELD_UID = 'plugin::field-uuid.uuid';
+
+/**
+ * Checks if an attribute uses the uuid custom field
+ * @param {Object} attribute - Attribute definition
+ * @returns {boolean} True for uuid custom fields
+ */
+export const isUuidAttribute = (attribute) => attribute?.customField === FIELD_UID;
+
+/**
+ * Checks if a content type has i18n enabled
+ * @param {Object} schema - Content type schema
+ * @returns {boolean} True for localized content types
+ */
+export const isLocalized = (schema) => schema?.pluginOptions?.i18n?.localized === true;
+
+/**
+ * Returns the rows that own one value of a field: the whole document under the
+ * 'shared' policy, or one locale of it (draft + published) under 'per-locale'
+ * @param {Object} entry - Row with documentId (and locale for localized content types)
+ * @param {string} policy - 'shared' or 'per-locale'
+ * @returns {Object} Where clause matching the owner rows
+ */
+export const getOwnerScope = (entry, policy) => {
+  if (policy === 'per-locale' && entry.locale) {
+    return { documentId: entry.documentId, locale: entry.locale };
+  }
+  return { documentId: entry.documentId };
+};
+
+/**
+ * Returns a string key identifying the owner of a row, used to group rows
+ * @param {Object} entry - Row with documentId (and locale for localized content types)
+ * @param {string} policy - 'shared' or 'per-locale'
+ * @returns {string} Owner key, e.g. `abc123` or `abc123:de`
+ */
+export const getOwnerKey = (entry, policy) => {
+  const scope = getOwnerScope(entry, policy);
+  return scope.locale ? `${scope.documentId}:${scope.locale}` : scope.documentId;
+};
+
+// Attributes without a column of their own cannot be used in derivation templates
+const NON_SCALAR_TYPES = ['relation', 'component', 'dynamiczone', 'media'];
+
+/**
+ * Splits the placeholders of a derivation template into columns to load and unusable names
+ * @param {Object} schema - Content type schema
+ * @param {string[]} fields - Placeholders of the template
+ * @returns {Object} { sources, invalid } - attributes to select (documentId and locale are
+ *   always loaded and not listed) and placeholders that are not scalar attributes
+ */
+export const getTemplateSources = (schema, fields) => {
+  const sources = [];
+  const invalid = [];
+
+  for (const field of fields) {
+    if (field === 'documentId' || (field === 'locale' && isLocalized(schema))) continue;
+
+    const attribute = schema?.attributes?.[field];
+    if (attribute && !NON_SCALAR_TYPES.includes(attribute.type)) {
+      sources.push(field);
+    } else {
+      invalid.push(field);
+    }
+  }
+
+  return { sources, invalid };
+};
+
+/**
+ * Returns the names of the uuid attributes of a schema
+ * @param {Object} schema - Content type or component schema
+ * @returns {string[]} Attribute names
+ */
+const getUuidAttributeNames = (schema) => {
+  return Object.keys(schema?.attributes || {}).filter((attrKey) =>
+    isUuidAttribute(schema.attributes[attrKey])
+  );
+};
+
+/**
+ * Finds all api content types with top-level uuid fields
+ * @param {Object} strapi - Strapi instance
+ * @returns {Object} Map of content type UIDs to their UUID field names
+ */
+export const findUuidModels = (strapi) => {
+  const { contentTypes } = strapi;
+
+  return Object.keys(contentTypes).reduce((acc, key) => {
+    // Only process api content types (not plugins, admin, etc.)
+    if (!key.startsWith('api')) return acc;
+
+    const uuidAttributes = getUuidAttributeNames(contentTypes[key]);
+
+    if (uuidAttributes.length > 0) {
+      return { ...acc, [key]: uuidAttributes };
+    }
+
+    return acc;
+  }, {});
+};
+
+/**
+ * Finds all components with uuid fields
+ * @param {Object} strapi - Strapi instance
+ * @returns {Object} Map of component UIDs to their UUID field names
+ */
+export const findUuidComponents = (strapi) => {
+  const components = strapi.components || {};
+
+  return Object.keys(components).reduce((acc, key) => {
+    const uuidAttributes = getUuidAttributeNames(components[key]);
+
+    if (uuidAttributes.length > 0) {
+      return { ...acc, [key]: uuidAttributes };
+    }
+
+    return acc;
+  }, {});
+};
+
+/**
+ * Recursively collects uuid fields reachable through component and dynamic zone attributes
+ * @param {Object} strapi - Strapi instance
+ * @param {Object} schema - Schema to walk
+ * @param {Array} segments - Attribute chain leading to this schema
+ * @param {Set} visited - Component UIDs on the current branch (cycle guard)
+ * @returns {Array} Nested field descriptors
+ */
+const walkNested = (strapi, schema, segments, visited) => {
+  const results = [];
+
+  for (const [attrName, attr] of Object.entries(schema?.attributes || {})) {
+    const targets =
+      attr.type === 'component'
+        ? [{ component: attr.component, type: 'component', repeatable: attr.repeatable === true }]
+        : attr.type === 'dynamiczone'
+          ? (attr.components || []).map((component) => ({ component, type: 'dynamiczone', repeatable: true }))
+          : [];
+
+    for (const target of targets) {
+      if (visited.has(target.component)) continue;
+
+      const componentSchema = strapi.components?.[target.component];
+      if (!componentSchema) continue;
+
+      const chain = [...segments, { attribute: attrName, ...target }];
+
+      for (const field of getUuidAttributeNames(componentSchema)) {
+        results.push({
+          path: formatSchemaPath(chain, field),
+          segments: chain,
+          componentUid: target.component,
+          field,
+        });
+      }
+
+      results.push(
+        ...walkNested(strapi, componentSchema, chain, new Set([...visited, target.component]))
+      );
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Finds uuid fields nested in components and dynamic zones of api content types
+ * @param {Object} strapi - Strapi instance
+ * @returns {Object} Map of content type UIDs to nested field descriptors
+ *   ({ path, segments, componentUid, field })
+ */
+export const findNestedUuidFields = (strapi) => {
+  const { contentTypes } = strapi;
+
+  return Object.keys(contentTypes).reduce((acc, key) => {
+    if (!key.startsWith('api')) return acc;
+
+    const nested = walkNested(strapi, contentTypes[key], [], new Set());
+
+    if (nested.length > 0) {
+      return { ...acc, [key]: nested };
+    }
+
+    return acc;
+  }, {});
+};
+
+/**
+ * Formats the schema path of a nested field, e.g. `sections.itemId` or `blocks[shared.line-item].itemId`
+ * @param {Array} segments - Attribute chain
+ * @param {string} field - UUID field name
+ * @returns {string} Schema path
+ */
+export const formatSchemaPath = (segments, field) => {
+  const parts = segments.map((segment) =>
+    segment.type === 'dynamiczone' ? `${segment.attribute}[${segment.component}]` : segment.attribute
+  );
+  return [...parts, field].join('.');
+};
+
+/**
+ * Builds a populate object that loads a nested uuid field
+ * @param {Array} segments - Attribute chain
+ * @param {string} field - UUID field name
+ * @returns {Object} Populate object for the Query Engine (`strapi.db.query`)
+ */
+export const buildNestedPopulate = (segments, field) => {
+  const [segment, ...rest] = segments;
+  const inner = rest.length > 0 ? { populate: buildNestedPopulate(rest, field) } : { select: ['id', field] };
+
+  if (segment.type === 'dynamiczone') {
+    return { [segment.attribute]: { on: { [segment.component]: inner } } };
+  }
+
+  return { [segment.attribute]: inner };
+};
+
+/**
+ * Collects the values of a nested uuid field from a populated document
+ * @param {Object} data - Populated document (or component) data
+ * @param {Array} segments - Attribute chain
+ * @param {string} field - UUID field name
+ * @param {string} [basePath] - Path of `data` inside the document
+ * @returns {Array<{path: string, componentId: number, value: string}>} Occurrences, e.g. path `sections[2].itemId`
+ */
+export const collectNestedValues = (data, segments, field, basePath = '') => {
+  const [segment, ...rest] = segments;
+  const value = data?.[segment.attribute];
+
+  if (value === null || value === undefined) return [];
+
+  const items = Array.isArray(value)
+    ? value.map((item, index) => ({ item, path: `${basePath}${segment.attribute}[${index}]` }))
+    : [{ item: value, path: `${basePath}${segment.attribute}` }];
+
+  return items.flatMap(({ item, path }) => {
+    if (!item) return [];
+    if (segment.type === 'dynamiczone' && item.__component !== segment.component) return [];
+
+    if (rest.length > 0) {
+      return collectNestedValues(item, rest, field, `${path}.`);
+    }
+
+    return [{ path: `${path}.${field}`, componentId: item.id, value: item[field] }];
+  });
+};
+
+/**
+ * Normalizes a filter given as a list or a comma-separated string
+ * @param {string|string[]} [value] - Filter value
+ * @returns {string[]|null} Entries, or null if the filter is not set
+ */
+export const toFilterList = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : null;
+};
+
+/**
+ * Returns the set filters of an operation, as stored with its run
+ * @param {Object} filters - { contentTypes, fields, documentIds }
+ * @returns {Object} Normalized filters, without the ones not set
+ */
+export const toFilters = ({ contentTypes, fields, documentIds } = {}) => ({
+  ...(toFilterList(contentTypes) ? { contentTypes: toFilterList(contentTypes) } : {}),
+  ...(toFilterList(fields) ? { fields: toFilterList(fields) } : {}),
+  ...(toFilterList(documentIds) ? { documentIds: toFilterList(documentIds) } : {}),
+});
+
+/**
+ * Limits duplicate groups to some documents: groups without any of them are dropped and,
+ * once resolved, only their entries are given new values (whichever entry keeps the value)
+ * @param {Array} groups - Duplicate groups with their `documentIds`, resolved or not
+ * @param {string[]|null} documentIds - Documents, or null for all groups
+ * @returns {Array} Groups
+ */
+export const filterGroupsByDocuments = (groups, documentIds) => {
+  if (!documentIds) return groups;
+
+  return groups
+    .filter((group) => group.documentIds.some((documentId) => documentIds.includes(documentId)))
+    .map((group) =>
+      group.fix ? { ...group, fix: group.fix.filter((entry) => documentIds.includes(entry.documentId)) } : group
+    );
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Admin permission actions
+ *
+ * Registered at bootstrap under Settings > Roles > Plugins > Field-uuid and
+ * enforced on the admin routes with `admin::hasPermissions`.
+ */
+export const PERMISSIONS = {
+  // Diagnose, statistics, migration status, jobs, runs, history and audit log
+  read: 'plugin::field-uuid.read',
+  // Auto-fix, generate missing, migration, rollback and job cancellation
+  fix: 'plugin::field-uuid.fix',
+  // Export and import of UUID mappings, audit log export
+  importExport: 'plugin::field-uuid.import-export',
+  // Plugin settings
+  settings: 'plugin::field-uuid.settings',
+};
+
+/**
+ * Action definitions for the admin permission action provider
+ */
+export const PERMISSION_ACTIONS = [
+  { uid: 'read', displayName: 'Read diagnostics' },
+  { uid: 'fix', displayName: 'Run fixes' },
+  { uid: 'import-export', displayName: 'Import and export' },
+  { uid: 'settings', displayName: 'Change settings' },
+].map((action) => ({ ...action, section: 'plugins', pluginName: 'field-uuid' }));
+
+/**
+ * Route policies requiring an authenticated admin with the given permission action
+ * @param {string} action - Permission action (see PERMISSIONS)
+ * @returns {Array} Route policies
+ */
+export const requirePermission = (action) => [
+  'admin::isAuthenticatedAdmin',
+  { name: 'admin::hasPermissions', config: { actions: [action] } },
+];
@@ -0,0 +1,328 @@
+'use strict';
+
+import { v5 as uuidv5 } from 'uuid';
+import { BUILT_IN_FORMATS, CUSTOM_FORMAT, getFormat, hasFormat, resolveFormatOptions } from './formats';
+
+/**
+ * UUID helpers shared by the lifecycle hooks, services and migrations
+ *
+ * Every generation path resolves the identifier format ("UUID version": a UUID
+ * version, ULID, NanoID, KSUID or a custom format registered by the application,
+ * see ./formats) from the attribute's own options (set in Content-Type Builder)
+ * and falls back to the plugin's global `defaultVersion`. Generation is
+ * asynchronous, as custom generators may call other services. An optional per-field prefix (e.g. `usr_`) is
+ * prepended to the generated identifier and required when validating values.
+ *
+ * Validation takes a format spec (see getFormatSpec()); without one, values are
+ * checked as UUIDs of any version.
+ *
+ * UUID v5 fields with a template (e.g. `{sku}-{locale}`) derive their value from
+ * other attributes of the entry instead: the rendered template is hashed into
+ * the field's namespace, so the same inputs always give the same UUID.
+ */
+
+export const SUPPORTED_VERSIONS = BUILT_IN_FORMATS;
+
+const UUID_SPEC = { version: 'v4', ...resolveFormatOptions() };
+
+// Placeholders of a derivation template, e.g. {sku}
+const TEMPLATE_PATTERN = /\{([A-Za-z0-9_]+)\}/g;
+
+/**
+ * How a value relates to the rows of a document (draft/published, locales):
+ * - 'shared': one value for the whole document, all locales and versions
+ * - 'per-locale': a distinct value per locale, shared by its draft and published versions
+ */
+export const LOCALE_POLICIES = ['shared', 'per-locale'];
+
+/**
+ * How far the uniqueness of a value reaches. Fields resolving to the same scope
+ * are checked against each other:
+ * - 'field': the field of its content type
+ * - 'content-type': the fields of its content type using this scope
+ * - 'global': the fields of all content types using this scope
+ * - 'group': the fields naming the same group ('uuid-unique-group' option)
+ */
+export const UNIQUE_SCOPES = ['field', 'content-type', 'global', 'group'];
+
+// Scopes usable as the global default (groups are named per field)
+export const DEFAULT_UNIQUE_SCOPES = ['field', 'content-type', 'global'];
+
+/**
+ * Returns the plugin options stored on a uuid attribute
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @returns {Object} Field options (may be empty)
+ */
+export const getFieldOptions = (attribute) => attribute?.options || {};
+
+/**
+ * Resolves the identifier format for a field. The 'custom' choice refers to the
+ * registered format named by the field's 'uuid-generator' option.
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {string} defaultVersion - Global default version from plugin config
+ * @returns {string} Format name ('v1', 'v4', 'v5', 'v6', 'v7', 'ulid', 'nanoid', 'ksuid' or a custom format)
+ */
+export const resolveVersion = (attribute, defaultVersion = 'v4') => {
+  const options = getFieldOptions(attribute);
+  const fieldVersion = options['uuid-version'] === CUSTOM_FORMAT ? options['uuid-generator'] : options['uuid-version'];
+
+  if (hasFormat(fieldVersion)) {
+    return fieldVersion;
+  }
+
+  return hasFormat(defaultVersion) ? defaultVersion : 'v4';
+};
+
+/**
+ * Resolves the format of a field with its options
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {string} defaultVersion - Global default version from plugin config
+ * @returns {Object} Format spec ({ version, alphabet, length, namespace })
+ */
+export const getFormatSpec = (attribute, defaultVersion = 'v4') => ({
+  version: resolveVersion(attribute, defaultVersion),
+  ...resolveFormatOptions(getFieldOptions(attribute)),
+});
+
+/**
+ * Resolves the locale policy for a field
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {string} defaultPolicy - Global localePolicy from plugin config
+ * @returns {string} 'shared' or 'per-locale'
+ */
+export const resolveLocalePolicy = (attribute, defaultPolicy = 'shared') => {
+  // Non-localized attributes are kept in sync across locales by the i18n plugin
+  if (attribute?.pluginOptions?.i18n?.localized === false) return 'shared';
+
+  const fieldPolicy = getFieldOptions(attribute)['uuid-locale-policy'];
+
+  if (LOCALE_POLICIES.includes(fieldPolicy)) {
+    return fieldPolicy;
+  }
+
+  return LOCALE_POLICIES.includes(defaultPolicy) ? defaultPolicy : 'shared';
+};
+
+/**
+ * Resolves the uniqueness scope of a top-level field into the key shared by all
+ * fields of that scope
+ * @param {string} uid - Content type UID
+ * @param {string} field - Field name
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {string} defaultScope - Global uniquenessScope from plugin config
+ * @returns {string} e.g. 'field:api::article.article.uuid', 'content-type:api::article.article',
+ *   'global' or 'group:orders'
+ */
+export const resolveUniqueScope = (uid, field, attribute, defaultScope = 'field') => {
+  const options = getFieldOptions(attribute);
+  let scope = UNIQUE_SCOPES.includes(options['uuid-unique-scope']) ? options['uuid-unique-scope'] : defaultScope;
+
+  if (scope === 'group') {
+    const group = typeof options['uuid-unique-group'] === 'string' ? options['uuid-unique-group'].trim() : '';
+    if (group) return `group:${group}`;
+    // A group scope without a group name falls back to the default
+    scope = defaultScope;
+  }
+
+  if (scope === 'global') return 'global';
+  if (scope === 'content-type') return `content-type:${uid}`;
+  return `field:${uid}.${field}`;
+};
+
+/**
+ * Generates a new identifier of the given format
+ * @param {string} version - Format name ('v4', 'v7', 'ulid', ...)
+ * @param {Object} [options] - Format options ({ alphabet, length, namespace })
+ * @param {Object} [context] - Passed to custom generators ({ uid, field, data })
+ * @returns {Promise<string>} Generated identifier
+ * @throws {Error} If a custom generator returns an identifier its own validator rejects
+ */
+export const generateUuid = async (version = 'v4', options = {}, context = {}) => {
+  const name = hasFormat(version) ? version : 'v4';
+  const spec = { ...UUID_SPEC, ...options, version: name };
+  const id = await getFormat(name).generate(spec, context);
+
+  if (!isValidId(id, spec)) {
+    throw new Error(`Generator '${name}' returned an invalid identifier: ${JSON.stringify(id)}`);
+  }
+  return id;
+};
+
+/**
+ * Checks that an identifier (without prefix) matches a format
+ * @param {string} id - Identifier
+ * @param {Object} [spec] - Format spec, see getFormatSpec(); any UUID by default
+ * @returns {boolean} True if valid
+ */
+export const isValidId = (id, spec = UUID_SPEC) => {
+  const format = getFormat(spec.version) || getFormat('v4');
+  return typeof id === 'string' && id.length > 0 && format.validate(id, spec);
+};
+
+/**
+ * Checks whether values should be generated automatically for a field
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {boolean} globalAutoGenerate - Global autoGenerate from plugin config
+ * @returns {boolean} False if disabled globally or by the field's "Disable auto-generation" option
+ */
+export const isAutoGenerateEnabled = (attribute, globalAutoGenerate = true) => {
+  return globalAutoGenerate !== false && getFieldOptions(attribute)['disable-auto-generate'] !== true;
+};
+
+/**
+ * Checks whether an existing value may be changed manually
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {boolean} globalAllowManualEdit - Global allowManualEdit from plugin config
+ * @returns {boolean} True if the field's "Allow manual editing" option or the global setting is enabled
+ */
+export const isEditAllowed = (attribute, globalAllowManualEdit = false) => {
+  return globalAllowManualEdit === true || getFieldOptions(attribute)['allow-edit'] === true;
+};
+
+/**
+ * Returns the prefix configured for a field
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @returns {string} Prefix or empty string
+ */
+export const getPrefix = (attribute) => {
+  const prefix = getFieldOptions(attribute)['uuid-prefix'];
+  return typeof prefix === 'string' ? prefix.trim() : '';
+};
+
+/**
+ * Prepends a prefix to a UUID
+ * @param {string} uuid - Bare UUID
+ * @param {string} prefix - Field prefix
+ * @returns {string} Prefixed value
+ */
+export const applyPrefix = (uuid, prefix = '') => `${prefix}${uuid}`;
+
+/**
+ * Extracts the identifier body from a value, ignoring whatever prefix it carries
+ * @param {string} value - Stored value
+ * @param {Object} [spec] - Format spec, see getFormatSpec(); any UUID by default
+ * @returns {string|null} The body or null if the value does not end with a valid identifier
+ */
+export const extractUuid = (value, spec = UUID_SPEC) => {
+  if (typeof value !== 'string') return null;
+
+  // Formats without a fixed length cannot tell a prefix from the identifier
+  const format = getFormat(spec.version) || getFormat('v4');
+  const length = format.length ? format.length(spec) : value.length;
+  if (value.length < length) return null;
+
+  const body = value.slice(-length);
+  return isValidId(body, spec) ? body : null;
+};
+
+/**
+ * Checks that a value is the field prefix followed by a valid identifier
+ * @param {string} value - Value to validate
+ * @param {string} prefix - Field prefix
+ * @param {Object} [spec] - Format spec, see getFormatSpec(); any UUID by default
+ * @returns {boolean} True if valid
+ */
+export const isValidValue = (value, prefix = '', spec = UUID_SPEC) => {
+  if (typeof value !== 'string' || !value.startsWith(prefix)) return false;
+  return isValidId(value.slice(prefix.length), spec);
+};
+
+/**
+ * Normalizes a submitted value: bare identifiers get the field prefix added
+ * @param {string} value - Submitted value
+ * @param {string} prefix - Field prefix
+ * @param {Object} [spec] - Format spec, see getFormatSpec(); any UUID by default
+ * @returns {string|null} Normalized value or null if it cannot be made valid
+ */
+export const normalizeValue = (value, prefix = '', spec = UUID_SPEC) => {
+  if (isValidValue(value, prefix, spec)) return value;
+  if (prefix && isValidId(value, spec)) return applyPrefix(value, prefix);
+  return null;
+};
+
+/**
+ * Generates a complete value for a field (resolved format + prefix)
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {string} defaultVersion - Global default version from plugin config
+ * @param {Object} [context] - Passed to custom generators ({ uid, field, data })
+ * @returns {Promise<string>} Generated value
+ */
+export const generateValue = async (attribute, defaultVersion = 'v4', context = {}) => {
+  const spec = getFormatSpec(attribute, defaultVersion);
+  return applyPrefix(await generateUuid(spec.version, spec, context), getPrefix(attribute));
+};
+
+/**
+ * Lists the attributes a derivation template refers to
+ * @param {string} template - Template, e.g. '{sku}-{locale}'
+ * @returns {string[]} Attribute names, without duplicates
+ */
+export const getTemplateFields = (template) => [
+  ...new Set([...String(template).matchAll(TEMPLATE_PATTERN)].map((match) => match[1])),
+];
+
+/**
+ * Resolves the derivation of a UUID v5 field from its options
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {string} defaultVersion - Global default version from plugin config
+ * @returns {Object|null} { template, fields, recompute, namespace } or null if the field
+ *   has no template or is not a UUID v5 field
+ */
+export const getDerivation = (attribute, defaultVersion = 'v4') => {
+  const options = getFieldOptions(attribute);
+  const template = typeof options['uuid-v5-template'] === 'string' ? options['uuid-v5-template'].trim() : '';
+  if (!template) return null;
+
+  const spec = getFormatSpec(attribute, defaultVersion);
+  if (spec.version !== 'v5') return null;
+
+  return {
+    template,
+    fields: getTemplateFields(template),
+    recompute: options['uuid-v5-recompute'] === true,
+    namespace: spec.namespace,
+  };
+};
+
+/**
+ * Converts an attribute value to its text in a derivation template
+ * @param {*} value - Attribute value
+ * @returns {string|null} Text, or null for empty values
+ */
+export const formatSourceValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Renders a derivation template with the values of an entry
+ * @param {string} template - Template, e.g. '{sku}-{locale}'
+ * @param {Object} data - Entry values
+ * @returns {Object} { name, missing } - the rendered name and the placeholders without a value
+ */
+export const renderTemplate = (template, data = {}) => {
+  const missing = new Set();
+  const name = template.replace(TEMPLATE_PATTERN, (placeholder, field) => {
+    const text = formatSourceValue(data?.[field]);
+    if (text === null) missing.add(field);
+    return text ?? '';
+  });
+
+  return { name, missing: [...missing] };
+};
+
+/**
+ * Derives the value of a field (prefix + UUID v5 of the rendered template)
+ * @param {Object} attribute - Attribute definition from the content type schema
+ * @param {Object} derivation - Derivation, see getDerivation()
+ * @param {Object} data - Entry values
+ * @returns {Object} { value, name, missing } - `value` is null while placeholders are missing
+ */
+export const deriveValue = (attribute, derivation, data) => {
+  const { name, missing } = renderTemplate(derivation.template, data);
+  if (missing.length > 0) return { value: null, name, missing };
+
+  return { value: applyPrefix(uuidv5(name, derivation.namespace), getPrefix(attribute)), name, missing };
+};